@@ -0,0 +1,20 @@
+const { getDomainAssociation } = require('../lib/apple-pay');
+const { vercelHandler } = require('../lib/http');
+
+// GET /.well-known/apple-developer-merchantid-domain-association (see vercel.json)
+module.exports = vercelHandler({
+  GET: (req, res) => {
+    const contents = getDomainAssociation();
+    if (!contents) {
+      res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          description: 'Apple Pay domain association file is not configured'
+        }
+      });
+      return;
+    }
+    res.setHeader('Content-Type', 'text/plain');
+    res.status(200).send(contents);
+  }
+}, 'INTERNAL_SERVER_ERROR', { auth: false });
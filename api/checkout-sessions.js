@@ -0,0 +1,8 @@
+const { issueCheckoutSession } = require('../lib/auth');
+const { vercelHandler } = require('../lib/http');
+
+// POST /api/checkout-sessions - token for the demo page's API calls, or
+// (API key, { customer_id, country, origin }) one bound to a customer
+module.exports = vercelHandler({
+  POST: req => issueCheckoutSession(req)
+}, 'CHECKOUT_SESSION_FAILED', { auth: false });
@@ -0,0 +1,7 @@
+const { getPublicConfig } = require('../lib/config');
+const { vercelHandler } = require('../lib/http');
+
+// GET /api/config
+module.exports = vercelHandler({
+  GET: () => getPublicConfig()
+}, 'INTERNAL_SERVER_ERROR', { auth: false });
@@ -0,0 +1,7 @@
+const indiaMethods = require('../lib/india-methods');
+const { vercelHandler } = require('../lib/http');
+
+// POST /api/create-upi-payment - see server.js for the request body
+module.exports = vercelHandler({
+  POST: req => indiaMethods.createUpiPayment(req.body)
+}, 'PAYMENT_FAILED', { auth: 'payments:write', idempotent: true, rateLimit: true });
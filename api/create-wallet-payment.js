@@ -0,0 +1,10 @@
+const indiaMethods = require('../lib/india-methods');
+const { getCallbackUrl } = require('../lib/payment-callback');
+const { vercelHandler } = require('../lib/http');
+
+// POST /api/create-wallet-payment - see server.js for the request body
+module.exports = vercelHandler({
+  POST: req => indiaMethods.createWalletPayment(req.body, {
+    callbackUrl: getCallbackUrl(req, req.body.country)
+  })
+}, 'PAYMENT_FAILED', { auth: 'payments:write', idempotent: true, rateLimit: true });
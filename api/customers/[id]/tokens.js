@@ -0,0 +1,11 @@
+const customers = require('../../../lib/customers');
+const { assertCustomer } = require('../../../lib/auth');
+const { vercelHandler } = require('../../../lib/http');
+
+// GET /api/customers/:id/tokens?country=XX
+module.exports = vercelHandler({
+  GET: req => {
+    assertCustomer(req.auth, req.query.id);
+    return customers.listTokens(req.query.country, req.query.id);
+  }
+}, 'LOOKUP_FAILED', { auth: 'customers:read' });
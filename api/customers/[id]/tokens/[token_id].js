@@ -0,0 +1,11 @@
+const customers = require('../../../../lib/customers');
+const { assertCustomer } = require('../../../../lib/auth');
+const { vercelHandler } = require('../../../../lib/http');
+
+// DELETE /api/customers/:id/tokens/:token_id?country=XX
+module.exports = vercelHandler({
+  DELETE: req => {
+    assertCustomer(req.auth, req.query.id);
+    return customers.deleteToken(req.query.country, req.query.id, req.query.token_id);
+  }
+}, 'TOKEN_DELETE_FAILED', { auth: 'customers:write' });
@@ -0,0 +1,19 @@
+const customers = require('../../lib/customers');
+const { assertCustomer } = require('../../lib/auth');
+const { vercelHandler } = require('../../lib/http');
+
+// POST /api/customers
+// GET  /api/customers?country=XX&email=...&contact=...
+// API keys only - see server.js
+module.exports = vercelHandler({
+  GET: req => {
+    assertCustomer(req.auth);
+    const { country, email, contact } = req.query;
+    return customers.findCustomer(country, { email, contact });
+  },
+  POST: req => {
+    assertCustomer(req.auth);
+    const { country, name, email, contact, notes } = req.body;
+    return customers.createCustomer(country, { name, email, contact, notes });
+  }
+}, 'CUSTOMER_FAILED', { auth: { GET: 'customers:read', POST: 'customers:write' } });
@@ -0,0 +1,7 @@
+const paymentService = require('../../lib/payment-service');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /health (rewritten to /api/health in vercel.json)
+module.exports = vercelHandler({
+  GET: () => paymentService.getHealth()
+}, 'INTERNAL_SERVER_ERROR', { auth: false });
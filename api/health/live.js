@@ -0,0 +1,7 @@
+const health = require('../../lib/health');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /health/live (rewritten to /api/health/live in vercel.json)
+module.exports = vercelHandler({
+  GET: () => health.liveness()
+}, 'INTERNAL_SERVER_ERROR', { auth: false });
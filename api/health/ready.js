@@ -0,0 +1,11 @@
+const health = require('../../lib/health');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /health/ready (rewritten to /api/health/ready in vercel.json) - 503
+// while a configured geography is broken
+module.exports = vercelHandler({
+  GET: async (req, res) => {
+    const { statusCode, body } = await health.readiness();
+    res.status(statusCode).json(body);
+  }
+}, 'HEALTH_CHECK_FAILED', { auth: false });
@@ -0,0 +1,10 @@
+const ledger = require('../../lib/ledger');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /api/ledger/orders[?country=XX&status=...&limit=N]
+module.exports = vercelHandler({
+  GET: req => {
+    const { country, status, limit } = req.query;
+    return ledger.listOrders({ country, status, limit });
+  }
+}, 'LEDGER_LOOKUP_FAILED', { auth: 'ledger:read' });
@@ -0,0 +1,7 @@
+const ledger = require('../../../lib/ledger');
+const { vercelHandler } = require('../../../lib/http');
+
+// GET /api/ledger/orders/:id
+module.exports = vercelHandler({
+  GET: req => ledger.getOrder(req.query.id)
+}, 'LEDGER_LOOKUP_FAILED', { auth: 'ledger:read' });
@@ -0,0 +1,11 @@
+const metrics = require('../lib/metrics');
+const { circuitBreakers } = require('../lib/razorpay');
+const { vercelHandler } = require('../lib/http');
+
+// GET /metrics (rewritten to /api/metrics in vercel.json)
+module.exports = vercelHandler({
+  GET: (req, res) => {
+    res.setHeader('Content-Type', metrics.CONTENT_TYPE);
+    res.status(200).send(metrics.render(circuitBreakers()));
+  }
+}, 'INTERNAL_SERVER_ERROR', { auth: 'metrics:read' });
@@ -0,0 +1,7 @@
+const paymentStatus = require('../../../lib/payment-status');
+const { vercelHandler } = require('../../../lib/http');
+
+// GET /api/orders/:id/payments?country=XX
+module.exports = vercelHandler({
+  GET: req => paymentStatus.getOrderPayments(req.query.country, req.query.id)
+}, 'LOOKUP_FAILED', { auth: 'payments:read' });
@@ -0,0 +1,7 @@
+const paymentLinks = require('../../lib/payment-links');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /api/payment-links/:id?country=XX
+module.exports = vercelHandler({
+  GET: req => paymentLinks.getPaymentLink(req.query.country, req.query.id)
+}, 'LOOKUP_FAILED', { auth: 'links:read' });
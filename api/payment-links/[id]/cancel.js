@@ -0,0 +1,7 @@
+const paymentLinks = require('../../../lib/payment-links');
+const { vercelHandler } = require('../../../lib/http');
+
+// POST /api/payment-links/:id/cancel
+module.exports = vercelHandler({
+  POST: req => paymentLinks.cancelPaymentLink(req.body.country, req.query.id)
+}, 'CANCEL_FAILED', { auth: 'links:write' });
@@ -0,0 +1,8 @@
+const paymentLinks = require('../../lib/payment-links');
+const { vercelHandler } = require('../../lib/http');
+
+// GET|POST /api/payment-links - see server.js for the request body
+module.exports = vercelHandler({
+  GET: req => paymentLinks.listPaymentLinks(req.query.country),
+  POST: req => paymentLinks.createPaymentLink(req.body)
+}, 'PAYMENT_LINK_FAILED', { auth: { GET: 'links:read', POST: 'links:write' }, idempotent: true });
@@ -0,0 +1,7 @@
+const indiaMethods = require('../lib/india-methods');
+const { vercelHandler } = require('../lib/http');
+
+// GET /api/payment-methods?country=IN
+module.exports = vercelHandler({
+  GET: req => indiaMethods.getPaymentMethods(req.query.country)
+}, 'LOOKUP_FAILED', { auth: 'payments:read' });
@@ -0,0 +1,7 @@
+const paymentStatus = require('../../lib/payment-status');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /api/payments/:id?country=XX
+module.exports = vercelHandler({
+  GET: req => paymentStatus.getPayment(req.query.country, req.query.id)
+}, 'LOOKUP_FAILED', { auth: 'payments:read' });
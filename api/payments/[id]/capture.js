@@ -0,0 +1,7 @@
+const { capturePayment } = require('../../../lib/capture');
+const { vercelHandler } = require('../../../lib/http');
+
+// POST /api/payments/:id/capture
+module.exports = vercelHandler({
+  POST: req => capturePayment(req.body.country, req.query.id, req.body.amount)
+}, 'CAPTURE_FAILED', { auth: 'payments:manage', idempotent: true });
@@ -0,0 +1,11 @@
+const refunds = require('../../../lib/refunds');
+const { vercelHandler } = require('../../../lib/http');
+
+// GET|POST /api/payments/:id/refunds
+module.exports = vercelHandler({
+  GET: req => refunds.listRefunds(req.query.country, req.query.id),
+  POST: req => {
+    const { country, amount, speed, notes, receipt } = req.body;
+    return refunds.createRefund(country, req.query.id, { amount, speed, notes, receipt });
+  }
+}, 'REFUND_FAILED', { auth: { GET: 'payments:read', POST: 'payments:manage' }, idempotent: true });
@@ -0,0 +1,7 @@
+const { voidPayment } = require('../../../lib/capture');
+const { vercelHandler } = require('../../../lib/http');
+
+// POST /api/payments/:id/void
+module.exports = vercelHandler({
+  POST: req => voidPayment(req.body.country, req.query.id)
+}, 'VOID_FAILED', { auth: 'payments:manage', idempotent: true });
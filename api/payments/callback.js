@@ -0,0 +1,17 @@
+const { handlePaymentCallback } = require('../../lib/payment-callback');
+const { vercelHandler } = require('../../lib/http');
+
+// GET|POST /api/payments/callback?country=XX - renders the result page
+async function renderCallback(req, res) {
+  const query = req.query || {};
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const { html } = await handlePaymentCallback({ ...query, ...body }, query.country);
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.status(200).send(html);
+}
+
+module.exports = vercelHandler({
+  GET: renderCallback,
+  POST: renderCallback
+}, 'INTERNAL_SERVER_ERROR', { auth: false });
@@ -0,0 +1,8 @@
+const subscriptions = require('../../lib/subscriptions');
+const { vercelHandler } = require('../../lib/http');
+
+// GET|PATCH /api/plans/:id
+module.exports = vercelHandler({
+  GET: req => subscriptions.getPlan(req.query.id),
+  PATCH: req => subscriptions.updatePlan(req.query.id, req.body)
+}, 'PLAN_FAILED', { auth: { GET: 'subscriptions:read', PATCH: 'subscriptions:write' } });
@@ -0,0 +1,8 @@
+const subscriptions = require('../../lib/subscriptions');
+const { vercelHandler } = require('../../lib/http');
+
+// GET|POST /api/plans
+module.exports = vercelHandler({
+  GET: req => subscriptions.listPlans({ country: req.query.country }),
+  POST: req => subscriptions.createPlan(req.body)
+}, 'PLAN_FAILED', { auth: { GET: 'subscriptions:read', POST: 'subscriptions:write' } });
@@ -0,0 +1,7 @@
+const paymentService = require('../lib/payment-service');
+const { vercelHandler } = require('../lib/http');
+
+// POST /api/process-applepay-token - see server.js for the request body
+module.exports = vercelHandler({
+  POST: req => paymentService.createApplePayTokenPayment(req.body)
+}, 'PAYMENT_FAILED', { auth: 'payments:write', idempotent: true, rateLimit: true });
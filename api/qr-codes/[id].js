@@ -0,0 +1,7 @@
+const qrCodes = require('../../lib/qr-codes');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /api/qr-codes/:id?country=XX
+module.exports = vercelHandler({
+  GET: req => qrCodes.getQrCode(req.query.country, req.query.id)
+}, 'LOOKUP_FAILED', { auth: 'links:read' });
@@ -0,0 +1,7 @@
+const qrCodes = require('../../../lib/qr-codes');
+const { vercelHandler } = require('../../../lib/http');
+
+// POST /api/qr-codes/:id/close
+module.exports = vercelHandler({
+  POST: req => qrCodes.closeQrCode(req.body.country, req.query.id)
+}, 'CLOSE_FAILED', { auth: 'links:write' });
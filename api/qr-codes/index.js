@@ -0,0 +1,11 @@
+const qrCodes = require('../../lib/qr-codes');
+const { vercelHandler } = require('../../lib/http');
+
+// GET|POST /api/qr-codes - see server.js for the request body
+module.exports = vercelHandler({
+  GET: req => {
+    const { country, count, skip } = req.query;
+    return qrCodes.listQrCodes(country, { count, skip });
+  },
+  POST: req => qrCodes.createQrCode(req.body)
+}, 'QR_CODE_FAILED', { auth: { GET: 'links:read', POST: 'links:write' }, idempotent: true });
@@ -0,0 +1,7 @@
+const refunds = require('../../lib/refunds');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /api/refunds/:id?country=XX
+module.exports = vercelHandler({
+  GET: req => refunds.getRefund(req.query.country, req.query.id)
+}, 'LOOKUP_FAILED', { auth: 'payments:read' });
@@ -0,0 +1,7 @@
+const subscriptions = require('../../lib/subscriptions');
+const { vercelHandler } = require('../../lib/http');
+
+// GET /api/subscriptions/:id
+module.exports = vercelHandler({
+  GET: req => subscriptions.getSubscription(req.query.id)
+}, 'LOOKUP_FAILED', { auth: 'subscriptions:read' });
@@ -0,0 +1,7 @@
+const subscriptions = require('../../../lib/subscriptions');
+const { vercelHandler } = require('../../../lib/http');
+
+// POST /api/subscriptions/:id/cancel
+module.exports = vercelHandler({
+  POST: req => subscriptions.cancelSubscription(req.query.id)
+}, 'CANCEL_FAILED', { auth: 'subscriptions:write' });
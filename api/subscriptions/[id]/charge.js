@@ -0,0 +1,7 @@
+const subscriptions = require('../../../lib/subscriptions');
+const { vercelHandler } = require('../../../lib/http');
+
+// POST /api/subscriptions/:id/charge
+module.exports = vercelHandler({
+  POST: req => subscriptions.chargeSubscription(req.query.id, { amount: req.body.amount })
+}, 'CHARGE_FAILED', { auth: 'subscriptions:write', idempotent: true });
@@ -0,0 +1,7 @@
+const subscriptions = require('../../lib/subscriptions');
+const { vercelHandler } = require('../../lib/http');
+
+// POST /api/subscriptions/charge-due
+module.exports = vercelHandler({
+  POST: () => subscriptions.chargeDueSubscriptions()
+}, 'CHARGE_FAILED', { auth: 'subscriptions:write' });
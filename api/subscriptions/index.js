@@ -0,0 +1,14 @@
+const subscriptions = require('../../lib/subscriptions');
+const { getCallbackUrl } = require('../../lib/payment-callback');
+const { vercelHandler } = require('../../lib/http');
+
+// GET|POST /api/subscriptions
+module.exports = vercelHandler({
+  GET: req => {
+    const { country, status, plan_id } = req.query;
+    return subscriptions.listSubscriptions({ country, status, plan_id });
+  },
+  POST: req => subscriptions.createSubscription(req.body, {
+    callbackUrl: getCallbackUrl(req, req.body.country)
+  })
+}, 'SUBSCRIPTION_FAILED', { auth: { GET: 'subscriptions:read', POST: 'subscriptions:write' }, idempotent: true, rateLimit: true });
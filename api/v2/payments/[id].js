@@ -0,0 +1,7 @@
+const paymentsV2 = require('../../../lib/payments-v2');
+const { vercelHandler } = require('../../../lib/http');
+
+// GET /api/v2/payments/:id?country=XX
+module.exports = vercelHandler({
+  GET: req => paymentsV2.getPayment(req.query.country, req.query.id)
+}, 'LOOKUP_FAILED', { auth: 'payments:read', sendError: paymentsV2.sendError });
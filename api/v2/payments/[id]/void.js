@@ -0,0 +1,7 @@
+const paymentsV2 = require('../../../../lib/payments-v2');
+const { vercelHandler } = require('../../../../lib/http');
+
+// POST /api/v2/payments/:id/void
+module.exports = vercelHandler({
+  POST: req => paymentsV2.voidAuthorization(req.body.country, req.query.id)
+}, 'VOID_FAILED', { auth: 'payments:manage', idempotent: true, sendError: paymentsV2.sendError });
@@ -0,0 +1,14 @@
+const paymentsV2 = require('../../../lib/payments-v2');
+const { getCallbackUrl } = require('../../../lib/payment-callback');
+const { assertCustomer } = require('../../../lib/auth');
+const { vercelHandler } = require('../../../lib/http');
+
+// POST /api/v2/payments - see server.js / lib/payments-v2.js
+module.exports = vercelHandler({
+  POST: req => {
+    if (req.body.customer_id) assertCustomer(req.auth, req.body.customer_id);
+    return paymentsV2.createPayment(req.body, {
+      callbackUrl: getCallbackUrl(req, req.body.country)
+    });
+  }
+}, 'PAYMENT_FAILED', { auth: 'payments:write', idempotent: true, rateLimit: true, sendError: paymentsV2.sendError });
@@ -0,0 +1,7 @@
+const paymentService = require('../lib/payment-service');
+const { vercelHandler } = require('../lib/http');
+
+// POST /api/validate-apple-merchant - see server.js for the request body
+module.exports = vercelHandler({
+  POST: req => paymentService.validateAppleMerchant(req.body)
+}, 'VALIDATION_FAILED', { auth: 'payments:write' });
@@ -0,0 +1,7 @@
+const indiaMethods = require('../lib/india-methods');
+const { vercelHandler } = require('../lib/http');
+
+// POST /api/validate-vpa - see server.js for the request body
+module.exports = vercelHandler({
+  POST: req => indiaMethods.validateVpa(req.body)
+}, 'VALIDATION_FAILED', { auth: 'payments:write' });
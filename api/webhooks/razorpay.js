@@ -0,0 +1,46 @@
+const webhooks = require('../../lib/webhooks');
+const { ApiError } = require('../../lib/errors');
+const { vercelHandler } = require('../../lib/http');
+
+/**
+ * Read the unparsed request body
+ *
+ * Signature verification needs the exact bytes Razorpay sent. Plain Vercel
+ * functions do not read `config.api.bodyParser` (a Next.js option);
+ * `req.body` is a getter that parses the body on first access, so the
+ * stream is read here without touching it. Runtimes that consumed the
+ * stream already must have left the bytes as a Buffer or string.
+ */
+function readRawBody(req) {
+  if (req.readableEnded) {
+    const body = req.body;
+    if (Buffer.isBuffer(body)) {
+      return Promise.resolve(body);
+    }
+    if (typeof body === 'string') {
+      return Promise.resolve(Buffer.from(body));
+    }
+    return Promise.reject(new ApiError(500, 'WEBHOOK_FAILED', 'The raw request body is no longer available to verify the signature'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// POST /api/webhooks/razorpay[?country=XX]
+module.exports = vercelHandler({
+  POST: async (req, res) => {
+    const result = await webhooks.handleWebhook({
+      rawBody: await readRawBody(req),
+      signature: req.headers['x-razorpay-signature'],
+      eventId: req.headers['x-razorpay-event-id'],
+      country: req.query && req.query.country
+    });
+
+    res.status(result.statusCode).json(result.body);
+  }
+}, 'WEBHOOK_FAILED', { auth: false });
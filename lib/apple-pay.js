@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// APPLE PAY DOMAIN ASSOCIATION
+// ============================================
+
+const DOMAIN_ASSOCIATION_PATH = '/.well-known/apple-developer-merchantid-domain-association';
+
+/**
+ * Contents of the Apple Pay domain-association file
+ *
+ * Apple fetches it from DOMAIN_ASSOCIATION_PATH when the domain is
+ * registered. Taken from APPLE_PAY_DOMAIN_ASSOCIATION (the file contents),
+ * APPLE_PAY_DOMAIN_ASSOCIATION_FILE (a path), or the copy committed under
+ * .well-known/. Returns null when none is available.
+ */
+function getDomainAssociation() {
+  if (process.env.APPLE_PAY_DOMAIN_ASSOCIATION) {
+    return process.env.APPLE_PAY_DOMAIN_ASSOCIATION;
+  }
+
+  const file = process.env.APPLE_PAY_DOMAIN_ASSOCIATION_FILE ||
+    path.join(__dirname, '..', DOMAIN_ASSOCIATION_PATH);
+
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  DOMAIN_ASSOCIATION_PATH,
+  getDomainAssociation
+};
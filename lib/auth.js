@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const { readSetting, settingNames, settingList } = require('./config');
+const { ApiError } = require('./errors');
+const { assertId } = require('./payment-status');
+const { registerSecrets } = require('./redaction');
+const { logger } = require('./logger');
+
+// ============================================
+// CALLER AUTHENTICATION
+// ============================================
+//
+// Every payment API route needs one of
+//
+//   X-Checkout-Session: <token>  - short-lived signed token the demo page
+//                                  gets from POST /api/checkout-sessions
+//   Authorization: Bearer <key>  - API key of an internal backend service
+//
+// carrying the route's scope. Browser requests must also come from an
+// allowed origin. Razorpay's callback and webhooks, /api/config, the
+// health check and /api/checkout-sessions itself stay public.
+//
+// A backend that has signed a buyer in can ask for a session bound to the
+// buyer's Razorpay customer; that page may then use the customer's saved
+// cards, and no one else's.
+
+/**
+ * Scopes a route can require
+ *
+ *   payments:read   - payment, order and refund status, payment methods
+ *   payments:write  - create payments (every method), Apple Pay merchant
+ *                     validation, UPI ID checks
+ *   payments:manage - capture, void and refund
+ *   customers:read / customers:write - customers and saved cards
+ *   subscriptions:read / subscriptions:write - plans and subscriptions
+ *   links:read / links:write - payment links and QR codes
+ *   ledger:read     - the local transaction ledger
+ *   metrics:read    - GET /metrics
+ *
+ * An API key with `*` has every scope.
+ */
+const SCOPES = [
+  'payments:read',
+  'payments:write',
+  'payments:manage',
+  'customers:read',
+  'customers:write',
+  'subscriptions:read',
+  'subscriptions:write',
+  'links:read',
+  'links:write',
+  'ledger:read',
+  'metrics:read'
+];
+
+// The most a checkout session may do. Anyone can get a session by
+// sending an allowed Origin header, so customers, saved cards and payment
+// links (other buyers' names, e-mails, phone numbers - and links that make
+// Razorpay text or e-mail anyone) need an API key.
+const SESSION_SCOPES = ['payments:read', 'payments:write'];
+
+// Added to sessions bound to a customer, for that customer's saved cards
+// only (see assertCustomer)
+const CUSTOMER_SESSION_SCOPES = ['customers:read', 'customers:write'];
+
+const SESSION_HEADER = 'x-checkout-session';
+const SESSION_TTL_SECONDS = parseFloat(process.env.CHECKOUT_SESSION_TTL_MINUTES || '15') * 60;
+
+// development | preview | production - picks ALLOWED_ORIGINS_<ENV>. There
+// is no default: a deployment that sets neither gets no development origins
+const APP_ENV = (process.env.APP_ENV || process.env.VERCEL_ENV || '').toLowerCase();
+
+// Local pages on any localhost port
+const DEVELOPMENT_ORIGINS = ['http://localhost:*', 'http://127.0.0.1:*'];
+
+function enabled() {
+  return process.env.AUTH_REQUIRED !== 'false';
+}
+
+// ============================================
+// ORIGIN ALLOWLIST
+// ============================================
+
+/**
+ * Allowed origins of this environment
+ *
+ * ALLOWED_ORIGINS_<ENV> (e.g. ALLOWED_ORIGINS_PRODUCTION), else
+ * ALLOWED_ORIGINS, else the localhost origins in development. The
+ * deployment's own origin (PUBLIC_BASE_URL, VERCEL_URL) is always allowed.
+ * `*` in an entry matches one host label or a port:
+ * `https://*.example.com`, `http://localhost:*`. `null` is never allowed -
+ * any site can send it from a sandboxed iframe.
+ */
+function loadAllowedOrigins() {
+  if (!APP_ENV) {
+    logger.warn('APP_ENV not set - only ALLOWED_ORIGINS and this deployment\'s own origin may call the API');
+  }
+  const configured = (APP_ENV && settingList(`ALLOWED_ORIGINS_${APP_ENV.toUpperCase()}`)) || settingList('ALLOWED_ORIGINS')
+    || (APP_ENV === 'development' ? DEVELOPMENT_ORIGINS : []);
+  if (configured.includes('null')) {
+    logger.warn('Origin null ignored - serve the page from http://localhost instead');
+  }
+
+  const own = [process.env.PUBLIC_BASE_URL, process.env.VERCEL_URL && `https://${process.env.VERCEL_URL}`]
+    .filter(Boolean)
+    .map(url => new URL(url).origin);
+
+  return configured.concat(own).map(pattern => {
+    if (pattern === '*') {
+      return /^.*$/;
+    }
+    const escaped = pattern.replace(/\/$/, '').replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '[a-z0-9-]+')}$`, 'i');
+  });
+}
+
+const ALLOWED_ORIGINS = loadAllowedOrigins();
+
+function isOriginAllowed(origin) {
+  return !!origin && origin !== 'null' && ALLOWED_ORIGINS.some(pattern => pattern.test(origin));
+}
+
+function assertOrigin(origin) {
+  if (origin && !isOriginAllowed(origin)) {
+    throw new ApiError(403, 'ORIGIN_NOT_ALLOWED', `Origin ${origin} is not allowed to call this API`);
+  }
+}
+
+// ============================================
+// CHECKOUT SESSIONS
+// ============================================
+
+/**
+ * Scopes of new checkout sessions: CHECKOUT_SESSION_SCOPES, narrowed to
+ * SESSION_SCOPES
+ */
+function loadSessionScopes() {
+  const configured = settingList('CHECKOUT_SESSION_SCOPES') || SESSION_SCOPES;
+  const refused = configured.filter(scope => !SESSION_SCOPES.includes(scope));
+  if (refused.length > 0) {
+    logger.warn('Checkout sessions cannot have these scopes - use an API key', { scopes: refused });
+  }
+  return configured.filter(scope => SESSION_SCOPES.includes(scope));
+}
+
+const SESSION_SCOPES_GRANTED = loadSessionScopes();
+
+// Without CHECKOUT_SESSION_SECRET tokens only verify in the process that
+// issued them - fine locally, not across serverless instances
+const SESSION_SECRET = readSetting('CHECKOUT_SESSION_SECRET') || crypto.randomBytes(32).toString('hex');
+registerSecrets([SESSION_SECRET]);
+if (!readSetting('CHECKOUT_SESSION_SECRET') && process.env.VERCEL) {
+  logger.warn('CHECKOUT_SESSION_SECRET not set - checkout sessions only work on the instance that issued them');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a checkout session token for a page on an allowed origin
+ *
+ * The token is `<payload>.<signature>` (base64url JSON, HMAC-SHA256) and is
+ * only accepted from the same origin until it expires. With `customer`
+ * (`{ id, country }`) the session also gets CUSTOMER_SESSION_SCOPES for
+ * that one customer.
+ */
+function createCheckoutSession(origin, customer = null) {
+  if (!origin) {
+    throw new ApiError(403, 'ORIGIN_NOT_ALLOWED', 'Checkout sessions are only issued to browser pages (Origin header missing)');
+  }
+  assertOrigin(origin);
+
+  const now = Math.floor(Date.now() / 1000);
+  const session = {
+    sid: crypto.randomUUID(),
+    origin,
+    scopes: customer ? SESSION_SCOPES_GRANTED.concat(CUSTOMER_SESSION_SCOPES) : SESSION_SCOPES_GRANTED,
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS
+  };
+  if (customer) {
+    session.customer = customer;
+  }
+  const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+
+  logger.info('Checkout session issued', { session_id: session.sid, origin, customer_id: customer && customer.id });
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expires_at: new Date(session.exp * 1000).toISOString(),
+    scopes: session.scopes,
+    customer: session.customer || null
+  };
+}
+
+/**
+ * Verify a checkout session token; resolves to its payload
+ */
+function verifyCheckoutSession(token, origin) {
+  const [payload, signature] = String(token).split('.');
+  // Compared as bytes - a multibyte signature has fewer characters than bytes
+  const given = Buffer.from(signature || '');
+  const expected = Buffer.from(payload ? sign(payload) : '');
+  if (!payload || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Invalid checkout session');
+  }
+
+  const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (session.exp <= Math.floor(Date.now() / 1000)) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Checkout session expired - start a new one');
+  }
+  // Same-origin GETs carry no Origin header; anything else must match
+  if (origin && origin !== session.origin) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Checkout session was issued to another origin');
+  }
+  return session;
+}
+
+// ============================================
+// API KEYS
+// ============================================
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * API keys of internal services: API_KEY_<NAME>=<key> with
+ * API_KEY_<NAME>_SCOPES=payments:read,payments:manage
+ */
+function loadApiKeys() {
+  return settingNames()
+    .filter(name => /^API_KEY_[A-Z0-9_]+$/.test(name) && !name.endsWith('_SCOPES'))
+    .map(name => {
+      const service = name.replace(/^API_KEY_/, '').toLowerCase();
+      const scopes = settingList(`${name}_SCOPES`) || [];
+      const unknown = scopes.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+      if (scopes.length === 0 || unknown.length > 0) {
+        logger.warn('API key has no or unknown scopes', { service, unknown });
+      }
+      const key = readSetting(name);
+      registerSecrets([key]);
+      return { service, hash: hashKey(key), scopes };
+    });
+}
+
+const API_KEYS = loadApiKeys();
+
+function findApiKey(key) {
+  const hash = hashKey(key);
+  return API_KEYS.find(apiKey => crypto.timingSafeEqual(apiKey.hash, hash)) || null;
+}
+
+// ============================================
+// ROUTE GUARD
+// ============================================
+
+function identify(req, scope) {
+  if (!enabled()) {
+    return { type: 'anonymous', scopes: ['*'] };
+  }
+
+  const origin = req.headers.origin;
+  assertOrigin(origin);
+
+  const authorization = req.headers.authorization || '';
+  const sessionToken = req.headers[SESSION_HEADER];
+  let caller;
+
+  if (authorization.startsWith('Bearer ')) {
+    const apiKey = findApiKey(authorization.slice('Bearer '.length).trim());
+    if (!apiKey) {
+      throw new ApiError(401, 'UNAUTHORIZED', 'Invalid API key');
+    }
+    caller = { type: 'api_key', service: apiKey.service, scopes: apiKey.scopes };
+  } else if (sessionToken) {
+    const session = verifyCheckoutSession(sessionToken, origin);
+    // Tokens issued before a scope was withdrawn lose it too
+    const allowed = session.customer ? SESSION_SCOPES.concat(CUSTOMER_SESSION_SCOPES) : SESSION_SCOPES;
+    const scopes = session.scopes.filter(sessionScope => allowed.includes(sessionScope));
+    caller = { type: 'checkout_session', session_id: session.sid, scopes, customer: session.customer || null };
+  } else {
+    throw new ApiError(401, 'UNAUTHORIZED',
+      'Authentication required - send X-Checkout-Session (from POST /api/checkout-sessions) or Authorization: Bearer <API key>');
+  }
+
+  if (!caller.scopes.includes(scope) && !caller.scopes.includes('*')) {
+    logger.warn('Caller lacks scope', { caller: caller.service || caller.session_id, scope });
+    throw new ApiError(403, 'FORBIDDEN', `This ${caller.type === 'api_key' ? 'API key' : 'checkout session'} lacks the ${scope} scope`);
+  }
+  return caller;
+}
+
+/**
+ * Identify the caller and check it has `scope`
+ *
+ * Returns `{ type: 'api_key', service, scopes }` or
+ * `{ type: 'checkout_session', session_id, scopes, customer }`; throws 401 without
+ * valid credentials and 403 for a missing scope or a disallowed origin.
+ * Always an ApiError - garbage in a header is the caller's fault.
+ */
+function authenticate(req, scope) {
+  try {
+    return identify(req, scope);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    logger.warn('Malformed credentials', { error });
+    throw new ApiError(401, 'UNAUTHORIZED', 'Malformed credentials');
+  }
+}
+
+/**
+ * Check the caller may act for customer `customerId`
+ *
+ * API keys may act for any customer; a checkout session only for the one
+ * it is bound to. Called by every route that takes a customer ID - with
+ * none (finding or creating customers) sessions are always refused.
+ */
+function assertCustomer(caller, customerId) {
+  if (!caller || caller.type !== 'checkout_session') {
+    return;
+  }
+  if (!caller.customer || !customerId || caller.customer.id !== customerId) {
+    logger.warn('Checkout session used another customer', { session_id: caller.session_id, customer_id: customerId });
+    throw new ApiError(403, 'FORBIDDEN', 'This checkout session may only use the saved cards of its own customer');
+  }
+}
+
+/**
+ * Issue a checkout session for POST /api/checkout-sessions
+ *
+ * A page gets an unbound session for its Origin. A backend that has signed
+ * the buyer in sends `{ customer_id, country, origin }` with an API key
+ * carrying customers:write and hands the token to its page - a session
+ * can never bind itself.
+ */
+function issueCheckoutSession(req) {
+  const { customer_id: customerId, country, origin } = req.body || {};
+  if (!customerId) {
+    return createCheckoutSession(req.headers.origin);
+  }
+
+  const caller = authenticate(req, 'customers:write');
+  if (caller.type === 'checkout_session') {
+    throw new ApiError(403, 'FORBIDDEN', 'Only an API key can bind a checkout session to a customer');
+  }
+  assertId('customer', customerId);
+  if (!country) {
+    throw new ApiError(400, 'BAD_REQUEST', 'Missing required parameter: country');
+  }
+  return createCheckoutSession(origin, { id: customerId, country });
+}
+
+function defaultSendError(res, error) {
+  return res.status(error.statusCode).json(error.toJSON());
+}
+
+/**
+ * Express middleware requiring `scope` (see authenticate)
+ *
+ * The caller is left on `req.auth`. `options.sendError(res, apiError)`
+ * renders failures in another shape (e.g. the /api/v2 envelope).
+ */
+function authorize(scope, options = {}) {
+  const sendError = options.sendError || defaultSendError;
+
+  return (req, res, next) => {
+    try {
+      req.auth = authenticate(req, scope);
+    } catch (error) {
+      if (error.statusCode === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+      }
+      return sendError(res, error);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  SCOPES,
+  isOriginAllowed,
+  createCheckoutSession,
+  issueCheckoutSession,
+  authenticate,
+  authorize,
+  assertCustomer
+};
@@ -0,0 +1,168 @@
+const { RAZORPAY_CONFIGS, CAPTURE_MODES } = require('./config');
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError } = require('./errors');
+const { assertId, notFoundAware, formatPayment } = require('./payment-status');
+const { validate, schemas } = require('./validation');
+const { toMinorUnits } = require('./currencies');
+const ledger = require('./ledger');
+const { logger } = require('./logger');
+
+// ============================================
+// CAPTURE MODES, CAPTURE & VOID
+// ============================================
+
+/**
+ * Pick the capture mode for a request
+ *
+ * A `capture` value in the request body wins over the country default
+ * (RAZORPAY_CAPTURE_MODE_<CC>).
+ */
+function resolveCaptureMode(country, requested) {
+  const config = RAZORPAY_CONFIGS[country] || {};
+  const mode = requested || config.captureMode || 'auto';
+
+  if (!CAPTURE_MODES.includes(mode)) {
+    throw new ApiError(400, 'BAD_REQUEST', `Invalid capture mode: ${mode} (expected ${CAPTURE_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Order fields for a capture mode
+ *
+ * Only `auto` lets Razorpay capture; `manual` and `delayed` leave the
+ * payment authorized. Callers also put the mode in the order and payment
+ * notes so the webhook handler knows whether to schedule a capture.
+ */
+function orderCaptureFields(mode) {
+  return {
+    payment_capture: mode === 'auto' ? 1 : 0
+  };
+}
+
+async function fetchPayment(country, paymentId) {
+  return callRazorpayAPI(country, `/payments/${paymentId}`, 'GET')
+    .catch(notFoundAware('payment', paymentId));
+}
+
+function assertAuthorized(payment, action) {
+  if (payment.status !== 'authorized') {
+    throw new ApiError(409, 'INVALID_PAYMENT_STATE',
+      `Cannot ${action} payment ${payment.id} in status ${payment.status}; it must be authorized`);
+  }
+}
+
+/**
+ * Capture an authorized payment, fully or partially
+ *
+ * POST /payments/:id/capture. Omitting `amount` captures the full
+ * authorized amount; Razorpay refunds any uncaptured remainder. A
+ * decimal string `amount` is in the payment currency's major unit.
+ */
+async function capturePayment(country, paymentId, amount) {
+  validate(schemas.capture, { country, amount });
+  assertId('payment', paymentId);
+
+  const payment = await fetchPayment(country, paymentId);
+  assertAuthorized(payment, 'capture');
+
+  const captureAmount = amount === undefined || amount === null ? payment.amount : toMinorUnits(amount, payment.currency);
+  if (!Number.isInteger(captureAmount) || captureAmount <= 0 || captureAmount > payment.amount) {
+    throw new ApiError(400, 'BAD_REQUEST',
+      `Capture amount must be an integer between 1 and ${payment.amount} (authorized amount)`);
+  }
+
+  logger.info('Capturing payment', {
+    country,
+    payment_id: paymentId,
+    amount: captureAmount,
+    authorized_amount: payment.amount,
+    currency: payment.currency
+  });
+
+  const captured = await callRazorpayAPI(country, `/payments/${paymentId}/capture`, 'POST', {
+    amount: captureAmount,
+    currency: payment.currency
+  });
+
+  await ledger.updatePaymentStatus(paymentId, captured.status, 'capture', {
+    ...captured,
+    amount_captured: captured.amount_captured || captureAmount
+  });
+
+  return formatPayment(captured, country);
+}
+
+/**
+ * Release an authorization that will not be captured
+ *
+ * Razorpay has no separate void call: refunding an authorized payment
+ * reverses the hold on the card instead of waiting for the automatic
+ * expiry of uncaptured payments.
+ */
+async function voidPayment(country, paymentId) {
+  validate(schemas.void, { country });
+  assertId('payment', paymentId);
+
+  const payment = await fetchPayment(country, paymentId);
+  assertAuthorized(payment, 'void');
+
+  logger.info('Releasing authorization', { country, payment_id: paymentId });
+
+  const refund = await callRazorpayAPI(country, `/payments/${paymentId}/refund`, 'POST', {
+    amount: payment.amount,
+    notes: {
+      reason: 'authorization_void'
+    }
+  });
+
+  await ledger.updatePaymentStatus(paymentId, 'voided', 'void', payment);
+
+  return {
+    id: paymentId,
+    entity: 'payment',
+    country,
+    order_id: payment.order_id,
+    status: 'voided',
+    refund_id: refund.id,
+    amount: payment.amount,
+    currency: payment.currency
+  };
+}
+
+/**
+ * Capture a `delayed` payment once its delay has passed
+ *
+ * Called from the payment.authorized webhook. The timer lives in this
+ * process, so on serverless deployments (or after a restart) call
+ * POST /api/payments/:id/capture from a scheduled job instead.
+ */
+function scheduleDelayedCapture(payment, country) {
+  const notes = payment.notes || {};
+  if (notes.capture_mode !== 'delayed') {
+    return false;
+  }
+
+  const config = RAZORPAY_CONFIGS[country] || {};
+  const delayMs = (config.captureDelayMinutes || 0) * 60 * 1000;
+
+  logger.info('Delayed capture scheduled', { country, payment_id: payment.id, delay_minutes: config.captureDelayMinutes });
+
+  const timer = setTimeout(() => {
+    capturePayment(country, payment.id).catch(error => {
+      logger.error('Delayed capture failed', { country, payment_id: payment.id, error });
+    });
+  }, delayMs);
+  timer.unref();
+
+  return true;
+}
+
+module.exports = {
+  CAPTURE_MODES,
+  resolveCaptureMode,
+  orderCaptureFields,
+  capturePayment,
+  voidPayment,
+  scheduleDelayedCapture
+};
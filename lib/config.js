@@ -0,0 +1,283 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+const Currencies = require('./currencies');
+const { logger } = require('./logger');
+const { registerSecrets } = require('./redaction');
+
+// ============================================
+// RAZORPAY CONFIGURATION
+// ============================================
+
+// How an authorized payment is captured (see lib/capture.js)
+const CAPTURE_MODES = ['auto', 'manual', 'delayed'];
+
+// How often a subscription is billed (see lib/subscriptions.js)
+const BILLING_INTERVALS = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Payment methods a geography can enable
+//   checkout   - Razorpay Standard Checkout
+//   card       - S2S card payment (/api/create-payment)
+//   apple_pay  - S2S Apple Pay (native and hosted page)
+//   upi        - S2S UPI collect and intent (/api/create-upi-payment)
+//   netbanking - S2S netbanking (/api/create-netbanking-payment)
+//   wallet     - S2S wallets (/api/create-wallet-payment)
+const PAYMENT_METHODS = ['checkout', 'card', 'apple_pay', 'upi', 'netbanking', 'wallet'];
+
+// Enabled unless a geography lists its own methods - UPI, netbanking and
+// wallets are only offered by Razorpay's India entity
+const DEFAULT_METHODS = ['checkout', 'card', 'apple_pay'];
+
+/**
+ * Defaults for the Razorpay entities this demo started with; any other
+ * geography needs its currencies configured
+ */
+const GEOGRAPHY_PRESETS = {
+  MY: { name: 'Malaysia', currencies: ['MYR'] },
+  SG: { name: 'Singapore', currencies: ['SGD'] },
+  US: { name: 'USA', currencies: ['USD'] },
+  IN: { name: 'India', currencies: ['INR'], methods: PAYMENT_METHODS }
+};
+
+// ============================================
+// SETTINGS & SECRETS
+// ============================================
+//
+// Any setting (usually a secret) can come from, in order:
+//   1. the environment:        RAZORPAY_KEY_SECRET_MY=...
+//   2. a file named in <NAME>_FILE: RAZORPAY_KEY_SECRET_MY_FILE=/run/secrets/rzp_my
+//   3. RAZORPAY_SECRETS_DIR/<NAME>, e.g. a mounted Kubernetes or Docker
+//      secrets directory with one file per setting
+
+const SECRETS_DIR = process.env.RAZORPAY_SECRETS_DIR || '';
+
+function readSetting(name) {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  if (process.env[`${name}_FILE`]) {
+    return fs.readFileSync(process.env[`${name}_FILE`], 'utf8').trim();
+  }
+  const secretFile = SECRETS_DIR && path.join(SECRETS_DIR, name);
+  if (secretFile && fs.existsSync(secretFile)) {
+    return fs.readFileSync(secretFile, 'utf8').trim();
+  }
+  return undefined;
+}
+
+/**
+ * Names of every setting available from any source
+ */
+function settingNames() {
+  const names = Object.keys(process.env).map(name => name.replace(/_FILE$/, ''));
+  if (SECRETS_DIR && fs.existsSync(SECRETS_DIR)) {
+    names.push(...fs.readdirSync(SECRETS_DIR));
+  }
+  return Array.from(new Set(names));
+}
+
+function settingList(name) {
+  const value = readSetting(name);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+/**
+ * Geography codes and options, from RAZORPAY_GEOGRAPHIES_FILE when set
+ *
+ * The file maps a two-letter code to non-secret options:
+ *   { "MY": { "name": "Malaysia", "currencies": ["MYR"], "methods": ["card"] } }
+ *
+ * Without a file, every RAZORPAY_KEY_ID_<CC> setting is a geography.
+ * Presets come first, then the rest alphabetically.
+ */
+function readGeographies() {
+  const file = process.env.RAZORPAY_GEOGRAPHIES_FILE;
+  if (file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const presetOrder = Object.keys(GEOGRAPHY_PRESETS);
+  const rank = code => (presetOrder.includes(code) ? presetOrder.indexOf(code) : presetOrder.length);
+  const geographies = {};
+  settingNames()
+    .map(name => /^RAZORPAY_KEY_ID_([A-Z]{2})$/.exec(name))
+    .filter(Boolean)
+    .map(match => match[1])
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .forEach(code => {
+      geographies[code] = {};
+    });
+  return geographies;
+}
+
+/**
+ * One geography: file/preset options, overridden by its settings
+ *
+ * Secrets only ever come from settings (environment or secret files),
+ * never from the geographies file.
+ */
+function buildGeography(code, options = {}) {
+  const preset = GEOGRAPHY_PRESETS[code] || {};
+  const env = name => readSetting(`${name}_${code}`);
+
+  const currencies = (settingList(`RAZORPAY_CURRENCIES_${code}`) || options.currencies || preset.currencies || [])
+    .map(currency => currency.toUpperCase())
+    .filter(currency => {
+      if (!Currencies.getCurrency(currency)) {
+        logger.warn('Unknown currency ignored - add it to lib/currencies.js', { country: code, currency });
+        return false;
+      }
+      return true;
+    });
+
+  const methods = (settingList(`RAZORPAY_METHODS_${code}`) || options.methods || preset.methods || DEFAULT_METHODS)
+    .filter(method => {
+      if (!PAYMENT_METHODS.includes(method)) {
+        logger.warn('Unsupported payment method ignored', { country: code, method });
+        return false;
+      }
+      return true;
+    });
+
+  const keySecret = env('RAZORPAY_KEY_SECRET') || '';
+  const secondaryKeySecret = readSetting(`RAZORPAY_KEY_SECRET_${code}_SECONDARY`) || '';
+  const webhookSecret = env('RAZORPAY_WEBHOOK_SECRET') || '';
+  const secondaryWebhookSecret = readSetting(`RAZORPAY_WEBHOOK_SECRET_${code}_SECONDARY`) || '';
+
+  return {
+    name: env('RAZORPAY_NAME') || options.name || preset.name || code,
+    keyId: env('RAZORPAY_KEY_ID') || options.keyId || '',
+    keySecret,
+    secondaryKeyId: readSetting(`RAZORPAY_KEY_ID_${code}_SECONDARY`) || '',
+    secondaryKeySecret,
+    signingSecrets: [keySecret, secondaryKeySecret].filter(Boolean),
+    webhookSecret,
+    secondaryWebhookSecret,
+    webhookSecrets: [webhookSecret, secondaryWebhookSecret].filter(Boolean),
+    captureMode: env('RAZORPAY_CAPTURE_MODE') || options.captureMode || 'auto',
+    captureDelayMinutes: parseInt(env('RAZORPAY_CAPTURE_DELAY_MINUTES') || options.captureDelayMinutes || '60', 10),
+    currencies,
+    currency: currencies[0],  // Default for the geography
+    methods
+  };
+}
+
+/**
+ * Razorpay credentials and options by geography
+ *
+ * Each Razorpay entity (MY, SG, ...) is a separate account with its own
+ * key pair and webhook secret. The webhook secret is set on the Razorpay
+ * dashboard under Settings → Webhooks and is different from the key secret.
+ *
+ * Key rotation: API calls use the primary pair (keyId / keySecret). A
+ * secondary pair and webhook secret (`..._SECONDARY`) are still accepted
+ * when verifying signatures (signingSecrets / webhookSecrets), so orders
+ * and webhooks signed with the old secret keep working while it is
+ * rolled out.
+ *
+ * captureMode is the default for orders created in that geography:
+ *   auto    - Razorpay captures as soon as the payment is authorized
+ *   manual  - the payment stays authorized until POST /api/payments/:id/capture
+ *   delayed - captured by this server captureDelayMinutes after authorization
+ *
+ * A geography without a known currency is skipped.
+ */
+function loadGeographies() {
+  const geographies = readGeographies();
+  const configs = {};
+  Object.keys(geographies).forEach(rawCode => {
+    const code = rawCode.toUpperCase();
+    const config = buildGeography(code, geographies[rawCode]);
+    if (config.currencies.length === 0) {
+      logger.warn(`Geography skipped - set RAZORPAY_CURRENCIES_${code}`, { country: code });
+      return;
+    }
+    configs[code] = config;
+  });
+  return configs;
+}
+
+const RAZORPAY_CONFIGS = loadGeographies();
+
+// Keep every key ID and secret out of logs and error responses
+registerSecrets(Object.values(RAZORPAY_CONFIGS).reduce((values, config) => values.concat([
+  config.keyId,
+  config.keySecret,
+  config.secondaryKeyId,
+  config.secondaryKeySecret,
+  config.webhookSecret,
+  config.secondaryWebhookSecret
+]), []));
+
+// Override with the bundled simulator (npm run simulator) to work offline
+const API_BASE_URL = (process.env.RAZORPAY_API_BASE_URL || 'https://api.razorpay.com/v1').replace(/\/$/, '');
+
+/**
+ * Get Razorpay config for a country
+ */
+function getConfig(country = 'MY') {
+  const config = RAZORPAY_CONFIGS[country];
+  if (!config || !config.keySecret) {
+    throw new ApiError(400, 'BAD_REQUEST', `Invalid or unconfigured country: ${country}`);
+  }
+  return config;
+}
+
+/**
+ * Get Basic Auth header for Razorpay API
+ */
+function getAuthHeader(country = 'MY') {
+  const config = getConfig(country);
+  const credentials = Buffer.from(
+    `${config.keyId}:${config.keySecret}`
+  ).toString('base64');
+  return `Basic ${credentials}`;
+}
+
+/**
+ * Non-secret options for clients (GET /api/config)
+ *
+ * Only geographies with a key pair are listed. This is the one response
+ * that carries key IDs (primary only): Razorpay Checkout and Shield are
+ * opened with them in the browser.
+ */
+function getPublicConfig() {
+  const geographies = Object.keys(RAZORPAY_CONFIGS)
+    .filter(code => RAZORPAY_CONFIGS[code].keyId && RAZORPAY_CONFIGS[code].keySecret)
+    .map(code => {
+      const config = RAZORPAY_CONFIGS[code];
+      return {
+        code,
+        name: config.name,
+        key_id: config.keyId,
+        currencies: config.currencies.map(currency => ({
+          code: currency,
+          ...Currencies.getCurrency(currency)
+        })),
+        default_currency: config.currency,
+        methods: config.methods,
+        capture_mode: config.captureMode
+      };
+    });
+
+  return {
+    default_country: geographies.length > 0 ? geographies[0].code : null,
+    geographies
+  };
+}
+
+module.exports = {
+  RAZORPAY_CONFIGS,
+  CAPTURE_MODES,
+  BILLING_INTERVALS,
+  PAYMENT_METHODS,
+  GEOGRAPHY_PRESETS,
+  API_BASE_URL,
+  getConfig,
+  getAuthHeader,
+  getPublicConfig,
+  readSetting,
+  settingNames,
+  settingList
+};
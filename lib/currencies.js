@@ -0,0 +1,122 @@
+// ============================================
+// CURRENCY REGISTRY
+// ============================================
+//
+// ISO-4217 minor units, minimum charge amounts and formatting, shared by
+// the server (require('./currencies')) and the demo page
+// (<script src="lib/currencies.js"> -> window.Currencies).
+//
+// Amounts are integers in the currency's minor unit unless stated
+// otherwise: 500 is MYR 5.00, JPY 500 and KWD 0.500.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Currencies = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * Supported currencies
+   *
+   *   exponent  - ISO-4217 minor units (0 for JPY, 3 for KWD)
+   *   minimum   - smallest charge, in minor units
+   *   increment - amounts must be a multiple of this; Razorpay only takes
+   *               three-decimal currencies to two decimals (KWD 1.230)
+   */
+  const CURRENCIES = {
+    AED: { exponent: 2, minimum: 200 },
+    AUD: { exponent: 2, minimum: 50 },
+    BHD: { exponent: 3, minimum: 100, increment: 10 },
+    CAD: { exponent: 2, minimum: 50 },
+    EUR: { exponent: 2, minimum: 50 },
+    GBP: { exponent: 2, minimum: 30 },
+    HKD: { exponent: 2, minimum: 400 },
+    INR: { exponent: 2, minimum: 100 },
+    JOD: { exponent: 3, minimum: 100, increment: 10 },
+    JPY: { exponent: 0, minimum: 50 },
+    KRW: { exponent: 0, minimum: 500 },
+    KWD: { exponent: 3, minimum: 100, increment: 10 },
+    MYR: { exponent: 2, minimum: 100 },
+    OMR: { exponent: 3, minimum: 100, increment: 10 },
+    SGD: { exponent: 2, minimum: 50 },
+    THB: { exponent: 2, minimum: 1000 },
+    USD: { exponent: 2, minimum: 50 },
+    VND: { exponent: 0, minimum: 10000 }
+  };
+
+  function getCurrency(code) {
+    return CURRENCIES[String(code || '').toUpperCase()] || null;
+  }
+
+  /**
+   * Smallest chargeable amount in minor units (null for unknown currencies)
+   */
+  function minimumAmount(code) {
+    const currency = getCurrency(code);
+    return currency ? currency.minimum : null;
+  }
+
+  /**
+   * Convert an API amount to minor units
+   *
+   * A JSON integer is already in minor units and is returned as-is. A
+   * string is a major-unit decimal ("5.00", "5", "0.250") and is converted
+   * digit by digit, so "19.99" is exactly 1999. Returns NaN for anything
+   * else, including more decimals than the currency has.
+   */
+  function toMinorUnits(value, code) {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? value : NaN;
+    }
+
+    const currency = getCurrency(code);
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+    if (!currency || !match || (match[2] || '').length > currency.exponent) {
+      return NaN;
+    }
+
+    const minor = Number(match[1] + (match[2] || '').padEnd(currency.exponent, '0'));
+    return Number.isSafeInteger(minor) ? minor : NaN;
+  }
+
+  /**
+   * Minor units as a major-unit decimal string: 1999 MYR -> "19.99"
+   */
+  function toMajorUnits(amount, code) {
+    const currency = getCurrency(code);
+    const exponent = currency ? currency.exponent : 2;
+    const digits = String(Math.abs(amount)).padStart(exponent + 1, '0');
+    const sign = amount < 0 ? '-' : '';
+    if (exponent === 0) {
+      return `${sign}${digits}`;
+    }
+    return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+  }
+
+  /**
+   * Display an amount in minor units: 1999 MYR -> "MYR 19.99"
+   */
+  function formatAmount(amount, code, locale = 'en') {
+    const currency = getCurrency(code);
+    if (!currency) {
+      return `${toMajorUnits(amount, code)} ${code}`;
+    }
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code.toUpperCase(),
+      currencyDisplay: 'code',
+      minimumFractionDigits: currency.exponent,
+      maximumFractionDigits: currency.exponent
+    }).format(Number(toMajorUnits(amount, code)));
+  }
+
+  return {
+    CURRENCIES,
+    getCurrency,
+    minimumAmount,
+    toMinorUnits,
+    toMajorUnits,
+    formatAmount
+  };
+});
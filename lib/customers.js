@@ -0,0 +1,168 @@
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError, ValidationError } = require('./errors');
+const { toIsoTime, assertId, assertCountry, notFoundAware } = require('./payment-status');
+const { validate, schemas } = require('./validation');
+const { logger } = require('./logger');
+
+// ============================================
+// CUSTOMERS & SAVED CARDS
+// ============================================
+//
+// Returning buyers are Razorpay customers. A card payment with
+// `save: true` and a `customer_id` stores the card as a token on the
+// customer; later payments send that `token` plus the CVV instead of the
+// card details (see startCardPayment in lib/payment-service.js).
+
+// GET /customers has no search - lookups page through at most this many
+// customers, newest first
+const LOOKUP_PAGE_SIZE = 100;
+const LOOKUP_MAX_PAGES = 10;
+
+/**
+ * Trimmed customer returned by the customer endpoints
+ */
+function formatCustomer(customer, country) {
+  return {
+    id: customer.id,
+    entity: 'customer',
+    country,
+    name: customer.name || null,
+    email: customer.email || null,
+    contact: customer.contact || null,
+    notes: customer.notes || {},
+    created_at: toIsoTime(customer.created_at)
+  };
+}
+
+/**
+ * Saved card as shown in a card picker - never the full number
+ */
+function formatToken(token, country) {
+  const card = token.card ? {
+    last4: token.card.last4,
+    network: token.card.network,
+    type: token.card.type,
+    issuer: token.card.issuer,
+    name: token.card.name || null
+  } : null;
+
+  return {
+    id: token.id,
+    entity: 'token',
+    country,
+    method: token.method,
+    card,
+    recurring: !!token.recurring,
+    used_at: toIsoTime(token.used_at),
+    created_at: toIsoTime(token.created_at)
+  };
+}
+
+function requireEmailOrContact({ email, contact }) {
+  if (!email && !contact) {
+    throw new ValidationError([
+      { field: 'email', code: 'required', description: 'email or contact is required' }
+    ]);
+  }
+}
+
+/**
+ * Create a customer, or return the existing one
+ *
+ * POST /customers with `fail_existing: 0`, so Razorpay hands back the
+ * customer that already has this e-mail and contact instead of failing -
+ * a returning buyer always maps to the same customer ID.
+ */
+async function createCustomer(country, { name, email, contact, notes } = {}) {
+  validate(schemas.customer, { country, name, email, contact, notes });
+  requireEmailOrContact({ email, contact });
+
+  const customerRequest = { fail_existing: '0' };
+  if (name) customerRequest.name = name;
+  if (email) customerRequest.email = email;
+  if (contact) customerRequest.contact = contact;
+  if (notes) customerRequest.notes = notes;
+
+  const customer = await callRazorpayAPI(country, '/customers', 'POST', customerRequest);
+
+  logger.info('Customer ready', { country, customer_id: customer.id });
+  return formatCustomer(customer, country);
+}
+
+/**
+ * Find a customer by e-mail and/or contact
+ *
+ * Both given must match; e-mail is compared case-insensitively.
+ */
+async function findCustomer(country, { email, contact } = {}) {
+  validate(schemas.customerLookup, { country, email, contact });
+  requireEmailOrContact({ email, contact });
+
+  const matches = customer =>
+    (!email || String(customer.email || '').toLowerCase() === email.toLowerCase()) &&
+    (!contact || customer.contact === contact);
+
+  for (let page = 0; page < LOOKUP_MAX_PAGES; page++) {
+    const collection = await callRazorpayAPI(country,
+      `/customers?count=${LOOKUP_PAGE_SIZE}&skip=${page * LOOKUP_PAGE_SIZE}`, 'GET');
+    const items = collection.items || [];
+
+    const customer = items.find(matches);
+    if (customer) {
+      return formatCustomer(customer, country);
+    }
+    if (items.length < LOOKUP_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  throw new ApiError(404, 'NOT_FOUND', 'No customer found with this e-mail / contact');
+}
+
+/**
+ * GET /customers/:id/tokens
+ */
+async function listTokens(country, customerId) {
+  assertCountry(country);
+  assertId('customer', customerId);
+
+  const collection = await callRazorpayAPI(country, `/customers/${customerId}/tokens`, 'GET')
+    .catch(notFoundAware('customer', customerId));
+
+  return {
+    customer_id: customerId,
+    country,
+    count: collection.count,
+    items: (collection.items || []).map(token => formatToken(token, country))
+  };
+}
+
+/**
+ * DELETE /customers/:id/tokens/:token_id
+ */
+async function deleteToken(country, customerId, tokenId) {
+  assertCountry(country);
+  assertId('customer', customerId);
+  assertId('token', tokenId);
+
+  await callRazorpayAPI(country, `/customers/${customerId}/tokens/${tokenId}`, 'DELETE')
+    .catch(notFoundAware('token', tokenId));
+
+  logger.info('Saved card deleted', { country, customer_id: customerId, token_id: tokenId });
+  return {
+    id: tokenId,
+    entity: 'token',
+    customer_id: customerId,
+    country,
+    deleted: true
+  };
+}
+
+module.exports = {
+  formatCustomer,
+  formatToken,
+  createCustomer,
+  findCustomer,
+  listTokens,
+  deleteToken
+};
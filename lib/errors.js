@@ -0,0 +1,149 @@
+// ============================================
+// API ERRORS
+// ============================================
+
+/**
+ * Error that maps directly onto the `{ error: { code, description } }`
+ * response body used by every route
+ */
+class ApiError extends Error {
+  constructor(statusCode, code, description, details = {}) {
+    super(description);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        code: this.code,
+        description: this.message,
+        ...this.details
+      }
+    };
+  }
+}
+
+/**
+ * Non-2xx response from the Razorpay API
+ *
+ * Keeps Razorpay's own error code, reason, source, step and field so
+ * callers can tell a decline from a bad request. `metadata` (payment_id
+ * and order_id of a failed payment) is kept on the error but not sent.
+ */
+class RazorpayAPIError extends ApiError {
+  constructor(statusCode, razorpayError = {}) {
+    const details = {};
+    ['field', 'reason', 'source', 'step'].forEach(key => {
+      if (razorpayError[key] && razorpayError[key] !== 'NA') {
+        details[key] = razorpayError[key];
+      }
+    });
+    super(
+      statusCode,
+      razorpayError.code || 'RAZORPAY_ERROR',
+      razorpayError.description || 'Razorpay API request failed',
+      details
+    );
+    this.name = 'RazorpayAPIError';
+    this.metadata = razorpayError.metadata || {};
+  }
+}
+
+/**
+ * Razorpay rejected our API credentials (401/403)
+ *
+ * A configuration problem on our side, not the caller's, so it is sent as
+ * a 502 rather than passed through as Razorpay's 401.
+ */
+class RazorpayAuthError extends RazorpayAPIError {
+  constructor(statusCode, razorpayError = {}) {
+    super(502, razorpayError);
+    this.name = 'RazorpayAuthError';
+    this.code = 'GATEWAY_AUTH_FAILED';
+    this.providerStatus = statusCode;
+  }
+}
+
+/**
+ * Razorpay refused the request itself - a missing or invalid field
+ */
+class RazorpayValidationError extends RazorpayAPIError {
+  constructor(statusCode, razorpayError = {}) {
+    super(statusCode, razorpayError);
+    this.name = 'RazorpayValidationError';
+  }
+}
+
+/**
+ * A payment Razorpay, the bank or the customer declined (card_declined,
+ * insufficient_funds, ...) - `details.reason` says why
+ */
+class RazorpayDeclineError extends RazorpayAPIError {
+  constructor(statusCode, razorpayError = {}) {
+    super(statusCode, razorpayError);
+    this.name = 'RazorpayDeclineError';
+  }
+}
+
+/**
+ * Razorpay could not be reached or failed on its side
+ *
+ *   GATEWAY_TIMEOUT (504)     - no answer within the timeout
+ *   GATEWAY_UNAVAILABLE (503) - connection failed, Razorpay is throttling
+ *                               us or the country's circuit breaker is open
+ *   GATEWAY_ERROR (502)       - a 5xx from Razorpay
+ *   INVALID_RESPONSE (502)    - an answer that could not be read
+ *
+ * Whether a payment request got through is unknown, unless Razorpay's
+ * 5xx answer named the failed payment in `metadata`. `retryAfter`
+ * (seconds) is set while the circuit breaker is open.
+ */
+class GatewayError extends ApiError {
+  constructor(statusCode, code, description, { retryAfter, metadata = {}, ...details } = {}) {
+    super(statusCode, code, description, retryAfter ? { ...details, retry_after: retryAfter } : details);
+    this.name = 'GatewayError';
+    this.retryAfter = retryAfter;
+    this.metadata = metadata;
+  }
+}
+
+/**
+ * Request body failed validation (see lib/validation.js)
+ *
+ * `fields` is a list of `{ field, code, description }`, one per invalid
+ * field, so clients can show each message next to its input.
+ */
+class ValidationError extends ApiError {
+  constructor(fields) {
+    super(422, 'VALIDATION_ERROR', 'Request validation failed', { fields });
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+/**
+ * Too many payment attempts (see lib/rate-limit.js)
+ *
+ * `retryAfter` is in seconds and is also sent as the Retry-After header.
+ */
+class RateLimitError extends ApiError {
+  constructor(retryAfter) {
+    super(429, 'RATE_LIMITED', 'Too many payment attempts - try again later', { retry_after: retryAfter });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  ApiError,
+  RazorpayAPIError,
+  RazorpayAuthError,
+  RazorpayValidationError,
+  RazorpayDeclineError,
+  GatewayError,
+  ValidationError,
+  RateLimitError
+};
@@ -0,0 +1,235 @@
+const { RAZORPAY_CONFIGS, GEOGRAPHY_PRESETS } = require('./config');
+const { callRazorpayAPI, circuitBreakers } = require('./razorpay');
+const { RazorpayAuthError, GatewayError } = require('./errors');
+const { logger } = require('./logger');
+
+// ============================================
+// LIVENESS & READINESS
+// ============================================
+//
+//   /health/live  - the process answers; nothing else is checked, so a
+//                   Razorpay outage never gets the server restarted
+//   /health/ready - every configured geography can take payments: its key
+//                   pair is accepted by Razorpay (GET /orders?count=1, the
+//                   cheapest authenticated call), with the latency, and
+//                   nothing in its setup points at the wrong entity
+//
+// Readiness results are cached per geography for HEALTH_CACHE_SECONDS so
+// load balancer probes do not turn into a stream of Razorpay calls, and a
+// probe waits at most HEALTH_CHECK_TIMEOUT_MS - a slower check keeps
+// running and fills the cache for the next probe.
+
+const CACHE_MS = parseFloat(process.env.HEALTH_CACHE_SECONDS || '30') * 1000;
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '3000', 10);
+
+const startedAt = Date.now();
+
+// Issues that make a geography unable to take payments; the rest only
+// degrade it
+const BROKEN_ISSUES = ['CREDENTIALS_MISSING', 'CREDENTIALS_INVALID', 'UNREACHABLE'];
+
+/**
+ * GET /health/live
+ */
+function liveness() {
+  return {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime_seconds: Math.floor((Date.now() - startedAt) / 1000)
+  };
+}
+
+function issue(code, description) {
+  return { code, description };
+}
+
+/**
+ * Setup problems visible without calling Razorpay: a missing key pair, a
+ * key ID shared with another geography (one Razorpay entity serving two
+ * countries) and a geography without its home currency
+ */
+function configurationIssues(country) {
+  const config = RAZORPAY_CONFIGS[country];
+  const issues = [];
+
+  if (!config.keyId || !config.keySecret) {
+    issues.push(issue('CREDENTIALS_MISSING', `Set RAZORPAY_KEY_ID_${country} and RAZORPAY_KEY_SECRET_${country}`));
+  }
+
+  const sharing = Object.keys(RAZORPAY_CONFIGS)
+    .filter(other => other !== country && config.keyId && RAZORPAY_CONFIGS[other].keyId === config.keyId);
+  if (sharing.length > 0) {
+    issues.push(issue('ENTITY_MISMATCH', `Uses the same Razorpay key as ${sharing.join(', ')} - each geography needs its own entity`));
+  }
+
+  const preset = GEOGRAPHY_PRESETS[country];
+  if (preset && !preset.currencies.some(currency => config.currencies.includes(currency))) {
+    issues.push(issue('CURRENCY_MISMATCH',
+      `Configured for ${config.currencies.join(', ')} but a ${preset.name} entity settles in ${preset.currencies.join(', ')}`));
+  }
+
+  return issues;
+}
+
+/**
+ * Call Razorpay with the geography's keys; resolves to
+ * `{ credentials, reachable, latency_ms, issues }`
+ */
+async function probeRazorpay(country) {
+  const config = RAZORPAY_CONFIGS[country];
+  const started = Date.now();
+
+  try {
+    const latest = await callRazorpayAPI(country, '/orders?count=1', 'GET');
+    const order = latest.items && latest.items[0];
+    const issues = [];
+    // The newest order shows which currency the account really trades in
+    if (order && !config.currencies.includes(order.currency)) {
+      issues.push(issue('CURRENCY_MISMATCH',
+        `The account's latest order is in ${order.currency}, which is not configured for ${country} - are these another entity's keys?`));
+    }
+    return { credentials: 'valid', reachable: true, latency_ms: Date.now() - started, issues };
+  } catch (error) {
+    const latencyMs = Date.now() - started;
+    if (error instanceof RazorpayAuthError) {
+      return {
+        credentials: 'invalid',
+        reachable: true,
+        latency_ms: latencyMs,
+        issues: [issue('CREDENTIALS_INVALID', `Razorpay rejected the ${country} key pair: ${error.message}`)]
+      };
+    }
+    if (error instanceof GatewayError) {
+      return {
+        credentials: 'unknown',
+        reachable: false,
+        latency_ms: latencyMs,
+        issues: [issue('UNREACHABLE', error.message)]
+      };
+    }
+    return {
+      credentials: 'unknown',
+      reachable: true,
+      latency_ms: latencyMs,
+      issues: [issue('CHECK_FAILED', error.message)]
+    };
+  }
+}
+
+async function checkGeography(country) {
+  const config = RAZORPAY_CONFIGS[country];
+  const issues = configurationIssues(country);
+
+  const probe = issues.some(({ code }) => code === 'CREDENTIALS_MISSING')
+    ? { credentials: 'missing', reachable: null, latency_ms: null, issues: [] }
+    : await probeRazorpay(country);
+
+  const allIssues = issues.concat(probe.issues);
+  const broken = allIssues.some(({ code }) => BROKEN_ISSUES.includes(code));
+  const result = {
+    name: config.name,
+    status: broken ? 'broken' : (allIssues.length > 0 ? 'degraded' : 'ok'),
+    credentials: probe.credentials,
+    reachable: probe.reachable,
+    latency_ms: probe.latency_ms,
+    currencies: config.currencies,
+    issues: allIssues,
+    checked_at: new Date().toISOString()
+  };
+
+  if (result.status !== 'ok') {
+    logger.warn('Geography not ready', { country, status: result.status, issues: allIssues.map(({ code }) => code) });
+  }
+  return result;
+}
+
+// country -> { result, expiresAt } or { pending }
+const cache = new Map();
+
+/**
+ * Cached check of one geography; a check already running is shared
+ */
+function cachedCheck(country) {
+  const entry = cache.get(country);
+  if (entry && entry.result && entry.expiresAt > Date.now()) {
+    return Promise.resolve(entry.result);
+  }
+  if (entry && entry.pending) {
+    return entry.pending;
+  }
+
+  const pending = checkGeography(country)
+    .then(result => {
+      cache.set(country, { result, expiresAt: Date.now() + CACHE_MS });
+      return result;
+    })
+    .catch(error => {
+      cache.delete(country);
+      throw error;
+    });
+  cache.set(country, { ...entry, pending });
+  return pending;
+}
+
+/**
+ * The cached check, or a "still checking" result after CHECK_TIMEOUT_MS
+ */
+function checkWithin(country) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({
+      name: RAZORPAY_CONFIGS[country].name,
+      status: 'broken',
+      credentials: 'unknown',
+      reachable: false,
+      latency_ms: null,
+      currencies: RAZORPAY_CONFIGS[country].currencies,
+      issues: [issue('UNREACHABLE', `No answer from Razorpay within ${CHECK_TIMEOUT_MS}ms`)],
+      checked_at: new Date().toISOString()
+    }), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([cachedCheck(country), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * GET /health/ready - resolves to `{ statusCode, body }`
+ *
+ * 503 with `status: 'unavailable'` when no geography is configured or
+ * any of them is broken (missing or rejected keys, Razorpay unreachable);
+ * 200 `degraded` for mismatches that do not stop payments; else 200 `ok`.
+ */
+async function readiness() {
+  const countries = Object.keys(RAZORPAY_CONFIGS);
+  const results = await Promise.all(countries.map(checkWithin));
+  const breakers = circuitBreakers();
+
+  const geographies = {};
+  countries.forEach((country, index) => {
+    geographies[country] = {
+      ...results[index],
+      circuit_breaker: breakers[country] ? breakers[country].state : 'closed'
+    };
+  });
+
+  const statuses = results.map(result => result.status);
+  let status = 'ok';
+  if (countries.length === 0 || statuses.includes('broken')) {
+    status = 'unavailable';
+  } else if (statuses.includes('degraded')) {
+    status = 'degraded';
+  }
+
+  return {
+    statusCode: status === 'unavailable' ? 503 : 200,
+    body: {
+      status,
+      timestamp: new Date().toISOString(),
+      geographies
+    }
+  };
+}
+
+module.exports = {
+  liveness,
+  readiness
+};
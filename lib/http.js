@@ -0,0 +1,121 @@
+const { ApiError } = require('./errors');
+const { idempotent } = require('./idempotency');
+const { rateLimited } = require('./rate-limit');
+const { isOriginAllowed, authenticate } = require('./auth');
+const { logger, withRequestId } = require('./logger');
+const { redactSecrets } = require('./redaction');
+
+// ============================================
+// SHARED HTTP HELPERS (Express + Vercel)
+// ============================================
+
+/**
+ * CORS headers used by the Vercel handlers (Express uses `cors()`)
+ *
+ * Only origins on the allowlist get Access-Control-Allow-Origin back.
+ */
+function setCorsHeaders(req, res) {
+  res.setHeader('Vary', 'Origin');
+  if (isOriginAllowed(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Idempotency-Key, X-Request-Id, Authorization, X-Checkout-Session');
+  res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed, X-Request-Id, Retry-After');
+}
+
+/**
+ * Send an error in the standard `{ error: { code, description } }` shape
+ *
+ * ApiErrors keep their status and code (plus Retry-After when they carry
+ * one), anything else is a 500.
+ */
+function sendError(res, error, fallbackCode = 'INTERNAL_SERVER_ERROR') {
+  if (error instanceof ApiError) {
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      description: redactSecrets(error.message)
+    }
+  });
+}
+
+/**
+ * Build a Vercel serverless handler from per-method functions
+ *
+ * `methods` maps an HTTP method to `async (req, res) => body`. The body is
+ * sent as JSON with a 200; return undefined when the function has already
+ * responded itself (HTML pages, webhooks).
+ *
+ * `options.auth` is required: the scope every method needs, a
+ * `{ METHOD: scope }` map, or `false` for a public route. With
+ * `{ idempotent: true }` mutating requests honour the Idempotency-Key
+ * header, with `{ rateLimit: true }` they count towards the payment rate
+ * limits; `{ sendError(res, error) }` replaces the default error response.
+ */
+function vercelHandler(methods, fallbackCode = 'INTERNAL_SERVER_ERROR', options = {}) {
+  const respondWithError = options.sendError || ((res, error) => sendError(res, error, fallbackCode));
+
+  const scopeOf = method => (typeof options.auth === 'string' ? options.auth : options.auth && options.auth[method]);
+  const unguarded = Object.keys(methods).filter(method => options.auth !== false && !scopeOf(method));
+  if (unguarded.length > 0) {
+    throw new Error(`vercelHandler: no auth scope for ${unguarded.join(', ')} - pass options.auth (a scope, a per-method map or false)`);
+  }
+
+  const dispatch = async (req, res) => {
+    const handler = methods[req.method];
+    if (!handler) {
+      return respondWithError(res, new ApiError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    }
+
+    try {
+      const body = await handler(req, res);
+      if (body !== undefined) {
+        return res.status(200).json(body);
+      }
+    } catch (error) {
+      logger.error('request failed', { method: req.method, path: req.url, error });
+      return respondWithError(res, error);
+    }
+  };
+  const once = options.idempotent ? idempotent(dispatch, { sendError: options.sendError }) : dispatch;
+  const limited = options.rateLimit ? rateLimited(once, { sendError: options.sendError }) : once;
+
+  // Authenticate first, so rate limits can tell API keys from browsers
+  const run = async (req, res) => {
+    const scope = methods[req.method] && scopeOf(req.method);
+    if (scope) {
+      try {
+        req.auth = authenticate(req, scope);
+      } catch (error) {
+        if (error.statusCode === 401) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+        }
+        return respondWithError(res, error);
+      }
+    }
+    return limited(req, res);
+  };
+
+  return async (req, res) => {
+    setCorsHeaders(req, res);
+
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    return withRequestId(req, res, run);
+  };
+}
+
+module.exports = {
+  setCorsHeaders,
+  sendError,
+  vercelHandler
+};
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// ============================================
+// IDEMPOTENCY KEYS
+// ============================================
+//
+// A client sends `Idempotency-Key: <unique value>` on a mutating request.
+// The first response is stored and replayed for retries with the same key
+// and body, so a double-click or network retry cannot create a second
+// order or charge the card twice.
+//
+// Keys belong to the caller that sent them: the same key from another API
+// key or checkout session is a different request.
+
+const DEFAULT_TTL_MS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS || '24') * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// How long after a timed-out payment request its order must stay without
+// payments before the request may run again - Razorpay can still be
+// working on it when our timeout fires
+const SETTLE_MS = parseFloat(process.env.IDEMPOTENCY_SETTLE_SECONDS || '60') * 1000;
+
+// How long a request may hold its key as `in_progress` - longer than any
+// request takes (Razorpay's payment timeout plus retries). A key still
+// `in_progress` after that was left by a process that died mid-request.
+const LEASE_MS = parseFloat(process.env.IDEMPOTENCY_LEASE_SECONDS || '120') * 1000;
+
+/**
+ * In-memory store (default) - enough for local development, but each
+ * serverless instance has its own copy
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt < Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record || null;
+  }
+
+  /**
+   * Insert only if absent; resolves false when the key already exists
+   */
+  async create(key, record) {
+    if (await this.get(key)) {
+      return false;
+    }
+    this.records.set(key, record);
+    return true;
+  }
+
+  async set(key, record) {
+    this.records.set(key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * JSON-file store for a single long-running node
+ *
+ * Records are kept in memory and written through to `file` so they
+ * survive a restart. Not safe for several processes sharing one file.
+ */
+class FileIdempotencyStore extends MemoryIdempotencyStore {
+  constructor(file) {
+    super();
+    this.file = file;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.keys(saved).forEach(key => this.records.set(key, saved[key]));
+    } catch (error) {
+      // First run (no file yet) or unreadable file - start empty
+    }
+  }
+
+  persist() {
+    const now = Date.now();
+    const data = {};
+    this.records.forEach((record, key) => {
+      if (record.expiresAt >= now) {
+        data[key] = record;
+      }
+    });
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  async create(key, record) {
+    const created = await super.create(key, record);
+    if (created) this.persist();
+    return created;
+  }
+
+  async set(key, record) {
+    await super.set(key, record);
+    this.persist();
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    this.persist();
+  }
+}
+
+/**
+ * Store selected by IDEMPOTENCY_STORE (`memory` or `file`)
+ */
+function createStore() {
+  if (process.env.IDEMPOTENCY_STORE === 'file') {
+    return new FileIdempotencyStore(process.env.IDEMPOTENCY_STORE_FILE || path.join('data', 'idempotency.json'));
+  }
+  return new MemoryIdempotencyStore();
+}
+
+let store = createStore();
+
+/**
+ * Replace the store, e.g. with a shared one backed by a database
+ *
+ * Any object with async get/create/set/delete works.
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Serialise with sorted keys so `{a, b}` and `{b, a}` fingerprint alike
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+function defaultSendError(res, error) {
+  return res.status(error.statusCode).json(error.toJSON());
+}
+
+/**
+ * Who sent the request (req.auth, lib/auth.js) - part of the store key
+ */
+function callerOf(req) {
+  const caller = req.auth || {};
+  if (caller.type === 'api_key') {
+    return `api_key:${caller.service}`;
+  }
+  if (caller.type === 'checkout_session') {
+    return `checkout_session:${caller.session_id}`;
+  }
+  return 'anonymous';
+}
+
+/**
+ * The order a response names: `error.order_id` (v1) or `order_id` (v2)
+ */
+function orderIdOf(body) {
+  if (!body) {
+    return null;
+  }
+  return (body.error && body.error.order_id) || body.order_id || null;
+}
+
+/**
+ * Whether a response leaves it unknown if a payment was made: a timeout or
+ * unreadable answer from Razorpay (502/504) for a payment request, which
+ * names the order it was made against (lib/payment-service.js)
+ */
+function isOutcomeUnknown(captured) {
+  return [502, 504].includes(captured.statusCode) && !!orderIdOf(captured.body);
+}
+
+/**
+ * Settle a request whose outcome was unknown through its order
+ *
+ * Resolves to the payment that went through (or is still being processed)
+ * against the order, `null` when none did - then the request can run
+ * again - or throws when Razorpay cannot be asked.
+ */
+async function findOrderPayment(record) {
+  const collection = await callRazorpayAPI(record.country, `/orders/${record.orderId}/payments`, 'GET');
+  return (collection.items || []).find(payment => payment.status !== 'failed') || null;
+}
+
+/**
+ * Wrap an Express route or Vercel handler with Idempotency-Key support
+ *
+ * Requests without the header, and GET/HEAD/OPTIONS, pass straight
+ * through. Otherwise:
+ *   - first request: runs the handler and stores its response
+ *   - same key + same body: replays the stored response
+ *     (`Idempotent-Replayed: true`)
+ *   - same key + different body: 422 IDEMPOTENCY_KEY_REUSED
+ *   - same key while the first is still running: 409 IDEMPOTENCY_REQUEST_IN_PROGRESS
+ *     (after LEASE_MS the first is taken for dead and the request runs)
+ *
+ * 5xx responses are not stored, so the client can retry - except when a
+ * payment request timed out or a handler threw, where a payment may have
+ * been made. Those keys stay `unknown`: a retry looks up the order's
+ * payments and runs again only if none went through within SETTLE_MS,
+ * otherwise it gets
+ * 409 PAYMENT_ALREADY_SUBMITTED (or 409 IDEMPOTENCY_OUTCOME_UNKNOWN when
+ * there is no order to ask about). A handler that throws gets a 500
+ * INTERNAL_SERVER_ERROR sent for it. `options.sendError(res, apiError)`
+ * renders errors in another response shape (e.g. the /api/v2 envelope).
+ *
+ * A store that fails (e.g. the file cannot be written) turns into a 503
+ * before the handler runs and is only logged after it.
+ */
+function idempotent(handler, options = {}) {
+  const sendError = options.sendError || defaultSendError;
+  const sendConflict = (res, statusCode, code, description, details) =>
+    sendError(res, new ApiError(statusCode, code, description, details));
+
+  return async (req, res) => {
+    const key = req.headers['idempotency-key'];
+
+    if (!key || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return handler(req, res);
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return sendConflict(res, 400, 'BAD_REQUEST', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const route = (req.originalUrl || req.url || '').split('?')[0];
+    const storeKey = `${callerOf(req)} ${req.method} ${route} ${key}`;
+    const requestFingerprint = fingerprint(req.body);
+    const now = Date.now();
+
+    // Store writes after the response has gone out can only be logged
+    const saveQuietly = async (action, fn) => {
+      try {
+        await fn();
+      } catch (error) {
+        logger.error('Idempotency store write failed', { action, idempotency_key: key, error });
+      }
+    };
+
+    let claimed;
+    try {
+      const existing = await store.get(storeKey);
+      if (existing) {
+        if (existing.fingerprint !== requestFingerprint) {
+          return sendConflict(res, 422, 'IDEMPOTENCY_KEY_REUSED',
+            'Idempotency-Key was already used with a different request body');
+        }
+        // Records from before leases had none; they run out with the key
+        const leaseUntil = existing.leaseUntil || existing.expiresAt;
+        if (existing.state === 'in_progress' && leaseUntil > now) {
+          return sendConflict(res, 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            'A request with this Idempotency-Key is still being processed');
+        }
+        if (existing.state === 'in_progress') {
+          logger.warn('Taking over idempotent request whose lease ran out', { idempotency_key: key });
+          await store.delete(storeKey);
+        } else if (existing.state === 'unknown') {
+          if (!existing.orderId) {
+            return sendConflict(res, 409, 'IDEMPOTENCY_OUTCOME_UNKNOWN',
+              'The first request with this Idempotency-Key failed part-way - check its payment before retrying with a new key');
+          }
+          let payment;
+          try {
+            payment = await findOrderPayment(existing);
+          } catch (error) {
+            logger.warn('Could not settle an unknown idempotent request', { idempotency_key: key, order_id: existing.orderId, error });
+            return sendConflict(res, 409, 'IDEMPOTENCY_OUTCOME_UNKNOWN',
+              `The first request with this Idempotency-Key got no clear answer from Razorpay - check order ${existing.orderId} before retrying`,
+              { order_id: existing.orderId });
+          }
+          if (payment) {
+            return sendConflict(res, 409, 'PAYMENT_ALREADY_SUBMITTED',
+              `The first request with this Idempotency-Key reached Razorpay: payment ${payment.id} is ${payment.status}`,
+              { order_id: existing.orderId, payment_id: payment.id, status: payment.status });
+          }
+          if (existing.settleAfter > now) {
+            const retryAfter = Math.ceil((existing.settleAfter - now) / 1000);
+            res.setHeader('Retry-After', String(retryAfter));
+            return sendConflict(res, 409, 'IDEMPOTENCY_OUTCOME_UNKNOWN',
+              `The first request with this Idempotency-Key got no clear answer from Razorpay - retry in ${retryAfter}s`,
+              { order_id: existing.orderId, retry_after: retryAfter });
+          }
+          // Nothing went through - run the request again
+          logger.info('Retrying idempotent request that never reached Razorpay', { idempotency_key: key, order_id: existing.orderId });
+          await store.delete(storeKey);
+        } else {
+          logger.info('Replaying stored response', { idempotency_key: key });
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(existing.statusCode).json(existing.body);
+        }
+      }
+
+      claimed = await store.create(storeKey, {
+        fingerprint: requestFingerprint,
+        state: 'in_progress',
+        leaseUntil: now + LEASE_MS,
+        createdAt: now,
+        expiresAt: now + DEFAULT_TTL_MS
+      });
+    } catch (error) {
+      logger.error('Idempotency store unavailable', { idempotency_key: key, error });
+      return sendConflict(res, 503, 'IDEMPOTENCY_STORE_UNAVAILABLE', 'Idempotency keys cannot be checked right now - try again later');
+    }
+    if (!claimed) {
+      return sendConflict(res, 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+        'A request with this Idempotency-Key is still being processed');
+    }
+
+    // Capture what the handler sends
+    let captured = null;
+    const originalJson = res.json.bind(res);
+    res.json = body => {
+      captured = { statusCode: res.statusCode, body };
+      return originalJson(body);
+    };
+
+    const unknownRecord = orderId => ({
+      fingerprint: requestFingerprint,
+      state: 'unknown',
+      country: req.body && req.body.country,
+      orderId,
+      settleAfter: Date.now() + SETTLE_MS,
+      createdAt: now,
+      expiresAt: now + DEFAULT_TTL_MS
+    });
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error('Idempotent request failed', { idempotency_key: key, error });
+      await saveQuietly('set', () => store.set(storeKey, unknownRecord(null)));
+      if (!res.headersSent) {
+        sendConflict(res, 500, 'INTERNAL_SERVER_ERROR',
+          'The request failed part-way - check its payment before retrying with a new Idempotency-Key');
+      }
+      return;
+    }
+
+    if (captured && isOutcomeUnknown(captured)) {
+      await saveQuietly('set', () => store.set(storeKey, unknownRecord(orderIdOf(captured.body))));
+      return;
+    }
+
+    if (!captured || captured.statusCode >= 500) {
+      await saveQuietly('delete', () => store.delete(storeKey));
+      return;
+    }
+
+    await saveQuietly('set', () => store.set(storeKey, {
+      fingerprint: requestFingerprint,
+      state: 'completed',
+      statusCode: captured.statusCode,
+      body: captured.body,
+      createdAt: now,
+      expiresAt: now + DEFAULT_TTL_MS
+    }));
+  };
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  setStore,
+  idempotent
+};
@@ -0,0 +1,307 @@
+const { getConfig } = require('./config');
+const { callRazorpayAPI } = require('./razorpay');
+const { RazorpayAPIError, ValidationError } = require('./errors');
+const { resolveCaptureMode } = require('./capture');
+const { createOrder, submitAndRecord } = require('./payment-service');
+const { validate, schemas } = require('./validation');
+const { toMinorUnits } = require('./currencies');
+const { assertCountry } = require('./payment-status');
+const { logger } = require('./logger');
+
+// ============================================
+// UPI, NETBANKING & WALLETS
+// ============================================
+//
+// S2S methods of Razorpay's India entity. Each payment creates its order
+// with createOrder and is submitted through submitAndRecord, exactly like
+// a card payment, so the ledger, the callback page and the webhooks treat
+// every method the same:
+//
+//   upi collect - Razorpay sends a collect request to the customer's UPI
+//                 ID; they approve it in their UPI app and the outcome
+//                 arrives by webhook (or GET /api/payments/:id)
+//   upi intent  - Razorpay returns a upi:// link to open on the phone or
+//                 show as a QR code; the outcome arrives the same way
+//   netbanking  - redirect to the bank's login page, back to callback_url
+//   wallet      - redirect to the wallet's page, back to callback_url
+
+// Minutes a collect request stays open in the customer's UPI app
+const UPI_COLLECT_EXPIRY_MINUTES = 5;
+
+// Banks and wallets change rarely - GET /methods is cached per country
+const METHODS_CACHE_MS = 60 * 60 * 1000;
+
+// Display names for the wallet codes in GET /methods
+const WALLET_NAMES = {
+  airtelmoney: 'Airtel Money',
+  amazonpay: 'Amazon Pay',
+  freecharge: 'Freecharge',
+  jiomoney: 'JioMoney',
+  mobikwik: 'MobiKwik',
+  olamoney: 'Ola Money',
+  payzapp: 'PayZapp',
+  paytm: 'Paytm',
+  phonepe: 'PhonePe'
+};
+
+const methodsCache = new Map();
+
+/**
+ * UPI, banks and wallets the country's account can take
+ *
+ * GET /methods, limited to the methods the geography has enabled:
+ * `{ country, upi, netbanking: [{ code, name }], wallets: [{ code, name }] }`.
+ */
+async function getPaymentMethods(country) {
+  assertCountry(country);
+  const enabled = getConfig(country).methods;
+
+  const cached = methodsCache.get(country);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.methods;
+  }
+
+  const methods = { country, upi: false, netbanking: [], wallets: [] };
+  if (!['upi', 'netbanking', 'wallet'].some(method => enabled.includes(method))) {
+    return methods;
+  }
+
+  const available = await callRazorpayAPI(country, '/methods', 'GET');
+  const banks = available.netbanking || {};
+  const wallets = available.wallet || {};
+
+  methods.upi = enabled.includes('upi') && !!available.upi;
+  if (enabled.includes('netbanking')) {
+    methods.netbanking = Object.keys(banks)
+      .map(code => ({ code, name: banks[code] }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  if (enabled.includes('wallet')) {
+    methods.wallets = Object.keys(wallets)
+      .filter(code => wallets[code])
+      .map(code => ({ code, name: WALLET_NAMES[code] || code }));
+  }
+
+  methodsCache.set(country, { methods, expiresAt: Date.now() + METHODS_CACHE_MS });
+  return methods;
+}
+
+/**
+ * Reject a bank or wallet code the account does not offer
+ */
+function assertOffered(options, code, field) {
+  if (!options.some(option => option.code === code)) {
+    throw new ValidationError([{
+      field,
+      code: 'not_available',
+      description: `${field} ${code} is not available - see GET /api/payment-methods`
+    }]);
+  }
+}
+
+/**
+ * Check that a UPI ID exists before sending it a collect request
+ *
+ * POST /payments/validate/vpa. Resolves to `{ vpa, valid, customer_name }`
+ * - an unknown UPI ID is `valid: false`, not an error.
+ */
+async function validateVpa(body) {
+  validate(schemas.vpaValidation, body);
+  const { country, vpa } = body;
+
+  let result;
+  try {
+    result = await callRazorpayAPI(country, '/payments/validate/vpa', 'POST', { vpa });
+  } catch (error) {
+    if (error instanceof RazorpayAPIError && error.details.field === 'vpa') {
+      return { vpa, valid: false, customer_name: null };
+    }
+    throw error;
+  }
+
+  return {
+    vpa: result.vpa || vpa,
+    valid: !!result.success,
+    customer_name: result.customer_name || null
+  };
+}
+
+/**
+ * Create the order and submit the payment
+ *
+ * `fields` are the method's own payment fields (`upi`, `bank`, `wallet`).
+ * Resolves to `{ country, order, result }` like startCardPayment.
+ */
+async function startPayment(body, { method, integration, fields, endpoint, callbackUrl }) {
+  const amount = toMinorUnits(body.amount, body.currency);
+  const { currency, country, contact, email, capture, receipt, ip, referer, user_agent } = body;
+
+  const captureMode = resolveCaptureMode(country, capture);
+
+  // STEP 1: Create an Order first (required for S2S v2)
+
+  const order = await createOrder(country, {
+    amount,
+    currency,
+    receipt,
+    captureMode,
+    method,
+    notes: { integration }
+  });
+
+  // STEP 2: Create the payment with the order_id
+
+  const paymentRequest = {
+    amount,
+    currency,
+    order_id: order.id,
+    method,
+    contact,
+    email,
+    notes: {
+      capture_mode: captureMode  // Read by the payment.authorized webhook
+    },
+    ...fields
+  };
+
+  if (callbackUrl) paymentRequest.callback_url = callbackUrl;  // Bank / wallet page returns here
+  if (ip) paymentRequest.ip = ip;
+  if (referer) paymentRequest.referer = referer;
+  if (user_agent) paymentRequest.user_agent = user_agent;
+
+  logger.info('Submitting payment', { country, order_id: order.id, method, integration, amount, currency });
+
+  const result = await submitAndRecord(country, paymentRequest, {
+    orderId: order.id,
+    country,
+    amount,
+    currency,
+    method
+  }, endpoint);
+
+  logger.info('Payment created', {
+    country,
+    payment_id: result.paymentId,
+    method,
+    status: result.redirectUrl ? 'redirect' : result.intentUrl ? 'intent' : 'created'
+  });
+
+  return { country, order, result };
+}
+
+/**
+ * Create a UPI collect or intent payment
+ *
+ * Collect checks the UPI ID with validateVpa first, so a typo is a 422
+ * on `vpa` instead of a request nobody receives.
+ */
+async function startUpiPayment(body) {
+  const collect = !!body && body.flow === 'collect';
+  validate(collect ? schemas.upiCollectPayment : schemas.upiIntentPayment, body);
+
+  if (collect) {
+    const { valid } = await validateVpa({ country: body.country, vpa: body.vpa });
+    if (!valid) {
+      throw new ValidationError([{ field: 'vpa', code: 'unknown_vpa', description: 'vpa is not a registered UPI ID' }]);
+    }
+  }
+
+  return startPayment(body, {
+    method: 'upi',
+    integration: `s2s_upi_${body.flow}`,
+    endpoint: '/payments/create/upi',
+    fields: {
+      upi: collect
+        ? { flow: 'collect', vpa: body.vpa, expiry_time: UPI_COLLECT_EXPIRY_MINUTES }
+        : { flow: 'intent' }
+    }
+  });
+}
+
+/**
+ * Create a netbanking payment - the customer is redirected to `bank`
+ */
+async function startNetbankingPayment(body, { callbackUrl }) {
+  validate(schemas.netbankingPayment, body);
+  assertOffered((await getPaymentMethods(body.country)).netbanking, body.bank, 'bank');
+
+  return startPayment(body, {
+    method: 'netbanking',
+    integration: 's2s_netbanking',
+    fields: { bank: body.bank },
+    callbackUrl
+  });
+}
+
+/**
+ * Create a wallet payment - the customer is redirected to `wallet`
+ */
+async function startWalletPayment(body, { callbackUrl }) {
+  validate(schemas.walletPayment, body);
+  assertOffered((await getPaymentMethods(body.country)).wallets, body.wallet, 'wallet');
+
+  return startPayment(body, {
+    method: 'wallet',
+    integration: 's2s_wallet',
+    fields: { wallet: body.wallet },
+    callbackUrl
+  });
+}
+
+/**
+ * Create a UPI payment (v1 response shape)
+ *
+ * Intent returns `intent_url` (upi://pay?...); collect returns the `vpa`
+ * the request was sent to. Either way the payment stays `created` until
+ * the customer approves it in their UPI app.
+ */
+async function createUpiPayment(body) {
+  const { order, result } = await startUpiPayment(body);
+
+  return {
+    id: result.paymentId,
+    status: (result.data && result.data.status) || 'created',
+    order_id: order.id,
+    flow: body.flow,
+    ...(body.flow === 'collect' ? { vpa: body.vpa } : { intent_url: result.intentUrl })
+  };
+}
+
+/**
+ * Netbanking and wallet payments (v1 response shape): redirect the
+ * customer to `redirect_url`
+ */
+function redirectResponse({ order, result }) {
+  if (result.redirectUrl) {
+    return {
+      id: result.paymentId,
+      status: 'created',
+      order_id: order.id,
+      redirect_url: result.redirectUrl
+    };
+  }
+
+  return {
+    ...result.data,
+    order
+  };
+}
+
+async function createNetbankingPayment(body, options) {
+  return redirectResponse(await startNetbankingPayment(body, options));
+}
+
+async function createWalletPayment(body, options) {
+  return redirectResponse(await startWalletPayment(body, options));
+}
+
+module.exports = {
+  getPaymentMethods,
+  validateVpa,
+  startUpiPayment,
+  startNetbankingPayment,
+  startWalletPayment,
+  createUpiPayment,
+  createNetbankingPayment,
+  createWalletPayment
+};
@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// ============================================
+// TRANSACTION LEDGER
+// ============================================
+//
+// Local record of every order and payment attempt this server creates,
+// with status transitions from API responses, callbacks and webhooks.
+// Storage sits behind an adapter so the JSON file can be swapped for a
+// database without touching callers.
+
+/**
+ * In-memory adapter - also the base for the JSON-file adapter
+ *
+ * Adapter interface (all async):
+ *   getOrder(id) / saveOrder(order)
+ *   getAttempt(id) / saveAttempt(attempt)
+ *   listOrders({ country, status, limit })
+ *   listAttempts({ orderId })
+ */
+class MemoryLedgerAdapter {
+  constructor() {
+    this.orders = new Map();
+    this.attempts = new Map();
+  }
+
+  async getOrder(id) {
+    return this.orders.get(id) || null;
+  }
+
+  async saveOrder(order) {
+    this.orders.set(order.id, order);
+  }
+
+  async getAttempt(id) {
+    return this.attempts.get(id) || null;
+  }
+
+  async saveAttempt(attempt) {
+    this.attempts.set(attempt.id, attempt);
+  }
+
+  async listOrders({ country, status, limit = 50 } = {}) {
+    return Array.from(this.orders.values())
+      .filter(order => !country || order.country === country)
+      .filter(order => !status || order.status === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  async listAttempts({ orderId } = {}) {
+    return Array.from(this.attempts.values())
+      .filter(attempt => !orderId || attempt.order_id === orderId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+}
+
+/**
+ * JSON-file adapter for a single node
+ *
+ * Everything is held in memory and the whole ledger is rewritten to
+ * `file` after each change.
+ */
+class JsonFileLedgerAdapter extends MemoryLedgerAdapter {
+  constructor(file) {
+    super();
+    this.file = file;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (saved.orders || []).forEach(order => this.orders.set(order.id, order));
+      (saved.attempts || []).forEach(attempt => this.attempts.set(attempt.id, attempt));
+    } catch (error) {
+      // First run (no file yet) - start empty
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({
+      orders: Array.from(this.orders.values()),
+      attempts: Array.from(this.attempts.values())
+    }, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  async saveOrder(order) {
+    await super.saveOrder(order);
+    this.persist();
+  }
+
+  async saveAttempt(attempt) {
+    await super.saveAttempt(attempt);
+    this.persist();
+  }
+}
+
+/**
+ * Adapter selected by LEDGER_STORE (`file` or `memory`)
+ *
+ * Defaults to the JSON file locally and to memory on Vercel, where the
+ * filesystem is read-only.
+ */
+function createAdapter() {
+  const store = process.env.LEDGER_STORE || (process.env.VERCEL ? 'memory' : 'file');
+  if (store === 'memory') {
+    return new MemoryLedgerAdapter();
+  }
+  return new JsonFileLedgerAdapter(process.env.LEDGER_FILE || path.join('data', 'ledger.json'));
+}
+
+let adapter = createAdapter();
+
+/**
+ * Replace the storage adapter (see MemoryLedgerAdapter for the interface)
+ */
+function setAdapter(customAdapter) {
+  adapter = customAdapter;
+}
+
+/**
+ * Merchant receipt for a new order: `<CC>-<YYYYMMDD>-<8 random chars>`
+ *
+ * Razorpay allows 40 characters; this stays well below.
+ */
+function generateReceipt(country) {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const random = crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 8);
+  return `${country}-${date}-${random}`;
+}
+
+/**
+ * `411111******1111` - first six and last four digits only
+ */
+function maskCardNumber(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  if (digits.length < 12) {
+    return null;
+  }
+  return `${digits.slice(0, 6)}${'*'.repeat(digits.length - 10)}${digits.slice(-4)}`;
+}
+
+// Later statuses win; a late callback must not move a captured
+// payment back to authorized. A failed payment can still be authorized
+// late, never the other way round.
+const PAYMENT_STATUS_RANK = {
+  unknown: 0,
+  created: 1,
+  failed: 2,
+  authorized: 3,
+  captured: 4,
+  voided: 4,
+  refunded: 5
+};
+
+// Statuses a payment only reaches once it was authorized
+const AUTHORIZED_STATUSES = ['authorized', 'captured', 'voided', 'refunded'];
+
+/**
+ * Count a payment's move from `previousStatus` in the funnel metrics -
+ * here, so a payment reported by the API response, the callback and a
+ * webhook is still counted once. Only verified outcomes reach the ledger:
+ * Razorpay's answers, signed callbacks and webhooks, and failed callbacks
+ * confirmed with Razorpay.
+ */
+function countTransition(attempt, previousStatus) {
+  const labels = { country: attempt.country, currency: attempt.currency, method: attempt.method };
+  if (AUTHORIZED_STATUSES.includes(attempt.status) && !AUTHORIZED_STATUSES.includes(previousStatus)) {
+    metrics.paymentsAuthorized.inc(labels);
+  } else if (attempt.status === 'failed' && previousStatus !== 'failed') {
+    metrics.countFailedPayment(labels, attempt.error || {});
+  }
+}
+
+function historyEntry(status, source, extra = {}) {
+  return { status, source, at: new Date().toISOString(), ...extra };
+}
+
+/**
+ * Ledger writes must never fail a payment that Razorpay already accepted
+ */
+async function safely(action, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    logger.error('Ledger write failed', { action, error });
+    return null;
+  }
+}
+
+/**
+ * Record an order right after Razorpay created it
+ */
+function recordOrder(order, { country, method, integration, captureMode }) {
+  return safely('recordOrder', async () => {
+    const now = new Date().toISOString();
+    const entry = {
+      id: order.id,
+      receipt: order.receipt || null,
+      country,
+      amount: order.amount,
+      currency: order.currency,
+      method,
+      integration,
+      capture_mode: captureMode,
+      status: order.status || 'created',
+      status_history: [historyEntry(order.status || 'created', 'api')],
+      created_at: now,
+      updated_at: now
+    };
+    await adapter.saveOrder(entry);
+    return entry;
+  });
+}
+
+/**
+ * Record a payment attempt against an order
+ *
+ * `paymentId` may be null when Razorpay rejected the request before a
+ * payment existed (a decline still has one, in the error's metadata);
+ * the attempt then gets a local `att_` ID and keeps the raw Razorpay
+ * error. Saved-card payments pass `card: { token }` and keep
+ * the token ID instead of a masked number.
+ */
+function recordAttempt({ orderId, paymentId, country, amount, currency, method, card, shieldSession, status, error }) {
+  return safely('recordAttempt', async () => {
+    const now = new Date().toISOString();
+    const attempt = {
+      id: paymentId || `att_${crypto.randomBytes(8).toString('hex')}`,
+      payment_id: paymentId || null,
+      order_id: orderId,
+      country,
+      amount,
+      currency,
+      method,
+      card: card ? {
+        masked_number: maskCardNumber(card.number),
+        ...(card.token ? { token_id: card.token } : {})
+      } : null,
+      shield_session: shieldSession || null,
+      status,
+      error: error || null,
+      status_history: [historyEntry(status, 'api', error ? { error_code: error.code } : {})],
+      created_at: now,
+      updated_at: now
+    };
+    await adapter.saveAttempt(attempt);
+    countTransition(attempt, null);
+
+    const order = await adapter.getOrder(orderId);
+    if (order && order.status === 'created') {
+      order.status = 'attempted';
+      order.status_history.push(historyEntry('attempted', 'api', { payment_id: attempt.id }));
+      order.updated_at = now;
+      await adapter.saveOrder(order);
+    }
+    return attempt;
+  });
+}
+
+/**
+ * Move a payment to a new status
+ *
+ * Payments the ledger has not seen (e.g. from Standard Checkout) are
+ * added from `details`, which may carry order_id, country, amount,
+ * currency, method and error. A capture passes `amount_captured`, which
+ * may be less than the authorized amount.
+ */
+function updatePaymentStatus(paymentId, status, source, details = {}) {
+  return safely('updatePaymentStatus', async () => {
+    const now = new Date().toISOString();
+    let attempt = await adapter.getAttempt(paymentId);
+
+    if (!attempt) {
+      attempt = {
+        id: paymentId,
+        payment_id: paymentId,
+        order_id: details.order_id || null,
+        country: details.country || null,
+        amount: details.amount || null,
+        currency: details.currency || null,
+        method: details.method || null,
+        card: null,
+        shield_session: null,
+        status: null,
+        error: null,
+        status_history: [],
+        created_at: now,
+        updated_at: now
+      };
+    }
+
+    if (attempt.status === status ||
+        (PAYMENT_STATUS_RANK[status] || 0) < (PAYMENT_STATUS_RANK[attempt.status] || 0)) {
+      return attempt;
+    }
+
+    const previousStatus = attempt.status;
+    attempt.status = status;
+    if (details.error) {
+      attempt.error = details.error;
+    }
+    if (details.amount_captured) {
+      attempt.amount_captured = details.amount_captured;
+    }
+    attempt.status_history.push(historyEntry(status, source, details.error ? { error_code: details.error.code } : {}));
+    attempt.updated_at = now;
+    await adapter.saveAttempt(attempt);
+    countTransition(attempt, previousStatus);
+    return attempt;
+  });
+}
+
+/**
+ * Move an order to a new status (e.g. `paid` from the order.paid webhook)
+ */
+function updateOrderStatus(orderId, status, source) {
+  return safely('updateOrderStatus', async () => {
+    const order = await adapter.getOrder(orderId);
+    if (!order || order.status === status) {
+      return order;
+    }
+    order.status = status;
+    order.status_history.push(historyEntry(status, source));
+    order.updated_at = new Date().toISOString();
+    await adapter.saveOrder(order);
+    return order;
+  });
+}
+
+/**
+ * A payment attempt by payment ID, or null if the ledger has not seen it
+ */
+function findAttempt(paymentId) {
+  return adapter.getAttempt(paymentId);
+}
+
+/**
+ * An order with all of its payment attempts (404 if not in the ledger)
+ */
+async function getOrder(orderId) {
+  const order = await adapter.getOrder(orderId);
+  if (!order) {
+    throw new ApiError(404, 'NOT_FOUND', `Order ${orderId} is not in the ledger`);
+  }
+  return {
+    ...order,
+    attempts: await adapter.listAttempts({ orderId })
+  };
+}
+
+/**
+ * Most recent orders, optionally filtered by country and status
+ *
+ * `limit` defaults to 50 and is capped at 100.
+ */
+async function listOrders({ country, status, limit } = {}) {
+  const count = limit === undefined ? 50 : Number(limit);
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    throw new ApiError(400, 'BAD_REQUEST', 'limit must be an integer between 1 and 100');
+  }
+
+  const items = await adapter.listOrders({ country, status, limit: count });
+  return {
+    entity: 'collection',
+    count: items.length,
+    items
+  };
+}
+
+module.exports = {
+  MemoryLedgerAdapter,
+  JsonFileLedgerAdapter,
+  setAdapter,
+  generateReceipt,
+  maskCardNumber,
+  recordOrder,
+  recordAttempt,
+  updatePaymentStatus,
+  updateOrderStatus,
+  findAttempt,
+  getOrder,
+  listOrders
+};
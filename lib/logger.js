@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redaction');
+
+// ============================================
+// STRUCTURED LOGGING
+// ============================================
+//
+// One JSON object per line on stdout (warn and error on stderr):
+//
+// {"time":"...","level":"info","msg":"Order created","request_id":"...","order_id":"order_..."}
+//
+// Fields pass through the redaction policy in lib/redaction.js. The
+// request ID of the current request is added automatically.
+//
+//   LOG_LEVEL   debug | info (default) | warn | error
+//   LOG_FORMAT  json (default) | pretty (one readable line, for local use)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+/**
+ * Request ID of the request being handled, or null outside a request
+ */
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redact(msg),
+    request_id: currentRequestId() || undefined,
+    ...redact(fields)
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const { time, request_id: requestId, ...rest } = entry;
+    delete rest.level;
+    delete rest.msg;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${entry.msg}${extra}\n`);
+    return;
+  }
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Request ID from the X-Request-Id header, or a new one
+ */
+function resolveRequestId(req) {
+  const incoming = req.headers && req.headers['x-request-id'];
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Run `handler(req, res)` with a request ID: echoed in the X-Request-Id
+ * response header, added to every log line and forwarded to Razorpay
+ *
+ * Logs one `request completed` line with the status and duration.
+ */
+function withRequestId(req, res, handler) {
+  const requestId = resolveRequestId(req);
+  const startedAt = Date.now();
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  return requestContext.run({ requestId }, () => {
+    const path = (req.originalUrl || req.url || '').split('?')[0];
+    logger.info('request received', { method: req.method, path });
+    res.on('finish', () => {
+      // 'finish' fires outside the request's async context
+      logger.info('request completed', {
+        request_id: requestId,
+        method: req.method,
+        path,
+        status: res.statusCode,
+        duration_ms: Date.now() - startedAt
+      });
+    });
+    return handler(req, res);
+  });
+}
+
+/**
+ * Express middleware form of withRequestId
+ */
+function requestIdMiddleware(req, res, next) {
+  withRequestId(req, res, () => next());
+}
+
+module.exports = {
+  logger,
+  REQUEST_ID_HEADER,
+  currentRequestId,
+  withRequestId,
+  requestIdMiddleware
+};
@@ -0,0 +1,210 @@
+// ============================================
+// PROMETHEUS METRICS
+// ============================================
+//
+// Payment funnel counters and Razorpay API latency, served by GET /metrics
+// in the Prometheus text format. Each process (or serverless instance)
+// keeps its own values, as Prometheus expects - scrape every instance, or
+// sum them in queries.
+
+const FUNNEL_LABELS = ['country', 'currency', 'method'];
+
+// Razorpay calls take from a few ms (lookups) to many seconds (3DS, UPI)
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * `{country="MY",method="card"}` - missing labels are "unknown"
+ */
+function formatLabels(labelNames, labels, extra = '') {
+  const pairs = labelNames.map(name => {
+    const value = labels[name] === undefined || labels[name] === null || labels[name] === '' ? 'unknown' : labels[name];
+    return `${name}="${escapeLabel(value)}"`;
+  });
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    this.values.forEach((value, key) => lines.push(`${this.name}${key} ${value}`));
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name]));
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, `le="${bound}"`)} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${count}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+// ============================================
+// PAYMENT FUNNEL
+// ============================================
+
+const ordersCreated = new Counter('razorpay_orders_created_total',
+  'Razorpay orders created', FUNNEL_LABELS);
+const paymentsAttempted = new Counter('razorpay_payments_attempted_total',
+  'S2S payment requests sent to Razorpay', FUNNEL_LABELS);
+const threeDsRequired = new Counter('razorpay_payments_3ds_required_total',
+  'Card payments that redirected the customer to 3DS', FUNNEL_LABELS);
+const applePayRedirects = new Counter('razorpay_apple_pay_redirects_total',
+  'Apple Pay payments that redirected the customer to the hosted page', FUNNEL_LABELS);
+const paymentsAuthorized = new Counter('razorpay_payments_authorized_total',
+  'Payments that reached authorized (or straight to captured)', FUNNEL_LABELS);
+const paymentsFailed = new Counter('razorpay_payments_failed_total',
+  'Failed payments by Razorpay error code and reason', FUNNEL_LABELS.concat(['code', 'reason']));
+
+// Error codes and reasons kept as label values; anything else is counted
+// as `other`, so no response or webhook can add series without bound
+const FAILURE_CODES = ['BAD_REQUEST_ERROR', 'GATEWAY_ERROR', 'SERVER_ERROR', 'GATEWAY_AUTH_FAILED'];
+const FAILURE_REASONS = [
+  'authentication_failed',
+  'bank_technical_error',
+  'card_declined',
+  'card_expired',
+  'gateway_technical_error',
+  'incorrect_card_details',
+  'incorrect_otp',
+  'incorrect_pin',
+  'input_validation_failed',
+  'insufficient_funds',
+  'international_transaction_not_allowed',
+  'invalid_card_number',
+  'payment_cancelled',
+  'payment_declined',
+  'payment_failed',
+  'payment_risk_check_failed',
+  'payment_timed_out',
+  'server_error',
+  'transaction_declined'
+];
+
+function boundedLabel(value, known) {
+  if (value === undefined || value === null || value === '') {
+    return 'unknown';
+  }
+  return known.includes(value) ? value : 'other';
+}
+
+/**
+ * Count a failed payment; `error` is the ledger's `{ code, reason }`
+ */
+function countFailedPayment(labels, error = {}) {
+  paymentsFailed.inc({
+    ...labels,
+    code: boundedLabel(error.code, FAILURE_CODES),
+    reason: boundedLabel(error.reason, FAILURE_REASONS)
+  });
+}
+
+// ============================================
+// RAZORPAY API
+// ============================================
+
+const apiLatency = new Histogram('razorpay_api_request_duration_seconds',
+  'Razorpay API call latency by endpoint; status is the HTTP status, timeout or network_error',
+  ['country', 'http_method', 'endpoint', 'status']);
+
+/**
+ * Endpoint label without IDs or query: /payments/pay_123/capture ->
+ * /payments/:id/capture
+ */
+function endpointLabel(endpoint) {
+  return endpoint
+    .split('?')[0]
+    .split('/')
+    .map(segment => (/^[a-z]+_[A-Za-z0-9]+$/.test(segment) ? ':id' : segment))
+    .join('/');
+}
+
+function observeRazorpayCall({ country, method, endpoint, status, seconds }) {
+  apiLatency.observe({ country, http_method: method, endpoint: endpointLabel(endpoint), status }, seconds);
+}
+
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * Everything in the Prometheus text format (version 0.0.4)
+ *
+ * `breakers` is lib/razorpay.js's circuitBreakers(), rendered as a gauge.
+ */
+function render(breakers = {}) {
+  const gauge = [
+    '# HELP razorpay_circuit_breaker_state Razorpay circuit breaker per country: 0 closed, 1 half_open, 2 open',
+    '# TYPE razorpay_circuit_breaker_state gauge'
+  ];
+  Object.keys(breakers).forEach(country => {
+    gauge.push(`razorpay_circuit_breaker_state{country="${escapeLabel(country)}"} ${BREAKER_STATES[breakers[country].state]}`);
+  });
+
+  return [ordersCreated, paymentsAttempted, threeDsRequired, applePayRedirects, paymentsAuthorized, paymentsFailed, apiLatency]
+    .map(metric => metric.render())
+    .concat(gauge.join('\n'))
+    .join('\n\n') + '\n';
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  CONTENT_TYPE,
+  ordersCreated,
+  paymentsAttempted,
+  threeDsRequired,
+  applePayRedirects,
+  paymentsAuthorized,
+  countFailedPayment,
+  observeRazorpayCall,
+  render
+};
@@ -0,0 +1,261 @@
+const { RAZORPAY_CONFIGS } = require('./config');
+const { verifyPaymentSignature } = require('./signatures');
+const { getPayment } = require('./payment-status');
+const ledger = require('./ledger');
+const { logger } = require('./logger');
+
+// ============================================
+// 3DS / HOSTED PAGE CALLBACK
+// ============================================
+
+const CALLBACK_PATH = '/api/payments/callback';
+
+/**
+ * Public base URL of this server
+ *
+ * PUBLIC_BASE_URL wins when set (e.g. behind a proxy that rewrites Host),
+ * otherwise it is derived from the forwarded protocol and Host header.
+ */
+function getBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+  }
+  const headers = req.headers || {};
+  const proto = (headers['x-forwarded-proto'] || '').split(',')[0] || req.protocol || 'https';
+  const host = headers['x-forwarded-host'] || headers.host;
+  return `${proto}://${host}`;
+}
+
+/**
+ * URL Razorpay sends the customer back to after 3DS or the hosted page
+ *
+ * The country is carried in the URL because the signature has to be
+ * checked with that account's key secret.
+ */
+function getCallbackUrl(req, country) {
+  return `${getBaseUrl(req)}${CALLBACK_PATH}?country=${encodeURIComponent(country)}`;
+}
+
+/**
+ * Pull the `error[...]` fields out of a failed callback
+ *
+ * Express' extended urlencoded parser nests them as `error.code`, plain
+ * querystring parsers (Vercel) keep the literal `error[code]` keys.
+ */
+function extractError(params) {
+  let error = null;
+
+  if (params.error && typeof params.error === 'object') {
+    error = { ...params.error };
+  } else {
+    Object.keys(params).forEach(key => {
+      const match = key.match(/^error\[(\w+)\]$/);
+      if (match) {
+        error = error || {};
+        error[match[1]] = params[key];
+      }
+    });
+  }
+
+  if (error && typeof error.metadata === 'string') {
+    try {
+      error.metadata = JSON.parse(error.metadata);
+    } catch (e) {
+      // Leave unparseable metadata as-is
+    }
+  }
+
+  return error;
+}
+
+/**
+ * Verify the parameters Razorpay posted to the callback URL
+ *
+ * Returns `{ success, country, paymentId, orderId, error }`.
+ */
+function verifyCallback(params, country) {
+  const paymentId = params.razorpay_payment_id;
+  const orderId = params.razorpay_order_id;
+  const signature = params.razorpay_signature;
+  const config = RAZORPAY_CONFIGS[country];
+
+  const error = extractError(params);
+  if (error) {
+    const metadata = error.metadata || {};
+    return {
+      success: false,
+      country,
+      paymentId: paymentId || metadata.payment_id || null,
+      orderId: orderId || metadata.order_id || null,
+      error: {
+        code: error.code || 'PAYMENT_FAILED',
+        description: error.description || 'Payment failed',
+        reason: error.reason || null
+      }
+    };
+  }
+
+  if (!config || !config.keySecret) {
+    return {
+      success: false,
+      country,
+      paymentId: paymentId || null,
+      orderId: orderId || null,
+      error: {
+        code: 'BAD_REQUEST',
+        description: `Invalid or unconfigured country: ${country}`
+      }
+    };
+  }
+
+  if (!verifyPaymentSignature(orderId, paymentId, signature, config.signingSecrets)) {
+    return {
+      success: false,
+      country,
+      paymentId: paymentId || null,
+      orderId: orderId || null,
+      error: {
+        code: 'INVALID_SIGNATURE',
+        description: 'Payment signature verification failed'
+      }
+    };
+  }
+
+  return { success: true, country, paymentId, orderId, error: null };
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the result page the customer lands on after the callback
+ */
+function renderResultPage(result) {
+  const title = result.success ? 'Payment Successful' : 'Payment Failed';
+  const rows = [
+    ['Payment ID', result.paymentId],
+    ['Order ID', result.orderId],
+    ['Geography', result.country]
+  ];
+  if (result.error) {
+    rows.push(['Error', `${result.error.code}: ${result.error.description}`]);
+  }
+  const backUrl = process.env.DEMO_SITE_URL || '/';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+ <meta charset="UTF-8">
+ <meta name="viewport" content="width=device-width, initial-scale=1.0">
+ <title>${title}</title>
+ <style>
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+    background: #000000;
+    color: #ffffff;
+    min-height: 100vh;
+    margin: 0;
+    padding: 60px 20px;
+    box-sizing: border-box;
+  }
+  .card {
+    max-width: 560px;
+    margin: 0 auto;
+    background: rgba(255, 255, 255, 0.03);
+    border: 1px solid rgba(255, 255, 255, 0.1);
+    border-radius: 18px;
+    padding: 40px;
+  }
+  h1 { font-size: 2rem; letter-spacing: -0.03em; margin: 0 0 24px; color: ${result.success ? '#32d74b' : '#ff453a'}; }
+  dl { margin: 0 0 30px; }
+  dt { color: #86868b; font-size: 0.875rem; margin-top: 16px; }
+  dd { margin: 4px 0 0; font-family: ui-monospace, Menlo, monospace; word-break: break-all; }
+  a { display: block; text-align: center; padding: 16px; background: #ffffff; color: #000000; border-radius: 12px; text-decoration: none; font-weight: 500; }
+ </style>
+</head>
+<body>
+ <div class="card">
+  <h1>${result.success ? '✅' : '❌'} ${title}</h1>
+  <dl>
+${rows.filter(([, value]) => value).map(([label, value]) => `   <dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+  </dl>
+  <a href="${escapeHtml(backUrl)}">Back to demo</a>
+ </div>
+</body>
+</html>`;
+}
+
+/**
+ * Record a declined callback once Razorpay confirms it
+ *
+ * Nothing in a failed callback is signed - anyone can post
+ * `error[code]` with a real payment ID - so the status and error written
+ * to the ledger come from GET /payments/:id, never from the callback.
+ */
+async function recordConfirmedFailure(country, paymentId) {
+  let payment;
+  try {
+    payment = await getPayment(country, paymentId);
+  } catch (error) {
+    logger.warn('Failed callback not confirmed by Razorpay', { country, payment_id: paymentId, error });
+    return;
+  }
+  if (payment.status !== 'failed') {
+    return;
+  }
+
+  await ledger.updatePaymentStatus(payment.id, 'failed', 'callback', {
+    order_id: payment.order_id,
+    country,
+    amount: payment.amount,
+    currency: payment.currency,
+    method: payment.method,
+    error: payment.error
+  });
+}
+
+/**
+ * Handle a GET or POST to the callback URL
+ *
+ * Resolves to `{ result, html }`; routes send `html` with a 200 either
+ * way so the customer always sees the outcome. A verified payment is
+ * recorded in the ledger, a declined one only once Razorpay confirms it;
+ * unverifiable callbacks are not recorded.
+ */
+async function handlePaymentCallback(params, country) {
+  const result = verifyCallback(params || {}, country);
+
+  if (result.success) {
+    logger.info('Payment callback verified', { country, payment_id: result.paymentId, order_id: result.orderId });
+    await ledger.updatePaymentStatus(result.paymentId, 'authorized', 'callback', {
+      order_id: result.orderId,
+      country
+    });
+  } else {
+    logger.warn('Payment callback failed', {
+      country,
+      payment_id: result.paymentId,
+      error_code: result.error.code,
+      error_description: result.error.description
+    });
+    if (result.paymentId && !['BAD_REQUEST', 'INVALID_SIGNATURE'].includes(result.error.code)) {
+      await recordConfirmedFailure(country, result.paymentId);
+    }
+  }
+
+  return { result, html: renderResultPage(result) };
+}
+
+module.exports = {
+  CALLBACK_PATH,
+  getBaseUrl,
+  getCallbackUrl,
+  verifyCallback,
+  handlePaymentCallback
+};
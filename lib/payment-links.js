@@ -0,0 +1,140 @@
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError } = require('./errors');
+const { validate, schemas } = require('./validation');
+const { toMinorUnits } = require('./currencies');
+const { toIsoTime, assertId, assertCountry, notFoundAware } = require('./payment-status');
+const { logger } = require('./logger');
+
+// ============================================
+// PAYMENT LINKS
+// ============================================
+//
+// A payment link is a Razorpay-hosted page for one amount, shared over
+// chat, e-mail or on an invoice - no checkout page of our own. Razorpay
+// can send the link and reminders to the customer by SMS / e-mail, and
+// after payment redirects the customer to `callback_url` (GET).
+
+// Links in these statuses can still be paid, and so cancelled
+const CANCELLABLE = ['created', 'partially_paid'];
+
+function toUnixTime(isoTime) {
+  return Math.floor(Date.parse(isoTime) / 1000);
+}
+
+/**
+ * Trimmed payment link returned by the payment link endpoints
+ */
+function formatPaymentLink(link, country) {
+  const customer = link.customer || {};
+  return {
+    id: link.id,
+    entity: 'payment_link',
+    country,
+    short_url: link.short_url,
+    status: link.status,
+    amount: link.amount,
+    amount_paid: link.amount_paid || 0,
+    currency: link.currency,
+    description: link.description || null,
+    reference_id: link.reference_id || null,
+    customer: {
+      name: customer.name || null,
+      email: customer.email || null,
+      contact: customer.contact || null
+    },
+    reminders: !!link.reminder_enable,
+    callback_url: link.callback_url || null,
+    expire_by: toIsoTime(link.expire_by),
+    payment_ids: (link.payments || []).map(payment => payment.payment_id),
+    created_at: toIsoTime(link.created_at)
+  };
+}
+
+/**
+ * Create a payment link
+ *
+ * POST /payment_links. `expire_by` is an ISO time (at least 15 minutes
+ * ahead), `reminders` turns on Razorpay's reminder SMS / e-mails and
+ * `notify` sends the link itself.
+ */
+async function createPaymentLink(body) {
+  validate(schemas.paymentLink, body);
+
+  const { country, currency, description, reference_id, customer, expire_by, reminders, notify, callback_url, notes } = body;
+
+  const linkRequest = {
+    amount: toMinorUnits(body.amount, currency),
+    currency,
+    reminder_enable: !!reminders,
+    notify: {
+      sms: !!(notify && notify.sms),
+      email: !!(notify && notify.email)
+    }
+  };
+  if (description) linkRequest.description = description;
+  if (reference_id) linkRequest.reference_id = reference_id;
+  if (customer) linkRequest.customer = customer;
+  if (expire_by) linkRequest.expire_by = toUnixTime(expire_by);
+  if (notes) linkRequest.notes = notes;
+  if (callback_url) {
+    linkRequest.callback_url = callback_url;
+    linkRequest.callback_method = 'get';
+  }
+
+  const link = await callRazorpayAPI(country, '/payment_links', 'POST', linkRequest);
+
+  logger.info('Payment link created', { country, payment_link_id: link.id, amount: link.amount, currency: link.currency });
+  return formatPaymentLink(link, country);
+}
+
+/**
+ * GET /payment_links/:id
+ */
+async function getPaymentLink(country, linkId) {
+  assertCountry(country);
+  assertId('payment_link', linkId);
+
+  const link = await callRazorpayAPI(country, `/payment_links/${linkId}`, 'GET')
+    .catch(notFoundAware('payment_link', linkId));
+  return formatPaymentLink(link, country);
+}
+
+/**
+ * GET /payment_links - every link of the country's account
+ */
+async function listPaymentLinks(country) {
+  assertCountry(country);
+
+  const collection = await callRazorpayAPI(country, '/payment_links', 'GET');
+  const items = (collection.payment_links || []).map(link => formatPaymentLink(link, country));
+
+  return {
+    country,
+    count: items.length,
+    items
+  };
+}
+
+/**
+ * Cancel a link that has not been paid, so it can no longer be used
+ */
+async function cancelPaymentLink(country, linkId) {
+  const current = await getPaymentLink(country, linkId);
+  if (!CANCELLABLE.includes(current.status)) {
+    throw new ApiError(409, 'INVALID_LINK_STATE',
+      `Payment link ${linkId} is ${current.status} and can no longer be cancelled`);
+  }
+
+  const link = await callRazorpayAPI(country, `/payment_links/${linkId}/cancel`, 'POST', {});
+
+  logger.info('Payment link cancelled', { country, payment_link_id: linkId });
+  return formatPaymentLink(link, country);
+}
+
+module.exports = {
+  formatPaymentLink,
+  createPaymentLink,
+  getPaymentLink,
+  listPaymentLinks,
+  cancelPaymentLink
+};
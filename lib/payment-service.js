@@ -0,0 +1,639 @@
+const { RAZORPAY_CONFIGS } = require('./config');
+const { requestRazorpay, parseJsonResponse, callRazorpayAPI } = require('./razorpay');
+const { ApiError, RazorpayAPIError, GatewayError } = require('./errors');
+const { resolveCaptureMode, orderCaptureFields } = require('./capture');
+const { validate, schemas } = require('./validation');
+const { toMinorUnits } = require('./currencies');
+const ledger = require('./ledger');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+// ============================================
+// PAYMENT SERVICE
+// ============================================
+//
+// Order creation, S2S payment creation and response parsing shared by
+// server.js and every api/* serverless function, so a payment behaves the
+// same locally and on Vercel.
+
+/**
+ * Create a Razorpay order (required before an S2S payment)
+ *
+ * `receipt` defaults to a generated merchant reference. The order is
+ * recorded in the ledger with `method` and `notes.integration`. `fields`
+ * adds further order fields, e.g. the recurring mandate (`customer_id`,
+ * `token`) in lib/subscriptions.js.
+ */
+async function createOrder(country, { amount, currency, receipt, captureMode, method, notes = {}, fields = {} }) {
+  const order = await callRazorpayAPI(country, '/orders', 'POST', {
+    amount,
+    currency,
+    receipt: receipt || ledger.generateReceipt(country),
+    ...orderCaptureFields(captureMode),
+    ...fields,
+    notes: {
+      ...notes,
+      capture_mode: captureMode
+    }
+  });
+
+  logger.info('Order created', { country, order_id: order.id, receipt: order.receipt, capture_mode: captureMode });
+  metrics.ordersCreated.inc({ country, currency: order.currency, method });
+
+  await ledger.recordOrder(order, {
+    country,
+    method,
+    integration: notes.integration,
+    captureMode
+  });
+
+  return order;
+}
+
+/**
+ * Pull the redirect URL out of an HTML meta-refresh page
+ */
+function extractMetaRefreshUrl(html) {
+  const match = html.match(/url=([^"'\s>]+)/i);
+  return match ? match[1].replace(/&amp;/g, '&') : null;
+}
+
+/**
+ * Find the payment ID in a redirect URL, falling back to the page body
+ */
+function extractPaymentId(url, html) {
+  const fromUrl = url && url.match(/payments\/(pay_[A-Za-z0-9]+)/);
+  if (fromUrl) {
+    return fromUrl[1];
+  }
+  const fromHtml = html && html.match(/(pay_[A-Za-z0-9]+)/);
+  return fromHtml ? fromHtml[1] : null;
+}
+
+/**
+ * URL of the first `next[]` action of the given type, or null
+ */
+function nextActionUrl(data, type) {
+  const next = Array.isArray(data.next)
+    ? data.next.find(action => action.action === type && action.url)
+    : null;
+  return next ? next.url : null;
+}
+
+/**
+ * Interpret a /payments/create/json (or /payments/create/upi) response
+ *
+ * Razorpay answers in one of three ways:
+ *   - JSON with a `next[]` array: a `redirect` action (3DS, hosted Apple
+ *     Pay page, bank or wallet login), an `intent` action (UPI intent
+ *     link) and/or a `poll` action (UPI, waiting for the customer's app)
+ *   - an HTML page with a meta refresh to a redirect URL
+ *   - plain JSON when no customer action is needed
+ *
+ * Returns `{ paymentId, redirectUrl, intentUrl, data }`; the URLs are null
+ * when absent and `data` is null for HTML responses.
+ */
+function parsePaymentResponse(response) {
+  logger.debug('Payment response received', { status: response.status, content_type: response.contentType });
+
+  if (response.contentType.includes('application/json')) {
+    const data = parseJsonResponse(response);
+
+    return {
+      paymentId: data.razorpay_payment_id || data.id || null,
+      redirectUrl: nextActionUrl(data, 'redirect'),
+      intentUrl: nextActionUrl(data, 'intent'),
+      data
+    };
+  }
+
+  const redirectUrl = extractMetaRefreshUrl(response.text);
+  if (!redirectUrl) {
+    logger.error('Payment response has no redirect URL', { status: response.status, body: response.text.substring(0, 500) });
+    throw new ApiError(502, 'INVALID_RESPONSE', 'Received HTML response but could not extract redirect URL', {
+      details: response.text.substring(0, 200)
+    });
+  }
+
+  return {
+    paymentId: extractPaymentId(redirectUrl, response.text),
+    redirectUrl,
+    intentUrl: null,
+    data: null
+  };
+}
+
+/**
+ * POST a payment (/payments/create/json by default) and parse the result
+ *
+ * Merchant-initiated recurring charges use /payments/create/recurring and
+ * UPI payments /payments/create/upi, which answer with the same JSON.
+ */
+async function submitPayment(country, paymentRequest, endpoint = '/payments/create/json') {
+  const response = await requestRazorpay(country, endpoint, 'POST', paymentRequest);
+  return parsePaymentResponse(response);
+}
+
+/**
+ * Submit a payment and record the attempt in the ledger
+ *
+ * `attempt` carries orderId, country, amount, currency, method and
+ * optionally card and shieldSession. Razorpay errors are recorded with
+ * their raw code, reason, source and step before being rethrown.
+ * Attempts, 3DS and Apple Pay redirects are counted in lib/metrics.js;
+ * the ledger counts authorizations and failures.
+ */
+async function submitAndRecord(country, paymentRequest, attempt, endpoint) {
+  const labels = { country, currency: attempt.currency, method: attempt.method };
+  metrics.paymentsAttempted.inc(labels);
+
+  let result;
+  try {
+    result = await submitPayment(country, paymentRequest, endpoint);
+  } catch (error) {
+    if (error instanceof GatewayError) {
+      // The payment may have gone through - name its order so the caller
+      // (and lib/idempotency.js) can look it up
+      error.metadata = { order_id: attempt.orderId, ...error.metadata };
+      error.details = { ...error.details, order_id: attempt.orderId };
+    }
+    await ledger.recordAttempt({
+      ...attempt,
+      // A decline already has a payment, which later callbacks and
+      // webhooks update rather than adding a second attempt
+      paymentId: (error.metadata && error.metadata.payment_id) || null,
+      // Anything other than a Razorpay error (timeout, bad HTML) leaves
+      // the outcome unknown until a webhook arrives
+      status: error instanceof RazorpayAPIError ? 'failed' : 'unknown',
+      error: { code: error.code || 'UNKNOWN_ERROR', description: error.message, ...error.details }
+    });
+    throw error;
+  }
+
+  await ledger.recordAttempt({
+    ...attempt,
+    paymentId: result.paymentId,
+    status: result.redirectUrl ? 'created' : (result.data.status || 'created')
+  });
+
+  if (result.redirectUrl && attempt.method === 'card') {
+    metrics.threeDsRequired.inc(labels);
+  } else if (result.redirectUrl && attempt.method === 'apple_pay') {
+    metrics.applePayRedirects.inc(labels);
+  }
+
+  return result;
+}
+
+/**
+ * Card details as Razorpay expects them: digits only, 4-digit expiry year
+ */
+function cardDetails(card) {
+  let expiryYear = String(card.expiry_year || '');
+  if (expiryYear.length === 2) {
+    expiryYear = '20' + expiryYear;
+  }
+
+  return {
+    number: String(card.number).replace(/[\s-]/g, ''),
+    name: card.name,
+    expiry_month: card.expiry_month,
+    expiry_year: expiryYear,
+    cvv: card.cvv
+  };
+}
+
+/**
+ * Create the order and card payment for an S2S request
+ *
+ * `body` is the /api/create-payment request body; `callbackUrl` is where
+ * Razorpay sends the customer after 3DS. Resolves to
+ * `{ country, order, result }` with `result` from parsePaymentResponse;
+ * createCardPayment (v1) and lib/payments-v2.js shape it for clients.
+ *
+ * Saved cards (lib/customers.js): `save: true` with a `customer_id`
+ * tokenizes the card; `token` with a `customer_id` pays with a saved
+ * card and only needs `card.cvv`.
+ */
+async function startCardPayment(body, { callbackUrl }) {
+  const savedCard = !!(body && body.token);
+  validate(savedCard ? schemas.tokenCardPayment : schemas.cardPayment, body);
+
+  const amount = toMinorUnits(body.amount, body.currency);
+  const {
+    currency,
+    country,
+    contact,
+    email,
+    method,
+    card,
+    authentication,
+    browser,
+    ip,
+    referer,
+    user_agent,
+    device_fingerprint,
+    capture,
+    receipt,
+    customer_id,
+    token,
+    save
+  } = body;
+
+  const captureMode = resolveCaptureMode(country, capture);
+
+  // STEP 1: Create an Order first (required for S2S v2)
+
+  const order = await createOrder(country, {
+    amount,
+    currency,
+    receipt,
+    captureMode,
+    method,
+    notes: {
+      integration: savedCard ? 's2s_saved_card' : 's2s_card'
+    }
+  });
+
+  // STEP 2: Create Payment with the order_id
+
+  const paymentRequest = {
+    amount,
+    currency,
+    order_id: order.id,  // IMPORTANT: Include order_id
+    method,
+    contact,
+    email,
+    callback_url: callbackUrl,  // 3DS returns here
+    notes: {
+      capture_mode: captureMode  // Read by the payment.authorized webhook
+    },
+    card: savedCard ? { cvv: card.cvv } : cardDetails(card)
+  };
+
+  if (savedCard) {
+    paymentRequest.customer_id = customer_id;
+    paymentRequest.token = token;
+  } else if (save) {
+    paymentRequest.customer_id = customer_id;
+    paymentRequest.save = 1;  // Razorpay stores the card as a token on the customer
+  }
+
+  // Add authentication data if provided (for 3DS)
+  if (authentication) paymentRequest.authentication = authentication;
+
+  // Add browser fingerprint if provided
+  if (browser) paymentRequest.browser = browser;
+
+  // Add device fingerprint (Shield) if provided
+  if (device_fingerprint) {
+    paymentRequest.device_fingerprint = device_fingerprint;
+  }
+
+  // Add additional metadata
+  if (ip) paymentRequest.ip = ip;
+  if (referer) paymentRequest.referer = referer;
+  if (user_agent) paymentRequest.user_agent = user_agent;
+
+  logger.info('Submitting card payment', {
+    country,
+    order_id: order.id,
+    amount,
+    currency,
+    card_last4: savedCard ? undefined : String(card.number).slice(-4),
+    token_id: token,
+    save: !!save,
+    shield: !!device_fingerprint
+  });
+
+  const result = await submitAndRecord(country, paymentRequest, {
+    orderId: order.id,
+    country,
+    amount,
+    currency,
+    method,
+    card: savedCard ? { token } : card,
+    shieldSession: device_fingerprint && device_fingerprint.gateway_session_id
+  });
+
+  logger.info('Card payment created', {
+    country,
+    payment_id: result.paymentId,
+    status: result.redirectUrl ? 'requires_3ds' : result.data.status
+  });
+
+  return { country, order, result };
+}
+
+/**
+ * Create a card payment using S2S integration (v1 response shape)
+ */
+async function createCardPayment(body, options) {
+  const { order, result } = await startCardPayment(body, options);
+
+  if (result.redirectUrl) {
+    return {
+      id: result.paymentId,
+      status: 'authorized',
+      order_id: order.id,
+      authentication: {
+        authentication_url: result.redirectUrl
+      },
+      requires_3ds: true
+    };
+  }
+
+  // Return payment response (includes order details)
+  return {
+    ...result.data,
+    order
+  };
+}
+
+/**
+ * Create the order and hosted-page Apple Pay payment
+ *
+ * No token is needed - Razorpay shows Apple Pay on its hosted page and
+ * the customer is redirected there. Resolves to `{ country, order, result }`.
+ */
+async function startApplePayPayment(body, { callbackUrl }) {
+  validate(schemas.applePayPayment, body);
+
+  const amount = toMinorUnits(body.amount, body.currency);
+  const { currency, country, contact, email, capture, receipt } = body;
+
+  const captureMode = resolveCaptureMode(country, capture);
+
+  // STEP 1: Create an Order first (required for S2S v2)
+
+  const order = await createOrder(country, {
+    amount,
+    currency,
+    receipt,
+    captureMode,
+    method: 'apple_pay',
+    notes: {
+      integration: 's2s_applepay'
+    }
+  });
+
+  // STEP 2: Create Payment with Apple Pay
+
+  const paymentRequest = {
+    amount,
+    currency,
+    order_id: order.id,
+    method: 'card',  // Use "card" for Apple Pay
+    contact: contact || '+60123456789',
+    email: email || 'applepay@example.com',
+    callback_url: callbackUrl,  // Hosted page returns here
+    notes: {
+      capture_mode: captureMode  // Read by the payment.authorized webhook
+    },
+    app: {
+      name: 'apple_pay'  // This tells Razorpay to show Apple Pay on hosted page
+    }
+  };
+
+  logger.info('Submitting hosted Apple Pay payment', { country, order_id: order.id, amount, currency });
+
+  const result = await submitAndRecord(country, paymentRequest, {
+    orderId: order.id,
+    country,
+    amount,
+    currency,
+    method: 'apple_pay'
+  });
+
+  logger.info('Apple Pay payment created', {
+    country,
+    payment_id: result.paymentId,
+    status: result.redirectUrl ? 'hosted_page' : result.data.status
+  });
+
+  return { country, order, result };
+}
+
+/**
+ * Create an Apple Pay payment using S2S integration (v1 response shape)
+ */
+async function createApplePayPayment(body, options) {
+  const { order, result } = await startApplePayPayment(body, options);
+
+  if (result.redirectUrl) {
+    return {
+      id: result.paymentId,
+      status: 'created',
+      order_id: order.id,
+      apple_pay_url: result.redirectUrl,
+      requires_apple_pay: true,
+      message: 'Redirect user to apple_pay_url to complete payment'
+    };
+  }
+
+  // Return payment response (includes order details)
+  return {
+    ...result.data,
+    order
+  };
+}
+
+/**
+ * Validate an Apple Pay merchant session through Razorpay
+ *
+ * Uses the credentials of the selected country, since each Razorpay
+ * entity is registered with Apple separately. Returns the merchant
+ * session to pass to session.completeMerchantValidation().
+ */
+async function validateAppleMerchant(body) {
+  validate(schemas.appleMerchantValidation, body);
+
+  const amount = toMinorUnits(body.amount, body.currency);
+  const { validationURL, domain, displayName, currency, country, contact, email } = body;
+
+  logger.info('Requesting Apple Pay merchant session', {
+    country,
+    domain,
+    display_name: displayName,
+    amount,
+    currency,
+    validation_url: validationURL.substring(0, 50)
+  });
+
+  // Call Razorpay's Apple Pay create/ajax endpoint
+  // This endpoint initiates the payment and returns the Apple Pay merchant session
+  const validationRequest = {
+    method: 'app',
+    amount,
+    contact,
+    email,
+    currency,
+    app: {
+      name: 'apple_pay'
+    },
+    initiative_context_url: domain,
+    merchant_validation_url: validationURL,
+    save: 0
+  };
+
+  const data = await callRazorpayAPI(country, '/payments/create/ajax', 'POST', validationRequest);
+
+  // The session data is in data.data.session_data
+  if (!data.data || !data.data.session_data) {
+    logger.error('No merchant session in Razorpay response', { country, response: data });
+    throw new ApiError(502, 'VALIDATION_FAILED', 'No merchant session received from Razorpay');
+  }
+
+  logger.info('Apple Pay merchant session obtained', { country });
+  return data.data.session_data;
+}
+
+/**
+ * Create the order and pay with the token from
+ * ApplePaySession.onpaymentauthorized
+ *
+ * The token (`event.payment.token`) is forwarded to Razorpay as-is; it
+ * is encrypted for Razorpay's Apple Pay merchant certificate and cannot
+ * be read here. Resolves to `{ country, order, result }`.
+ */
+async function startApplePayTokenPayment(body) {
+  validate(schemas.applePayTokenPayment, body);
+
+  const amount = toMinorUnits(body.amount, body.currency);
+  const { currency, country, contact, email, token, billing_contact, capture, receipt } = body;
+
+  const captureMode = resolveCaptureMode(country, capture);
+
+  // STEP 1: Create an Order first (required for S2S v2)
+
+  const order = await createOrder(country, {
+    amount,
+    currency,
+    receipt,
+    captureMode,
+    method: 'apple_pay',
+    notes: {
+      integration: 's2s_applepay_token'
+    }
+  });
+
+  // STEP 2: Create Payment with the Apple Pay token
+
+  const billingEmail = billing_contact && billing_contact.emailAddress;
+  const billingPhone = billing_contact && billing_contact.phoneNumber;
+
+  const paymentRequest = {
+    amount,
+    currency,
+    order_id: order.id,
+    method: 'app',
+    provider: 'apple_pay',
+    contact: contact || billingPhone,
+    email: email || billingEmail,
+    notes: {
+      capture_mode: captureMode  // Read by the payment.authorized webhook
+    },
+    app: {
+      name: 'apple_pay',
+      token: {
+        payment_data: token.paymentData,
+        payment_method: token.paymentMethod,
+        transaction_identifier: token.transactionIdentifier
+      }
+    }
+  };
+
+  logger.info('Submitting Apple Pay token payment', {
+    country,
+    order_id: order.id,
+    amount,
+    currency,
+    network: token.paymentMethod && token.paymentMethod.network
+  });
+
+  const result = await submitAndRecord(country, paymentRequest, {
+    orderId: order.id,
+    country,
+    amount,
+    currency,
+    method: 'apple_pay'
+  });
+
+  logger.info('Apple Pay token payment created', {
+    country,
+    payment_id: result.paymentId,
+    status: result.redirectUrl ? 'requires_action' : result.data.status
+  });
+
+  return { country, order, result };
+}
+
+/**
+ * Pay with a native Apple Pay token (v1 response shape)
+ *
+ * Returns `{ id, status, order_id }` where status is `authorized`/
+ * `captured` on success, or `created` plus `redirect_url` when Razorpay
+ * still wants the customer to complete a step.
+ */
+async function createApplePayTokenPayment(body) {
+  const { order, result } = await startApplePayTokenPayment(body);
+
+  if (result.redirectUrl) {
+    return {
+      id: result.paymentId,
+      status: 'created',
+      order_id: order.id,
+      redirect_url: result.redirectUrl
+    };
+  }
+
+  const status = result.data.status || 'authorized';
+
+  return {
+    id: result.paymentId,
+    status,
+    order_id: order.id
+  };
+}
+
+/**
+ * Configuration summary reported by the health endpoints
+ *
+ * Reports whether each key pair is set, never the key IDs or secrets.
+ */
+function getHealth() {
+  const countries = {};
+  Object.keys(RAZORPAY_CONFIGS).forEach(country => {
+    countries[country] = {
+      configured: !!(RAZORPAY_CONFIGS[country].keyId && RAZORPAY_CONFIGS[country].keySecret),
+      secondaryKey: !!(RAZORPAY_CONFIGS[country].secondaryKeyId && RAZORPAY_CONFIGS[country].secondaryKeySecret),
+      name: RAZORPAY_CONFIGS[country].name,
+      currencies: RAZORPAY_CONFIGS[country].currencies,
+      methods: RAZORPAY_CONFIGS[country].methods,
+      captureMode: RAZORPAY_CONFIGS[country].captureMode
+    };
+  });
+
+  return {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    environment: process.env.VERCEL ? 'vercel' : 'local',
+    countries
+  };
+}
+
+module.exports = {
+  createOrder,
+  parsePaymentResponse,
+  submitPayment,
+  submitAndRecord,
+  cardDetails,
+  startCardPayment,
+  createCardPayment,
+  startApplePayPayment,
+  createApplePayPayment,
+  validateAppleMerchant,
+  startApplePayTokenPayment,
+  createApplePayTokenPayment,
+  getHealth
+};
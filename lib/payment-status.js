@@ -0,0 +1,164 @@
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError, RazorpayAPIError } = require('./errors');
+
+// ============================================
+// PAYMENT & ORDER LOOKUPS
+// ============================================
+
+const ID_PATTERNS = {
+  payment: /^pay_[A-Za-z0-9]+$/,
+  order: /^order_[A-Za-z0-9]+$/,
+  refund: /^rfnd_[A-Za-z0-9]+$/,
+  customer: /^cust_[A-Za-z0-9]+$/,
+  token: /^token_[A-Za-z0-9]+$/,
+  payment_link: /^plink_[A-Za-z0-9]+$/,
+  qr_code: /^qr_[A-Za-z0-9]+$/
+};
+
+function toIsoTime(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+/**
+ * Reject anything that is not a Razorpay ID of the expected entity
+ * before it is put into an API path
+ */
+function assertId(entity, id) {
+  if (!id || !ID_PATTERNS[entity].test(id)) {
+    throw new ApiError(400, 'BAD_REQUEST', `Invalid ${entity} ID: ${id}`);
+  }
+}
+
+function assertCountry(country) {
+  if (!country) {
+    throw new ApiError(400, 'BAD_REQUEST', 'Missing required parameter: country');
+  }
+}
+
+/**
+ * Turn Razorpay's "id does not exist" 400 into a 404
+ */
+function notFoundAware(entity, id) {
+  return error => {
+    if (error instanceof RazorpayAPIError && /does not exist/i.test(error.message)) {
+      throw new ApiError(404, 'NOT_FOUND', `No ${entity} found with ID ${id}`);
+    }
+    throw error;
+  };
+}
+
+/**
+ * Trimmed payment status returned by the lookup endpoints
+ */
+function formatPayment(payment, country) {
+  const card = payment.card ? {
+    last4: payment.card.last4,
+    network: payment.card.network,
+    type: payment.card.type,
+    issuer: payment.card.issuer,
+    international: payment.card.international
+  } : null;
+
+  return {
+    id: payment.id,
+    entity: 'payment',
+    country,
+    order_id: payment.order_id,
+    status: payment.status,
+    captured: !!payment.captured,
+    amount: payment.amount,
+    amount_refunded: payment.amount_refunded || 0,
+    refund_status: payment.refund_status || null,
+    currency: payment.currency,
+    method: payment.method,
+    card,
+    vpa: payment.vpa || null,
+    bank: payment.bank || null,
+    wallet: payment.wallet || null,
+    email: payment.email || null,
+    contact: payment.contact || null,
+    error: payment.error_code ? {
+      code: payment.error_code,
+      description: payment.error_description,
+      reason: payment.error_reason || null,
+      source: payment.error_source || null,
+      step: payment.error_step || null
+    } : null,
+    created_at: toIsoTime(payment.created_at)
+  };
+}
+
+/**
+ * Trimmed order status returned by the lookup endpoints
+ */
+function formatOrder(order, country) {
+  return {
+    id: order.id,
+    entity: 'order',
+    country,
+    status: order.status,
+    amount: order.amount,
+    amount_paid: order.amount_paid,
+    amount_due: order.amount_due,
+    currency: order.currency,
+    receipt: order.receipt || null,
+    attempts: order.attempts,
+    created_at: toIsoTime(order.created_at)
+  };
+}
+
+/**
+ * GET /payments/:id with card details expanded
+ */
+async function getPayment(country, paymentId) {
+  assertCountry(country);
+  assertId('payment', paymentId);
+
+  const payment = await callRazorpayAPI(country, `/payments/${paymentId}?expand[]=card`, 'GET')
+    .catch(notFoundAware('payment', paymentId));
+
+  return formatPayment(payment, country);
+}
+
+/**
+ * GET /orders/:id
+ */
+async function getOrder(country, orderId) {
+  assertCountry(country);
+  assertId('order', orderId);
+
+  const order = await callRazorpayAPI(country, `/orders/${orderId}`, 'GET')
+    .catch(notFoundAware('order', orderId));
+
+  return formatOrder(order, country);
+}
+
+/**
+ * GET /orders/:id/payments - every attempt made against an order
+ */
+async function getOrderPayments(country, orderId) {
+  assertCountry(country);
+  assertId('order', orderId);
+
+  const collection = await callRazorpayAPI(country, `/orders/${orderId}/payments?expand[]=card`, 'GET')
+    .catch(notFoundAware('order', orderId));
+
+  return {
+    order_id: orderId,
+    country,
+    count: collection.count,
+    items: (collection.items || []).map(payment => formatPayment(payment, country))
+  };
+}
+
+module.exports = {
+  toIsoTime,
+  assertId,
+  assertCountry,
+  notFoundAware,
+  formatPayment,
+  formatOrder,
+  getPayment,
+  getOrder,
+  getOrderPayments
+};
@@ -0,0 +1,328 @@
+const { RAZORPAY_CONFIGS } = require('./config');
+const { ApiError, RazorpayAPIError } = require('./errors');
+const { verifyPaymentSignature } = require('./signatures');
+const paymentService = require('./payment-service');
+const indiaMethods = require('./india-methods');
+const paymentStatus = require('./payment-status');
+const { capturePayment, voidPayment } = require('./capture');
+const { logger } = require('./logger');
+const { redactSecrets } = require('./redaction');
+
+// ============================================
+// /api/v2 PAYMENT CONTRACT
+// ============================================
+//
+// Every v2 payment endpoint - success or error - answers with one envelope:
+//
+// {
+//   api_version: "v2",
+//   payment_id:  "pay_..." | null,
+//   order_id:    "order_..." | null,
+//   country, amount, currency (null on errors),
+//   state:       one of STATES, or null when no payment was affected,
+//   next_action: { type: "redirect", url }      - send the customer to url
+//              | { type: "upi_intent", url }    - open the upi:// link or show it as a QR code
+//              | { type: "upi_collect", vpa }   - the customer approves in their UPI app
+//              | { type: "none" },
+//   error:       null | { code, description, reason, field, fields, provider_code }
+// }
+//
+// `error.code` is one of ERROR_CODES and stays stable across Razorpay
+// changes; `provider_code` carries Razorpay's own code for debugging.
+// VALIDATION_ERROR lists every invalid input in `fields` as
+// `{ field, code, description }` (see lib/validation.js).
+
+const API_VERSION = 'v2';
+
+/**
+ * Payment states
+ *
+ *   requires_action - the customer must follow next_action (3DS, hosted page,
+ *                     bank or wallet page, UPI app)
+ *   processing      - submitted, outcome not known yet (wait for a webhook)
+ *   authorized      - funds held, not captured
+ *   captured        - funds captured
+ *   voided          - authorization released without capture
+ *   refunded        - fully refunded
+ *   failed          - declined or errored; see `error`
+ */
+const STATES = ['requires_action', 'processing', 'authorized', 'captured', 'voided', 'refunded', 'failed'];
+
+/**
+ * Stable error codes and their HTTP status
+ */
+const ERROR_CODES = {
+  INVALID_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  INVALID_STATE: 409,
+  VALIDATION_ERROR: 422,
+  IDEMPOTENCY_KEY_REUSED: 422,
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: 409,
+  IDEMPOTENCY_OUTCOME_UNKNOWN: 409,
+  PAYMENT_ALREADY_SUBMITTED: 409,
+  RATE_LIMITED: 429,
+  CARD_DECLINED: 402,
+  INSUFFICIENT_FUNDS: 402,
+  AUTHENTICATION_FAILED: 402,
+  PAYMENT_FAILED: 402,
+  PROVIDER_ERROR: 502,
+  PROVIDER_UNAVAILABLE: 503,
+  PROVIDER_TIMEOUT: 504,
+  SERVICE_UNAVAILABLE: 503,
+  INTERNAL_ERROR: 500
+};
+
+// Razorpay error reasons with their own stable code
+const REASON_CODES = {
+  card_declined: 'CARD_DECLINED',
+  insufficient_funds: 'INSUFFICIENT_FUNDS',
+  authentication_failed: 'AUTHENTICATION_FAILED',
+  input_validation_failed: 'INVALID_REQUEST'
+};
+
+// Codes raised by this server (ApiError) that already mean the same thing
+const API_ERROR_CODES = {
+  BAD_REQUEST: 'INVALID_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  ORIGIN_NOT_ALLOWED: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_PAYMENT_STATE: 'INVALID_STATE',
+  ALREADY_REFUNDED: 'INVALID_STATE',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+  IDEMPOTENCY_OUTCOME_UNKNOWN: 'IDEMPOTENCY_OUTCOME_UNKNOWN',
+  PAYMENT_ALREADY_SUBMITTED: 'PAYMENT_ALREADY_SUBMITTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  RATE_LIMIT_STORE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  IDEMPOTENCY_STORE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  INVALID_RESPONSE: 'PROVIDER_ERROR',
+  GATEWAY_ERROR: 'PROVIDER_ERROR',
+  GATEWAY_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+  GATEWAY_TIMEOUT: 'PROVIDER_TIMEOUT',
+  VALIDATION_FAILED: 'PROVIDER_ERROR'
+};
+
+// Razorpay payment status -> v2 state
+const PAYMENT_STATES = {
+  created: 'processing',
+  authorized: 'authorized',
+  captured: 'captured',
+  refunded: 'refunded',
+  failed: 'failed',
+  voided: 'voided'
+};
+
+/**
+ * Map any error to a stable v2 error code
+ */
+function stableErrorCode(error) {
+  if (error instanceof RazorpayAPIError) {
+    const reason = error.details.reason;
+    if (REASON_CODES[reason]) {
+      return REASON_CODES[reason];
+    }
+    if (error.statusCode >= 500 || error.statusCode === 401) {
+      return 'PROVIDER_ERROR';
+    }
+    return error.details.field ? 'INVALID_REQUEST' : 'PAYMENT_FAILED';
+  }
+  if (error instanceof ApiError) {
+    return API_ERROR_CODES[error.code] || (error.statusCode >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+  }
+  return 'INTERNAL_ERROR';
+}
+
+function envelope({ paymentId = null, orderId = null, country = null, amount = null, currency = null, state = null, nextAction = null, error = null }) {
+  return {
+    api_version: API_VERSION,
+    payment_id: paymentId,
+    order_id: orderId,
+    country,
+    amount,
+    currency,
+    state,
+    next_action: nextAction || { type: 'none' },
+    error
+  };
+}
+
+/**
+ * Error envelope and HTTP status for any thrown error
+ *
+ * Payments Razorpay rejected carry their payment and order IDs from the
+ * error metadata and `state: 'failed'`; request errors have `state: null`.
+ */
+function errorEnvelope(error) {
+  const code = stableErrorCode(error);
+  const metadata = error.metadata || {};
+  const failed = ERROR_CODES[code] === 402 || !!metadata.payment_id;
+
+  return {
+    statusCode: ERROR_CODES[code],
+    body: envelope({
+      paymentId: metadata.payment_id || null,
+      orderId: metadata.order_id || null,
+      state: failed ? 'failed' : null,
+      error: {
+        code,
+        description: redactSecrets(error.message),
+        reason: (error.details && error.details.reason) || null,
+        field: (error.details && error.details.field) || null,
+        fields: (error.details && error.details.fields) || null,
+        provider_code: error instanceof RazorpayAPIError ? error.code : null
+      }
+    })
+  };
+}
+
+/**
+ * Send any error as a v2 envelope (used as `sendError` by the routes,
+ * vercelHandler and idempotent)
+ */
+function sendError(res, error) {
+  if (!(error instanceof ApiError)) {
+    logger.error('v2 request failed', { error });
+  }
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+  const { statusCode, body } = errorEnvelope(error);
+  return res.status(statusCode).json(body);
+}
+
+/**
+ * What the customer has to do next, or null
+ */
+function startedNextAction({ result, vpa }) {
+  if (result.redirectUrl) {
+    return { type: 'redirect', url: result.redirectUrl };
+  }
+  if (result.intentUrl) {
+    return { type: 'upi_intent', url: result.intentUrl };
+  }
+  if (vpa) {
+    return { type: 'upi_collect', vpa };
+  }
+  return null;
+}
+
+/**
+ * State of a payment straight after it was submitted
+ *
+ * A next action means the customer still has to act. Without one, trust
+ * Razorpay's status if present, else a valid razorpay_signature (only
+ * issued for an authorized payment); anything else is still processing.
+ */
+function startedState(started) {
+  const { country, order, result } = started;
+  if (startedNextAction(started)) {
+    return 'requires_action';
+  }
+
+  const data = result.data || {};
+  if (PAYMENT_STATES[data.status]) {
+    return PAYMENT_STATES[data.status];
+  }
+
+  const config = RAZORPAY_CONFIGS[country] || {};
+  if (data.razorpay_signature &&
+      verifyPaymentSignature(order.id, result.paymentId, data.razorpay_signature, config.signingSecrets)) {
+    return 'authorized';
+  }
+  return 'processing';
+}
+
+function fromStarted(started) {
+  const { country, order, result } = started;
+  return envelope({
+    paymentId: result.paymentId,
+    orderId: order.id,
+    country,
+    amount: order.amount,
+    currency: order.currency,
+    state: startedState(started),
+    nextAction: startedNextAction(started)
+  });
+}
+
+function fromPayment(payment) {
+  return envelope({
+    paymentId: payment.id,
+    orderId: payment.order_id,
+    country: payment.country,
+    amount: payment.amount,
+    currency: payment.currency,
+    state: PAYMENT_STATES[payment.status] || 'processing',
+    error: payment.error ? {
+      code: REASON_CODES[payment.error.reason] || 'PAYMENT_FAILED',
+      description: payment.error.description,
+      reason: payment.error.reason,
+      field: null,
+      fields: null,
+      provider_code: payment.error.code
+    } : null
+  });
+}
+
+/**
+ * Create a payment of any S2S method
+ *
+ * `method: "card"` takes the /api/create-payment body. `method:
+ * "apple_pay"` uses the native token flow when `token` is present and
+ * Razorpay's hosted Apple Pay page otherwise. `upi`, `netbanking` and
+ * `wallet` take the bodies of their /api/create-*-payment endpoints.
+ */
+async function createPayment(body, { callbackUrl }) {
+  const { method, token, flow, vpa } = body || {};
+
+  if (method === 'card') {
+    return fromStarted(await paymentService.startCardPayment(body, { callbackUrl }));
+  }
+  if (method === 'apple_pay' && token) {
+    return fromStarted(await paymentService.startApplePayTokenPayment(body));
+  }
+  if (method === 'apple_pay') {
+    return fromStarted(await paymentService.startApplePayPayment(body, { callbackUrl }));
+  }
+  if (method === 'upi') {
+    const started = await indiaMethods.startUpiPayment(body);
+    return fromStarted(flow === 'collect' ? { ...started, vpa } : started);
+  }
+  if (method === 'netbanking') {
+    return fromStarted(await indiaMethods.startNetbankingPayment(body, { callbackUrl }));
+  }
+  if (method === 'wallet') {
+    return fromStarted(await indiaMethods.startWalletPayment(body, { callbackUrl }));
+  }
+  throw new ApiError(400, 'BAD_REQUEST', 'method must be one of: card, apple_pay, upi, netbanking, wallet');
+}
+
+async function getPayment(country, paymentId) {
+  return fromPayment(await paymentStatus.getPayment(country, paymentId));
+}
+
+async function capture(country, paymentId, amount) {
+  return fromPayment(await capturePayment(country, paymentId, amount));
+}
+
+async function voidAuthorization(country, paymentId) {
+  return fromPayment(await voidPayment(country, paymentId));
+}
+
+module.exports = {
+  API_VERSION,
+  STATES,
+  ERROR_CODES,
+  stableErrorCode,
+  sendError,
+  createPayment,
+  getPayment,
+  capture,
+  voidAuthorization
+};
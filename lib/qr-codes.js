@@ -0,0 +1,124 @@
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError } = require('./errors');
+const { validate, schemas } = require('./validation');
+const { toMinorUnits } = require('./currencies');
+const { toIsoTime, assertId, assertCountry, notFoundAware } = require('./payment-status');
+const { logger } = require('./logger');
+
+// ============================================
+// UPI QR CODES
+// ============================================
+//
+// A QR code any UPI app can scan, for a shop counter or a printed
+// invoice. `amount` fixes what the customer pays; without it they enter
+// the amount. `single_use` codes close after the first payment,
+// `multiple_use` codes stay open until closed or `close_by`.
+
+// UPI QR codes are always in rupees
+const QR_CURRENCY = 'INR';
+
+/**
+ * Trimmed QR code returned by the QR code endpoints
+ */
+function formatQrCode(qrCode, country) {
+  return {
+    id: qrCode.id,
+    entity: 'qr_code',
+    country,
+    name: qrCode.name || null,
+    description: qrCode.description || null,
+    usage: qrCode.usage,
+    fixed_amount: !!qrCode.fixed_amount,
+    amount: qrCode.fixed_amount ? qrCode.payment_amount : null,
+    currency: QR_CURRENCY,
+    status: qrCode.status,
+    image_url: qrCode.image_url,
+    customer_id: qrCode.customer_id || null,
+    payments_amount_received: qrCode.payments_amount_received || 0,
+    payments_count_received: qrCode.payments_count_received || 0,
+    close_by: toIsoTime(qrCode.close_by),
+    close_reason: qrCode.close_reason || null,
+    created_at: toIsoTime(qrCode.created_at)
+  };
+}
+
+/**
+ * Create a UPI QR code
+ *
+ * POST /payments/qr_codes. `close_by` is an ISO time (at least 2 minutes
+ * ahead).
+ */
+async function createQrCode(body) {
+  const input = { currency: QR_CURRENCY, ...body };
+  validate(schemas.qrCode, input);
+
+  const { country, usage, amount, name, description, customer_id, close_by, notes } = input;
+
+  const qrRequest = {
+    type: 'upi_qr',
+    usage,
+    fixed_amount: amount !== undefined && amount !== null && amount !== ''
+  };
+  if (qrRequest.fixed_amount) qrRequest.payment_amount = toMinorUnits(amount, QR_CURRENCY);
+  if (name) qrRequest.name = name;
+  if (description) qrRequest.description = description;
+  if (customer_id) qrRequest.customer_id = customer_id;
+  if (close_by) qrRequest.close_by = Math.floor(Date.parse(close_by) / 1000);
+  if (notes) qrRequest.notes = notes;
+
+  const qrCode = await callRazorpayAPI(country, '/payments/qr_codes', 'POST', qrRequest);
+
+  logger.info('QR code created', { country, qr_code_id: qrCode.id, usage, fixed_amount: qrRequest.fixed_amount });
+  return formatQrCode(qrCode, country);
+}
+
+/**
+ * GET /payments/qr_codes/:id
+ */
+async function getQrCode(country, qrCodeId) {
+  assertCountry(country);
+  assertId('qr_code', qrCodeId);
+
+  const qrCode = await callRazorpayAPI(country, `/payments/qr_codes/${qrCodeId}`, 'GET')
+    .catch(notFoundAware('qr_code', qrCodeId));
+  return formatQrCode(qrCode, country);
+}
+
+/**
+ * GET /payments/qr_codes - newest first
+ */
+async function listQrCodes(country, { count = 25, skip = 0 } = {}) {
+  assertCountry(country);
+
+  const collection = await callRazorpayAPI(country,
+    `/payments/qr_codes?count=${parseInt(count, 10) || 25}&skip=${parseInt(skip, 10) || 0}`, 'GET');
+
+  return {
+    country,
+    count: collection.count,
+    items: (collection.items || []).map(qrCode => formatQrCode(qrCode, country))
+  };
+}
+
+/**
+ * Close an active QR code so it accepts no further payments
+ */
+async function closeQrCode(country, qrCodeId) {
+  const current = await getQrCode(country, qrCodeId);
+  if (current.status !== 'active') {
+    throw new ApiError(409, 'INVALID_QR_CODE_STATE', `QR code ${qrCodeId} is already ${current.status}`);
+  }
+
+  const qrCode = await callRazorpayAPI(country, `/payments/qr_codes/${qrCodeId}/close`, 'POST', {});
+
+  logger.info('QR code closed', { country, qr_code_id: qrCodeId });
+  return formatQrCode(qrCode, country);
+}
+
+module.exports = {
+  formatQrCode,
+  createQrCode,
+  getQrCode,
+  listQrCodes,
+  closeQrCode
+};
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const { readSetting } = require('./config');
+const { ApiError, RateLimitError } = require('./errors');
+const { registerSecrets } = require('./redaction');
+const { logger } = require('./logger');
+
+// ============================================
+// RATE LIMITS & CARD-TESTING PROTECTION
+// ============================================
+//
+// Payment routes are public, which makes them a target for card testing:
+// a bot trying stolen card numbers one small payment at a time. Every
+// payment attempt is counted per client IP, per card and per e-mail, and
+// two velocity rules put the source on a temporary block list:
+//
+//   many distinct cards from one IP  -> the IP is blocked
+//   many declines on one BIN         -> the BIN (first 6 digits) is blocked
+//
+// Limits are `<max>/<window>` (window in s, m or h), e.g. `30/10m`. Card
+// numbers and e-mails are only stored as HMACs, never in clear.
+
+/**
+ * Parse a `<max>/<window>` limit, e.g. `5/1h`
+ */
+function parseLimit(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*([smh])\s*$/.exec(value || fallback);
+  if (!match) {
+    logger.warn('Invalid rate limit - using the default', { value, default: fallback });
+    return parseLimit(fallback);
+  }
+  const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }[match[3]];
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * unitMs };
+}
+
+const LIMITS = {
+  ip: parseLimit(process.env.RATE_LIMIT_IP, '30/10m'),
+  card: parseLimit(process.env.RATE_LIMIT_CARD, '10/1h'),
+  email: parseLimit(process.env.RATE_LIMIT_EMAIL, '20/1h'),
+  cardsPerIp: parseLimit(process.env.RATE_LIMIT_CARDS_PER_IP, '5/1h'),
+  declinesPerBin: parseLimit(process.env.RATE_LIMIT_DECLINES_PER_BIN, '10/1h')
+};
+
+const BLOCK_MS = parseFloat(process.env.RATE_LIMIT_BLOCK_MINUTES || '60') * 60 * 1000;
+
+// Razorpay error reasons that count as a decline for the BIN rule
+const DECLINE_REASONS = ['card_declined', 'insufficient_funds', 'authentication_failed', 'incorrect_card_details'];
+
+// Without RATE_LIMIT_HASH_SECRET the HMAC key is per process, which is
+// fine for the memory store but not for one shared between instances
+const HASH_SECRET = readSetting('RATE_LIMIT_HASH_SECRET') || crypto.randomBytes(32).toString('hex');
+registerSecrets([HASH_SECRET]);
+
+function enabled() {
+  return process.env.RATE_LIMIT_ENABLED !== 'false';
+}
+
+/**
+ * In-memory store (default) - counters, sets of distinct values and
+ * blocks, each forgotten once its window or block has passed
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+    this.writes = 0;
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Drop expired entries now and then so the map does not grow forever
+  write(key, entry) {
+    this.entries.set(key, entry);
+    if (++this.writes % 1000 === 0) {
+      Array.from(this.entries.keys()).forEach(entryKey => this.live(entryKey));
+    }
+    return entry;
+  }
+
+  /**
+   * Count a hit in a fixed window; resolves to `{ count, resetAt }`
+   */
+  async increment(key, windowMs) {
+    const entry = this.live(key) || this.write(key, { count: 0, expiresAt: Date.now() + windowMs });
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.expiresAt };
+  }
+
+  /**
+   * Add `member` to a set kept for `windowMs`; resolves to
+   * `{ count, resetAt }` with the number of distinct members
+   */
+  async addToSet(key, member, windowMs) {
+    const entry = this.live(key) || this.write(key, { members: new Set(), expiresAt: Date.now() + windowMs });
+    entry.members.add(member);
+    return { count: entry.members.size, resetAt: entry.expiresAt };
+  }
+
+  /**
+   * Resolves to `{ reason, until }` while `key` is blocked, else null
+   */
+  async getBlock(key) {
+    const entry = this.live(`block:${key}`);
+    return entry ? { reason: entry.reason, until: entry.expiresAt } : null;
+  }
+
+  async setBlock(key, { reason, until }) {
+    this.write(`block:${key}`, { reason, expiresAt: until });
+  }
+
+  async deleteBlock(key) {
+    this.entries.delete(`block:${key}`);
+  }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Replace the store, e.g. with a shared one backed by Redis
+ *
+ * Any object with async increment/addToSet/getBlock/setBlock/deleteBlock
+ * works.
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+function digest(value) {
+  return crypto.createHmac('sha256', HASH_SECRET).update(value).digest('hex');
+}
+
+/**
+ * Client IP - the first X-Forwarded-For hop behind a proxy
+ *
+ * X-Forwarded-For is only trusted with RATE_LIMIT_TRUST_PROXY=true (the
+ * default on Vercel); otherwise anyone could send a fresh one per request.
+ */
+function clientIp(req) {
+  const trustProxy = process.env.RATE_LIMIT_TRUST_PROXY
+    ? process.env.RATE_LIMIT_TRUST_PROXY === 'true'
+    : !!process.env.VERCEL;
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * What a payment attempt is counted against: `{ ip, card, bin, email }`
+ *
+ * `card` is the HMAC of the card number, or of the saved-card token;
+ * `bin` and `card` are null for payments without a card.
+ */
+function subjectsOf(req) {
+  const body = req.body || {};
+  const number = String((body.card && body.card.number) || '').replace(/\D/g, '');
+
+  let card = null;
+  if (number) {
+    card = digest(`pan:${number}`);
+  } else if (body.token) {
+    card = digest(`token:${body.customer_id}:${body.token}`);
+  }
+
+  return {
+    ip: clientIp(req),
+    card,
+    bin: number.length >= 6 ? number.slice(0, 6) : null,
+    email: body.email ? digest(`email:${String(body.email).trim().toLowerCase()}`) : null
+  };
+}
+
+/**
+ * Put an `ip` or `bin` on the block list until `until` (ms timestamp)
+ */
+async function blockSubject(type, value, reason, until = Date.now() + BLOCK_MS) {
+  await store.setBlock(`${type}:${value}`, { reason, until });
+  logger.warn('Blocked payment attempts', { subject: type, value, reason, until: new Date(until).toISOString() });
+}
+
+/**
+ * Block an IP or BIN by hand, e.g. from an admin script:
+ *   block('ip', '203.0.113.7', { minutes: 30 })
+ *
+ * `minutes` defaults to RATE_LIMIT_BLOCK_MINUTES.
+ */
+async function block(type, value, { minutes, reason = 'manual' } = {}) {
+  const until = Date.now() + (minutes ? minutes * 60 * 1000 : BLOCK_MS);
+  await blockSubject(type, value, reason, until);
+}
+
+async function unblock(type, value) {
+  await store.deleteBlock(`${type}:${value}`);
+  logger.info('Unblocked payment attempts', { subject: type });
+}
+
+/**
+ * Check and count one payment attempt
+ *
+ * Resolves to null when it may go ahead, or to
+ * `{ rule, retryAfter }` (seconds) when it must be refused.
+ */
+async function checkAttempt(subjects) {
+  const now = Date.now();
+  for (const type of ['ip', 'bin'].filter(type => subjects[type])) {
+    const blocked = await store.getBlock(`${type}:${subjects[type]}`);
+    if (blocked) {
+      return { rule: `blocked_${type}`, retryAfter: Math.ceil((blocked.until - now) / 1000) };
+    }
+  }
+
+  let exceeded = null;
+  for (const type of ['ip', 'card', 'email'].filter(type => subjects[type])) {
+    const { max, windowMs } = LIMITS[type];
+    const { count, resetAt } = await store.increment(`${type}:${subjects[type]}`, windowMs);
+    if (count > max && (!exceeded || resetAt > exceeded.resetAt)) {
+      exceeded = { rule: `${type}_limit`, resetAt };
+    }
+  }
+  if (exceeded) {
+    return { rule: exceeded.rule, retryAfter: Math.ceil((exceeded.resetAt - now) / 1000) };
+  }
+
+  if (subjects.card) {
+    const { max, windowMs } = LIMITS.cardsPerIp;
+    const { count } = await store.addToSet(`cards:${subjects.ip}`, subjects.card, windowMs);
+    if (count > max) {
+      await blockSubject('ip', subjects.ip, 'cards_per_ip', now + BLOCK_MS);
+      return { rule: 'cards_per_ip', retryAfter: Math.ceil(BLOCK_MS / 1000) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Count a declined payment against its BIN, blocking the BIN once it
+ * reaches RATE_LIMIT_DECLINES_PER_BIN
+ */
+async function recordDecline(subjects) {
+  if (!subjects.bin) {
+    return;
+  }
+
+  const { max, windowMs } = LIMITS.declinesPerBin;
+  const { count } = await store.increment(`declines:bin:${subjects.bin}`, windowMs);
+  if (count >= max) {
+    await blockSubject('bin', subjects.bin, 'declines_per_bin');
+  }
+}
+
+/**
+ * Declines in both the v1 (`error.reason`) and v2 envelope responses
+ */
+function isDecline(body) {
+  return !!(body && body.error && DECLINE_REASONS.includes(body.error.reason));
+}
+
+function defaultSendError(res, error) {
+  return res.status(error.statusCode).json(error.toJSON());
+}
+
+/**
+ * Wrap an Express route or Vercel handler with the payment rate limits
+ *
+ * GET/HEAD/OPTIONS and API-key callers (req.auth, lib/auth.js) pass
+ * straight through. A refused attempt gets 429 RATE_LIMITED with
+ * `Retry-After`; declines in the handler's response count towards the
+ * BIN rule. Wrap it around idempotent(), so a 429 is
+ * never stored as the key's response. When the store is down attempts get
+ * 503 RATE_LIMIT_STORE_UNAVAILABLE rather than going unchecked; a decline
+ * that cannot be counted is only logged, since the payment already
+ * happened. `options.sendError(res, apiError)` renders these errors in
+ * another shape (e.g. the /api/v2 envelope).
+ */
+function rateLimited(handler, options = {}) {
+  const sendError = options.sendError || defaultSendError;
+
+  return async (req, res) => {
+    // Backend services on an API key are trusted callers
+    const trusted = req.auth && req.auth.type === 'api_key';
+    if (!enabled() || trusted || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return handler(req, res);
+    }
+
+    const subjects = subjectsOf(req);
+    let refused;
+    try {
+      refused = await checkAttempt(subjects);
+    } catch (error) {
+      logger.error('Rate limit store unavailable', { ip: subjects.ip, error });
+      return sendError(res, new ApiError(503, 'RATE_LIMIT_STORE_UNAVAILABLE', 'Payment attempts cannot be checked right now - try again later'));
+    }
+    if (refused) {
+      logger.warn('Payment attempt rate limited', {
+        rule: refused.rule,
+        ip: subjects.ip,
+        bin: subjects.bin,
+        retry_after: refused.retryAfter
+      });
+      res.setHeader('Retry-After', String(refused.retryAfter));
+      return sendError(res, new RateLimitError(refused.retryAfter));
+    }
+
+    // Watch the response for declines; replays were counted the first time
+    let declined = false;
+    const originalJson = res.json.bind(res);
+    res.json = body => {
+      declined = isDecline(body) && !res.getHeader('Idempotent-Replayed');
+      return originalJson(body);
+    };
+
+    await handler(req, res);
+
+    if (declined) {
+      try {
+        await recordDecline(subjects);
+      } catch (error) {
+        logger.error('Decline not counted - rate limit store unavailable', { ip: subjects.ip, bin: subjects.bin, error });
+      }
+    }
+  };
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  setStore,
+  block,
+  unblock,
+  rateLimited
+};
@@ -0,0 +1,359 @@
+const fetch = require('node-fetch');
+const { API_BASE_URL, getAuthHeader } = require('./config');
+const {
+  RazorpayAPIError,
+  RazorpayAuthError,
+  RazorpayValidationError,
+  RazorpayDeclineError,
+  GatewayError
+} = require('./errors');
+const { logger, currentRequestId, REQUEST_ID_HEADER } = require('./logger');
+const { observeRazorpayCall } = require('./metrics');
+
+// ============================================
+// RAZORPAY API CLIENT
+// ============================================
+//
+// Every Razorpay call goes through requestRazorpay, which adds
+//
+//   - a timeout (longer for /payments/create/*, where 3DS and UPI
+//     lookups make Razorpay slow)
+//   - retries with jittered exponential backoff, only for calls that are
+//     safe to repeat: GETs, and order creation with a receipt - before
+//     each retry the order is looked up by its receipt, so a request that
+//     reached Razorpay but lost its answer does not create a second order
+//   - a circuit breaker per country: after RAZORPAY_BREAKER_THRESHOLD
+//     failures in a row that country's calls fail fast with
+//     503 GATEWAY_UNAVAILABLE until the cooldown has passed, then one
+//     trial call decides whether it closes again
+//
+// and turns failures into typed errors (lib/errors.js): GatewayError for
+// outages, RazorpayAuthError, RazorpayValidationError and
+// RazorpayDeclineError for Razorpay's own answers.
+
+const TIMEOUT_MS = parseInt(process.env.RAZORPAY_TIMEOUT_MS || '10000', 10);
+const PAYMENT_TIMEOUT_MS = parseInt(process.env.RAZORPAY_PAYMENT_TIMEOUT_MS || '30000', 10);
+const MAX_RETRIES = parseInt(process.env.RAZORPAY_MAX_RETRIES || '2', 10);
+const RETRY_BASE_MS = parseInt(process.env.RAZORPAY_RETRY_BASE_MS || '250', 10);
+const RETRY_MAX_MS = parseInt(process.env.RAZORPAY_RETRY_MAX_MS || '2000', 10);
+const BREAKER_THRESHOLD = parseInt(process.env.RAZORPAY_BREAKER_THRESHOLD || '5', 10);
+const BREAKER_COOLDOWN_MS = parseFloat(process.env.RAZORPAY_BREAKER_COOLDOWN_SECONDS || '30') * 1000;
+
+// ============================================
+// CIRCUIT BREAKERS
+// ============================================
+
+/**
+ * Circuit breaker of one country's Razorpay account
+ *
+ * closed -> open after BREAKER_THRESHOLD outages in a row; open ->
+ * half_open once the cooldown has passed, letting one trial call through;
+ * its outcome closes or reopens the breaker. Only outages count - a
+ * decline or a 400 means Razorpay is up.
+ */
+class CircuitBreaker {
+  constructor(country) {
+    this.country = country;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Throws GatewayError while calls must not go through
+   */
+  acquire() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= BREAKER_COOLDOWN_MS) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+      const retryAfter = Math.max(1, Math.ceil((this.openedAt + BREAKER_COOLDOWN_MS - Date.now()) / 1000));
+      throw new GatewayError(503, 'GATEWAY_UNAVAILABLE',
+        `Razorpay (${this.country}) is unavailable - try again later`, { retryAfter });
+    }
+    if (this.state === 'half_open') {
+      this.trialInFlight = true;
+    }
+  }
+
+  success() {
+    if (this.state !== 'closed') {
+      logger.info('Razorpay circuit breaker closed', { country: this.country });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= BREAKER_THRESHOLD)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.error('Razorpay circuit breaker opened', {
+        country: this.country,
+        failures: this.failures,
+        cooldown_seconds: BREAKER_COOLDOWN_MS / 1000
+      });
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+const breakers = new Map();
+
+function breakerFor(country) {
+  if (!breakers.has(country)) {
+    breakers.set(country, new CircuitBreaker(country));
+  }
+  return breakers.get(country);
+}
+
+/**
+ * State of every country's circuit breaker that has seen a call:
+ * `{ MY: { state, failures, opened_at } }`
+ */
+function circuitBreakers() {
+  const states = {};
+  breakers.forEach((breaker, country) => {
+    states[country] = breaker.snapshot();
+  });
+  return states;
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * The error class for a non-2xx Razorpay answer
+ */
+function razorpayError(status, error = {}) {
+  if (status === 401 || status === 403) {
+    return new RazorpayAuthError(status, error);
+  }
+  if ((error.field && error.field !== 'NA') || error.reason === 'input_validation_failed') {
+    return new RazorpayValidationError(status, error);
+  }
+  if ((error.reason && error.reason !== 'NA') || (error.metadata && error.metadata.payment_id)) {
+    return new RazorpayDeclineError(status, error);
+  }
+  return new RazorpayAPIError(status, error);
+}
+
+/**
+ * GatewayError for a 5xx answer, keeping Razorpay's description, reason
+ * and failed payment when it sent a JSON error rather than an HTML page
+ */
+function outageError(response) {
+  let error = {};
+  try {
+    error = JSON.parse(response.text).error || {};
+  } catch (parseError) {
+    // HTML error page from a proxy in front of Razorpay
+  }
+  const details = error.reason && error.reason !== 'NA' ? { reason: error.reason } : {};
+  return new GatewayError(502, 'GATEWAY_ERROR', error.description || `Razorpay answered ${response.status}`, {
+    ...details,
+    metadata: error.metadata
+  });
+}
+
+/**
+ * One call through the country's circuit breaker
+ *
+ * Resolves to the raw response for anything below 500 except 429;
+ * throws GatewayError for timeouts, connection failures, 5xx and 429.
+ * Its latency goes to the razorpay_api_request_duration_seconds metric.
+ */
+async function sendOnce(country, endpoint, options, timeoutMs) {
+  const breaker = breakerFor(country);
+  breaker.acquire();
+
+  const startedAt = Date.now();
+  const observe = status => observeRazorpayCall({
+    country,
+    method: options.method,
+    endpoint,
+    status,
+    seconds: (Date.now() - startedAt) / 1000
+  });
+
+  let response;
+  try {
+    // node-fetch's timeout covers the headers and, separately, the body
+    const raw = await fetch(`${API_BASE_URL}${endpoint}`, { ...options, timeout: timeoutMs });
+    response = {
+      status: raw.status,
+      ok: raw.ok,
+      contentType: raw.headers.get('content-type') || '',
+      text: await raw.text()
+    };
+  } catch (error) {
+    breaker.failure();
+    if (error.type === 'request-timeout' || error.type === 'body-timeout') {
+      observe('timeout');
+      throw new GatewayError(504, 'GATEWAY_TIMEOUT', `Razorpay did not answer within ${timeoutMs}ms`);
+    }
+    observe('network_error');
+    throw new GatewayError(503, 'GATEWAY_UNAVAILABLE', `Could not reach Razorpay: ${error.message}`);
+  }
+
+  observe(response.status);
+  logger.debug('Razorpay API response', {
+    country,
+    method: options.method,
+    endpoint,
+    status: response.status,
+    duration_ms: Date.now() - startedAt
+  });
+
+  if (response.status >= 500) {
+    breaker.failure();
+    throw outageError(response);
+  }
+  // Any other answer, even a throttling 429, means Razorpay is up
+  breaker.success();
+  if (response.status === 429) {
+    throw new GatewayError(503, 'GATEWAY_UNAVAILABLE', 'Razorpay is throttling requests - try again later');
+  }
+  return response;
+}
+
+/**
+ * Full-jitter backoff before retry number `attempt` (0-based)
+ */
+function backoffMs(attempt) {
+  return Math.floor(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt));
+}
+
+/**
+ * The order a lost POST /orders may have created, found by its receipt
+ *
+ * Resolves to a raw response like sendOnce's, or null when there is none
+ * (or the lookup failed too - the next retry will tell).
+ */
+async function findOrderByReceipt(country, receipt, send) {
+  try {
+    const response = await send('GET', `/orders?receipt=${encodeURIComponent(receipt)}&count=1`);
+    const collection = JSON.parse(response.text);
+    const order = response.ok && collection.items && collection.items[0];
+    if (!order) {
+      return null;
+    }
+    logger.warn('Razorpay order found by receipt after a failed create', { country, order_id: order.id, receipt });
+    return { status: 200, ok: true, contentType: 'application/json', text: JSON.stringify(order) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Send an authenticated request and return the raw response
+ *
+ * Resolves to `{ status, ok, contentType, text }` without interpreting the
+ * body - /payments/create/json answers with HTML for some 3DS flows, so
+ * the payment service parses it itself. The current request ID is sent
+ * as X-Request-Id so a Razorpay call can be traced back to our logs.
+ * Outages throw GatewayError after any retries (see above).
+ */
+async function requestRazorpay(country, endpoint, method = 'POST', body = null) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': getAuthHeader(country)
+  };
+  const requestId = currentRequestId();
+  if (requestId) {
+    headers[REQUEST_ID_HEADER] = requestId;
+  }
+
+  const timeoutMs = endpoint.startsWith('/payments/create/') ? PAYMENT_TIMEOUT_MS : TIMEOUT_MS;
+  const send = (sendMethod, sendEndpoint, sendBody) => sendOnce(country, sendEndpoint, {
+    method: sendMethod,
+    headers,
+    body: sendBody && sendMethod !== 'GET' ? JSON.stringify(sendBody) : undefined
+  }, timeoutMs);
+
+  const createsOrder = method === 'POST' && endpoint === '/orders' && !!(body && body.receipt);
+  const retryable = method === 'GET' || createsOrder;
+
+  logger.info('Razorpay API call', { country, method, endpoint });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(method, endpoint, body);
+    } catch (error) {
+      // An open breaker is not worth waiting for
+      const breakerOpen = breakerFor(country).state !== 'closed';
+      if (!retryable || attempt >= MAX_RETRIES || breakerOpen) {
+        throw error;
+      }
+
+      const delayMs = backoffMs(attempt);
+      logger.warn('Razorpay API call failed - retrying', {
+        country,
+        method,
+        endpoint,
+        attempt: attempt + 1,
+        delay_ms: delayMs,
+        error
+      });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+
+      if (createsOrder) {
+        const existing = await findOrderByReceipt(country, body.receipt, send);
+        if (existing) {
+          return existing;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Parse a JSON response, throwing a typed RazorpayAPIError for non-2xx
+ */
+function parseJsonResponse(response) {
+  let data;
+  try {
+    data = JSON.parse(response.text);
+  } catch (error) {
+    logger.error('Razorpay API returned non-JSON', { status: response.status });
+    throw new GatewayError(502, 'INVALID_RESPONSE', 'Razorpay API returned an unexpected response');
+  }
+
+  if (!response.ok) {
+    logger.error('Razorpay API error', { status: response.status, error: data.error });
+    throw razorpayError(response.status, data.error);
+  }
+
+  return data;
+}
+
+/**
+ * Make authenticated request to Razorpay API
+ *
+ * Uses the credentials of `country` and throws a RazorpayAPIError for
+ * non-2xx responses.
+ */
+async function callRazorpayAPI(country, endpoint, method = 'POST', body = null) {
+  return parseJsonResponse(await requestRazorpay(country, endpoint, method, body));
+}
+
+module.exports = {
+  requestRazorpay,
+  parseJsonResponse,
+  callRazorpayAPI,
+  circuitBreakers
+};
@@ -0,0 +1,136 @@
+// ============================================
+// REDACTION POLICY
+// ============================================
+//
+// Everything written to the logs passes through redact() first:
+//   - card numbers are masked to the last four digits
+//   - CVV, expiry, e-mail, phone, UPI ID and Apple Pay payment data are removed
+//   - Razorpay key IDs and secrets are replaced with [REDACTED]
+// Sensitive fields are matched by key name anywhere in an object, and
+// card numbers, e-mail addresses and phone numbers also inside strings.
+
+const REDACTED = '[REDACTED]';
+
+// Normalised key names (lower case, no `_` / `-`) and how to treat them
+const SENSITIVE_KEYS = {
+  number: 'pan',
+  cardnumber: 'pan',
+  pan: 'pan',
+  cvv: 'remove',
+  cvv2: 'remove',
+  cvc: 'remove',
+  securitycode: 'remove',
+  expiry: 'remove',
+  expirymonth: 'remove',
+  expiryyear: 'remove',
+  expmonth: 'remove',
+  expyear: 'remove',
+  email: 'remove',
+  emailaddress: 'remove',
+  contact: 'remove',
+  phone: 'remove',
+  phonenumber: 'remove',
+  mobile: 'remove',
+  vpa: 'remove',
+  paymentdata: 'remove'
+};
+
+const PAN_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /\+[1-9]\d{6,14}\b/g;
+
+let secrets = [];
+
+/**
+ * Values that must never be logged or returned (key IDs and secrets)
+ */
+function registerSecrets(values) {
+  secrets = Array.from(new Set(secrets.concat(values.filter(Boolean))));
+}
+
+/**
+ * Replace every registered key ID and secret in `text` with [REDACTED]
+ */
+function redactSecrets(text) {
+  return secrets.reduce((redacted, secret) => redacted.split(secret).join(REDACTED), String(text));
+}
+
+/**
+ * Luhn checksum of a string of digits - also used by lib/validation.js
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function maskPan(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 4 ? `****${digits.slice(-4)}` : REDACTED;
+}
+
+/**
+ * Redact card numbers, e-mail addresses, phone numbers and secrets in a
+ * free-text string
+ */
+function redactString(text) {
+  return redactSecrets(text)
+    .replace(PAN_PATTERN, match => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && luhnValid(digits) ? maskPan(digits) : match;
+    })
+    .replace(EMAIL_PATTERN, REDACTED)
+    .replace(PHONE_PATTERN, REDACTED);
+}
+
+/**
+ * Copy of `value` that is safe to log
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), code: value.code };
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    const policy = SENSITIVE_KEYS[key.toLowerCase().replace(/[_-]/g, '')];
+    const field = value[key];
+    if (policy === 'remove' && field !== undefined && field !== null && field !== '') {
+      copy[key] = REDACTED;
+    } else if (policy === 'pan' && /^[\d\s-]{12,23}$/.test(String(field))) {
+      copy[key] = maskPan(field);
+    } else {
+      copy[key] = redact(field, seen);
+    }
+  });
+  return copy;
+}
+
+module.exports = {
+  REDACTED,
+  registerSecrets,
+  redactSecrets,
+  redact,
+  luhnValid
+};
@@ -0,0 +1,146 @@
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError } = require('./errors');
+const { toIsoTime, assertId, assertCountry, notFoundAware } = require('./payment-status');
+const { validate, schemas } = require('./validation');
+const { toMinorUnits } = require('./currencies');
+const ledger = require('./ledger');
+const { logger } = require('./logger');
+
+// ============================================
+// REFUNDS
+// ============================================
+
+const REFUND_SPEEDS = ['normal', 'optimum'];
+
+/**
+ * Trimmed refund status returned by the refund endpoints
+ */
+function formatRefund(refund, country) {
+  return {
+    id: refund.id,
+    entity: 'refund',
+    country,
+    payment_id: refund.payment_id,
+    amount: refund.amount,
+    currency: refund.currency,
+    status: refund.status,
+    speed_requested: refund.speed_requested || null,
+    speed_processed: refund.speed_processed || null,
+    receipt: refund.receipt || null,
+    notes: refund.notes || {},
+    created_at: toIsoTime(refund.created_at)
+  };
+}
+
+/**
+ * How much of a captured payment was captured
+ *
+ * A partial capture leaves `amount` at the authorized amount, so this is
+ * Razorpay's `amount_captured`, else what the ledger recorded when we
+ * captured it, else the whole payment (auto-captured).
+ */
+async function capturedAmount(payment) {
+  if (payment.amount_captured) {
+    return payment.amount_captured;
+  }
+  const attempt = await ledger.findAttempt(payment.id).catch(() => null);
+  return (attempt && attempt.amount_captured) || payment.amount;
+}
+
+/**
+ * Refund a captured payment, fully or partially
+ *
+ * POST /payments/:id/refund. Omitting `amount` refunds whatever is
+ * left after earlier refunds; a decimal string `amount` is in major
+ * units. `speed: 'optimum'` asks Razorpay for an
+ * instant refund where the card network supports it and falls back to
+ * normal otherwise.
+ */
+async function createRefund(country, paymentId, { amount, speed, notes, receipt } = {}) {
+  validate(schemas.refund, { country, amount, notes, receipt });
+  assertId('payment', paymentId);
+
+  const refundSpeed = speed || 'normal';
+  if (!REFUND_SPEEDS.includes(refundSpeed)) {
+    throw new ApiError(400, 'BAD_REQUEST', `Invalid refund speed: ${refundSpeed} (expected ${REFUND_SPEEDS.join(', ')})`);
+  }
+
+  const payment = await callRazorpayAPI(country, `/payments/${paymentId}`, 'GET')
+    .catch(notFoundAware('payment', paymentId));
+
+  if (payment.status !== 'captured') {
+    throw new ApiError(409, 'INVALID_PAYMENT_STATE',
+      `Cannot refund payment ${paymentId} in status ${payment.status}; it must be captured`);
+  }
+
+  const refundable = await capturedAmount(payment) - (payment.amount_refunded || 0);
+  const refundAmount = amount === undefined || amount === null ? refundable : toMinorUnits(amount, payment.currency);
+
+  if (refundable <= 0) {
+    throw new ApiError(409, 'ALREADY_REFUNDED', `Payment ${paymentId} has already been fully refunded`);
+  }
+
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw new ApiError(400, 'BAD_REQUEST',
+      `Refund amount must be an integer between 1 and ${refundable} (captured amount minus earlier refunds)`);
+  }
+
+  logger.info('Refunding payment', {
+    country,
+    payment_id: paymentId,
+    amount: refundAmount,
+    refundable,
+    currency: payment.currency,
+    speed: refundSpeed
+  });
+
+  const refundRequest = {
+    amount: refundAmount,
+    speed: refundSpeed
+  };
+  if (notes) refundRequest.notes = notes;
+  if (receipt) refundRequest.receipt = receipt;
+
+  const refund = await callRazorpayAPI(country, `/payments/${paymentId}/refund`, 'POST', refundRequest);
+
+  return formatRefund(refund, country);
+}
+
+/**
+ * GET /payments/:id/refunds
+ */
+async function listRefunds(country, paymentId) {
+  assertCountry(country);
+  assertId('payment', paymentId);
+
+  const collection = await callRazorpayAPI(country, `/payments/${paymentId}/refunds`, 'GET')
+    .catch(notFoundAware('payment', paymentId));
+
+  return {
+    payment_id: paymentId,
+    country,
+    count: collection.count,
+    items: (collection.items || []).map(refund => formatRefund(refund, country))
+  };
+}
+
+/**
+ * GET /refunds/:id
+ */
+async function getRefund(country, refundId) {
+  assertCountry(country);
+  assertId('refund', refundId);
+
+  const refund = await callRazorpayAPI(country, `/refunds/${refundId}`, 'GET')
+    .catch(notFoundAware('refund', refundId));
+
+  return formatRefund(refund, country);
+}
+
+module.exports = {
+  REFUND_SPEEDS,
+  formatRefund,
+  createRefund,
+  listRefunds,
+  getRefund
+};
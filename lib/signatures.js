@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// ============================================
+// RAZORPAY SIGNATURE VERIFICATION
+// ============================================
+
+/**
+ * Compute a hex HMAC-SHA256 digest
+ */
+function hmacSha256(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+function safeCompare(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+  if (expectedBuffer.length !== actualBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * True if `signature` matches `payload` under any of `secrets`
+ *
+ * `secrets` is one secret or a list (primary and secondary while a
+ * secret is being rotated).
+ */
+function matchesAnySecret(payload, signature, secrets) {
+  return [].concat(secrets || [])
+    .filter(Boolean)
+    .some(secret => safeCompare(hmacSha256(payload, secret), signature));
+}
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook
+ *
+ * The signature is computed over the raw request body, so this must be
+ * called with the exact bytes Razorpay sent - not a re-serialised object.
+ * `webhookSecrets` may be a list during rotation.
+ */
+function verifyWebhookSignature(rawBody, signature, webhookSecrets) {
+  if (!rawBody || !signature) {
+    return false;
+  }
+  return matchesAnySecret(rawBody, signature, webhookSecrets);
+}
+
+/**
+ * Verify the razorpay_signature returned after a payment
+ *
+ * Razorpay signs `order_id|payment_id` with the key secret of the
+ * account that created the order. `keySecrets` may be a list during
+ * rotation.
+ */
+function verifyPaymentSignature(orderId, paymentId, signature, keySecrets) {
+  if (!orderId || !paymentId || !signature) {
+    return false;
+  }
+  return matchesAnySecret(`${orderId}|${paymentId}`, signature, keySecrets);
+}
+
+module.exports = {
+  hmacSha256,
+  safeCompare,
+  verifyWebhookSignature,
+  verifyPaymentSignature
+};
@@ -0,0 +1,878 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { callRazorpayAPI } = require('./razorpay');
+const { ApiError, RazorpayAPIError, ValidationError } = require('./errors');
+const { createOrder, submitAndRecord, cardDetails } = require('./payment-service');
+const { validate, schemas } = require('./validation');
+const { toMinorUnits } = require('./currencies');
+const { logger } = require('./logger');
+
+// ============================================
+// SUBSCRIPTIONS (RECURRING CARD PAYMENTS)
+// ============================================
+//
+// Plans and subscriptions are kept by this server; Razorpay only holds
+// the card mandate. The flow:
+//
+//   1. POST /api/plans - amount, currency, billing interval, retry schedule
+//   2. POST /api/subscriptions - the first payment (`recurring: 1`, with
+//      3DS) pays cycle 1 and registers a recurring token on the customer,
+//      limited by the order's mandate (max_amount, expire_at, frequency)
+//   3. POST /api/subscriptions/:id/charge - a merchant-initiated order and
+//      /payments/create/recurring payment against that token, one per
+//      billing cycle. POST /api/subscriptions/charge-due charges every
+//      subscription that is due (run it from a scheduler).
+//
+// A failed charge moves the subscription to `past_due` and is retried
+// after each delay of the plan's `retry_schedule`; once the schedule is
+// used up the subscription is `halted`.
+
+// Hours before each retry when the plan does not set retry_schedule
+const DEFAULT_RETRY_SCHEDULE = [24, 72, 168];
+
+// Card mandates registered without an end (no total_count) expire after
+const DEFAULT_MANDATE_YEARS = 10;
+
+/**
+ * Subscription statuses
+ *
+ *   pending   - first payment awaiting 3DS / confirmation
+ *   active    - mandate registered, charged on schedule
+ *   past_due  - last charge failed, waiting for the next retry
+ *   halted    - every retry failed; only a manual charge resumes it
+ *   completed - total_count cycles paid
+ *   cancelled - cancelled through the API
+ *   failed    - the first payment failed, no mandate
+ */
+const STATUSES = ['pending', 'active', 'past_due', 'halted', 'completed', 'cancelled', 'failed'];
+
+// Statuses a subscription can be charged in
+const CHARGEABLE = ['active', 'past_due', 'halted'];
+
+// Charge statuses still waiting for an outcome; `unknown` is a charge whose
+// request timed out, so whether Razorpay took the payment is not known yet.
+// No further charge is made while one of these is open.
+const PENDING_CHARGE_STATUSES = ['created', 'processing', 'unknown'];
+
+// Minutes an `unknown` charge waits for a payment to show up on its order
+// before it is taken as never submitted (`abandoned`)
+const UNKNOWN_CHARGE_MINUTES = 15;
+
+// Razorpay mandate frequency per billing interval (every N > 1 intervals
+// is `as_presented`)
+const MANDATE_FREQUENCIES = {
+  daily: 'daily',
+  weekly: 'weekly',
+  monthly: 'monthly',
+  yearly: 'yearly'
+};
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * In-memory store - also the base for the JSON-file store
+ *
+ * Store interface (all async):
+ *   getPlan(id) / savePlan(plan) / listPlans({ country })
+ *   getSubscription(id) / saveSubscription(subscription)
+ *   listSubscriptions({ country, status, planId })
+ */
+class MemorySubscriptionStore {
+  constructor() {
+    this.plans = new Map();
+    this.subscriptions = new Map();
+  }
+
+  async getPlan(id) {
+    return this.plans.get(id) || null;
+  }
+
+  async savePlan(plan) {
+    this.plans.set(plan.id, plan);
+  }
+
+  async listPlans({ country } = {}) {
+    return Array.from(this.plans.values())
+      .filter(plan => !country || plan.country === country)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async getSubscription(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  async saveSubscription(subscription) {
+    this.subscriptions.set(subscription.id, subscription);
+  }
+
+  async listSubscriptions({ country, status, planId } = {}) {
+    const statuses = [].concat(status || []);
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => !country || subscription.country === country)
+      .filter(subscription => statuses.length === 0 || statuses.includes(subscription.status))
+      .filter(subscription => !planId || subscription.plan_id === planId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+}
+
+/**
+ * JSON-file store for a single node
+ *
+ * Everything is held in memory and rewritten to `file` after each change.
+ */
+class JsonFileSubscriptionStore extends MemorySubscriptionStore {
+  constructor(file) {
+    super();
+    this.file = file;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (saved.plans || []).forEach(plan => this.plans.set(plan.id, plan));
+      (saved.subscriptions || []).forEach(subscription => this.subscriptions.set(subscription.id, subscription));
+    } catch (error) {
+      // First run (no file yet) - start empty
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({
+      plans: Array.from(this.plans.values()),
+      subscriptions: Array.from(this.subscriptions.values())
+    }, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  async savePlan(plan) {
+    await super.savePlan(plan);
+    this.persist();
+  }
+
+  async saveSubscription(subscription) {
+    await super.saveSubscription(subscription);
+    this.persist();
+  }
+}
+
+/**
+ * Store selected by SUBSCRIPTION_STORE (`file` or `memory`)
+ *
+ * Defaults to the JSON file locally and to memory on Vercel, where the
+ * filesystem is read-only.
+ */
+function createStore() {
+  const store = process.env.SUBSCRIPTION_STORE || (process.env.VERCEL ? 'memory' : 'file');
+  if (store === 'memory') {
+    return new MemorySubscriptionStore();
+  }
+  return new JsonFileSubscriptionStore(process.env.SUBSCRIPTION_FILE || path.join('data', 'subscriptions.json'));
+}
+
+let store = createStore();
+
+/**
+ * Replace the store (see MemorySubscriptionStore for the interface)
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function historyEntry(status, source, extra = {}) {
+  return { status, source, at: nowIso(), ...extra };
+}
+
+/**
+ * `iso` moved forward by `count` billing intervals
+ */
+function addInterval(iso, interval, count = 1) {
+  const date = new Date(iso);
+  if (interval === 'daily') date.setUTCDate(date.getUTCDate() + count);
+  if (interval === 'weekly') date.setUTCDate(date.getUTCDate() + 7 * count);
+  if (interval === 'monthly') date.setUTCMonth(date.getUTCMonth() + count);
+  if (interval === 'yearly') date.setUTCFullYear(date.getUTCFullYear() + count);
+  return date.toISOString();
+}
+
+function setStatus(subscription, status, source, extra) {
+  if (subscription.status !== status) {
+    subscription.status = status;
+    subscription.status_history.push(historyEntry(status, source, extra));
+  }
+}
+
+async function requirePlan(planId) {
+  const plan = await store.getPlan(planId);
+  if (!plan) {
+    throw new ApiError(404, 'NOT_FOUND', `No plan found with ID ${planId}`);
+  }
+  return plan;
+}
+
+async function requireSubscription(subscriptionId) {
+  const subscription = await store.getSubscription(subscriptionId);
+  if (!subscription) {
+    throw new ApiError(404, 'NOT_FOUND', `No subscription found with ID ${subscriptionId}`);
+  }
+  return subscription;
+}
+
+// ============================================
+// PLANS
+// ============================================
+
+/**
+ * Create a plan: what is billed, how often, and how failed charges retry
+ *
+ * `interval_count` bills every N intervals (default 1); `retry_schedule`
+ * defaults to DEFAULT_RETRY_SCHEDULE.
+ */
+async function createPlan(body) {
+  validate(schemas.plan, body);
+
+  const { country, name, currency, interval, interval_count, description, retry_schedule, notes } = body;
+  const now = nowIso();
+  const plan = {
+    id: generateId('plan'),
+    entity: 'plan',
+    country,
+    name,
+    description: description || null,
+    amount: toMinorUnits(body.amount, currency),
+    currency,
+    interval,
+    interval_count: interval_count || 1,
+    retry_schedule: retry_schedule || DEFAULT_RETRY_SCHEDULE,
+    active: true,
+    notes: notes || {},
+    created_at: now,
+    updated_at: now
+  };
+  await store.savePlan(plan);
+
+  logger.info('Plan created', { country, plan_id: plan.id, amount: plan.amount, currency, interval });
+  return plan;
+}
+
+/**
+ * Update a plan's name, description, retry schedule or `active` flag
+ *
+ * Amount, currency and interval are fixed - create a new plan instead.
+ * An inactive plan takes no new subscriptions; existing ones keep billing.
+ */
+async function updatePlan(planId, body = {}) {
+  validate(schemas.planUpdate, body);
+  const plan = await requirePlan(planId);
+
+  ['name', 'description', 'retry_schedule', 'active'].forEach(field => {
+    if (body[field] !== undefined) {
+      plan[field] = body[field];
+    }
+  });
+  plan.updated_at = nowIso();
+  await store.savePlan(plan);
+  return plan;
+}
+
+async function getPlan(planId) {
+  return requirePlan(planId);
+}
+
+async function listPlans({ country } = {}) {
+  const items = await store.listPlans({ country });
+  return { entity: 'collection', count: items.length, items };
+}
+
+// ============================================
+// CHARGE OUTCOMES
+// ============================================
+
+/**
+ * Schedule the next retry of a failed charge, or halt the subscription
+ * once the plan's retry schedule is used up
+ */
+async function scheduleRetry(subscription, source) {
+  const plan = await store.getPlan(subscription.plan_id);
+  const schedule = (plan && plan.retry_schedule) || DEFAULT_RETRY_SCHEDULE;
+  const attempt = subscription.retry.attempt;
+
+  if (attempt < schedule.length) {
+    subscription.retry = {
+      attempt: attempt + 1,
+      next_retry_at: new Date(Date.now() + schedule[attempt] * 60 * 60 * 1000).toISOString()
+    };
+    setStatus(subscription, 'past_due', source, { retry: attempt + 1 });
+  } else {
+    subscription.retry = { attempt, next_retry_at: null };
+    setStatus(subscription, 'halted', source);
+  }
+}
+
+/**
+ * Apply a payment outcome to its charge
+ *
+ * Called with the payment entity right after a charge, from webhooks and
+ * when a pending charge is refreshed. A charge whose request timed out has
+ * no payment ID yet and is matched by its order. Outcomes already applied
+ * are ignored, so the same payment can be reported more than once.
+ */
+async function settleCharge(subscription, payment, source) {
+  const charge = subscription.charges.find(item => item.payment_id === payment.id) ||
+    subscription.charges.find(item => !item.payment_id && payment.order_id && item.order_id === payment.order_id);
+  if (!charge || !PENDING_CHARGE_STATUSES.includes(charge.status)) {
+    return subscription;
+  }
+  charge.payment_id = payment.id;
+
+  const succeeded = ['authorized', 'captured'].includes(payment.status);
+  if (!succeeded && payment.status !== 'failed') {
+    return subscription;  // Still processing
+  }
+
+  const now = nowIso();
+  charge.status = payment.status;
+  charge.updated_at = now;
+  if (succeeded) {
+    charge.error = null;
+  } else {
+    charge.error = {
+      code: payment.error_code || null,
+      description: payment.error_description || null,
+      reason: payment.error_reason || null
+    };
+  }
+
+  if (charge.type === 'mandate') {
+    if (succeeded && payment.token_id) {
+      subscription.token_id = payment.token_id;
+      subscription.paid_count = 1;
+      subscription.current_start = now;
+      subscription.current_end = addInterval(now, subscription.interval, subscription.interval_count);
+      subscription.next_charge_at = subscription.current_end;
+      setStatus(subscription, 'active', source);
+    } else {
+      setStatus(subscription, 'failed', source, { error_code: payment.error_code || 'NO_TOKEN' });
+    }
+  } else if (succeeded) {
+    subscription.paid_count += 1;
+    subscription.current_start = subscription.current_end || now;
+    subscription.current_end = addInterval(subscription.current_start, subscription.interval, subscription.interval_count);
+    subscription.next_charge_at = subscription.current_end;
+    subscription.retry = { attempt: 0, next_retry_at: null };
+    setStatus(subscription, 'active', source);
+  } else {
+    await scheduleRetry(subscription, source);
+  }
+
+  if (subscription.total_count && subscription.paid_count >= subscription.total_count) {
+    subscription.next_charge_at = null;
+    setStatus(subscription, 'completed', source);
+  }
+
+  subscription.updated_at = now;
+  await store.saveSubscription(subscription);
+
+  logger.info('Subscription charge settled', {
+    country: subscription.country,
+    subscription_id: subscription.id,
+    payment_id: payment.id,
+    charge_status: charge.status,
+    status: subscription.status
+  });
+  return subscription;
+}
+
+/**
+ * The payment made against a charge's order, if any - a successful one
+ * before the latest attempt
+ */
+async function findOrderPayment(country, orderId) {
+  const collection = await callRazorpayAPI(country, `/orders/${orderId}/payments`, 'GET');
+  const payments = collection.items || [];
+  return payments.find(payment => ['authorized', 'captured'].includes(payment.status)) ||
+    payments.sort((a, b) => (b.created_at || 0) - (a.created_at || 0))[0] ||
+    null;
+}
+
+/**
+ * Settle charges still waiting for an outcome from the Razorpay payment
+ *
+ * A charge without a payment ID (its request timed out, or never
+ * returned) is looked up through its order. When no payment shows up there within
+ * UNKNOWN_CHARGE_MINUTES the charge is `abandoned`, which lets the cycle
+ * be charged again - or, for the first (mandate) payment, fails the
+ * subscription.
+ */
+async function refreshPendingCharges(subscription) {
+  const pending = subscription.charges.filter(charge => PENDING_CHARGE_STATUSES.includes(charge.status));
+
+  for (const charge of pending) {
+    if (charge.payment_id) {
+      const payment = await callRazorpayAPI(subscription.country, `/payments/${charge.payment_id}`, 'GET');
+      await settleCharge(subscription, payment, 'api');
+      continue;
+    }
+
+    const payment = await findOrderPayment(subscription.country, charge.order_id);
+    if (payment) {
+      await settleCharge(subscription, payment, 'api');
+    } else if (Date.now() - new Date(charge.created_at).getTime() > UNKNOWN_CHARGE_MINUTES * 60 * 1000) {
+      charge.status = 'abandoned';
+      charge.updated_at = nowIso();
+      subscription.updated_at = charge.updated_at;
+      if (charge.type === 'mandate') {
+        setStatus(subscription, 'failed', 'api', { error_code: 'PAYMENT_NOT_CREATED' });
+      }
+      await store.saveSubscription(subscription);
+      logger.warn('Subscription charge never reached Razorpay', {
+        country: subscription.country,
+        subscription_id: subscription.id,
+        order_id: charge.order_id
+      });
+    }
+  }
+  return subscription;
+}
+
+/**
+ * Payment webhooks for subscription payments (notes.subscription_id)
+ */
+async function handlePaymentEvent(payment) {
+  const subscriptionId = payment && payment.notes && payment.notes.subscription_id;
+  if (!subscriptionId) {
+    return null;
+  }
+  const subscription = await store.getSubscription(subscriptionId);
+  return subscription ? settleCharge(subscription, payment, 'webhook') : null;
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Subscribe a customer to a plan with the first (mandate) payment
+ *
+ * `body` takes country, plan_id, customer_id (lib/customers.js), contact,
+ * email, card, and optionally total_count (cycles to bill, including the
+ * first), max_amount (largest charge the mandate allows; defaults to the
+ * plan amount) and the 3DS fields of /api/create-payment. Resolves to
+ * `{ subscription, payment }`; `payment.redirect_url` is set when the
+ * customer must complete 3DS before the subscription becomes active.
+ */
+async function createSubscription(body, { callbackUrl }) {
+  validate(schemas.subscription, body);
+
+  const { country, plan_id, customer_id, contact, email, card, total_count, notes } = body;
+  const plan = await requirePlan(plan_id);
+  if (!plan.active) {
+    throw new ApiError(409, 'INVALID_PLAN_STATE', `Plan ${plan.id} is inactive`);
+  }
+  if (plan.country !== country) {
+    throw new ValidationError([
+      { field: 'plan_id', code: 'country_mismatch', description: `plan_id belongs to ${plan.country}, not ${country}` }
+    ]);
+  }
+
+  validate(schemas.subscriptionAmounts, { max_amount: body.max_amount, currency: plan.currency });
+  const maxAmount = body.max_amount === undefined ? plan.amount : toMinorUnits(body.max_amount, plan.currency);
+  if (maxAmount < plan.amount) {
+    throw new ValidationError([
+      { field: 'max_amount', code: 'too_small', description: `max_amount must be at least the plan amount (${plan.amount})` }
+    ]);
+  }
+
+  const now = nowIso();
+  const expireAt = total_count
+    ? addInterval(now, plan.interval, plan.interval_count * (total_count + 1))
+    : addInterval(now, 'yearly', DEFAULT_MANDATE_YEARS);
+  const mandate = {
+    max_amount: maxAmount,
+    expire_at: expireAt,
+    frequency: plan.interval_count === 1 ? MANDATE_FREQUENCIES[plan.interval] : 'as_presented'
+  };
+
+  const subscription = {
+    id: generateId('sub'),
+    entity: 'subscription',
+    country,
+    plan_id: plan.id,
+    customer_id,
+    token_id: null,
+    status: 'pending',
+    amount: plan.amount,
+    currency: plan.currency,
+    interval: plan.interval,
+    interval_count: plan.interval_count,
+    total_count: total_count || null,
+    paid_count: 0,
+    mandate,
+    current_start: null,
+    current_end: null,
+    next_charge_at: null,
+    retry: { attempt: 0, next_retry_at: null },
+    charges: [],
+    notes: notes || {},
+    email,
+    contact,
+    status_history: [historyEntry('pending', 'api')],
+    created_at: now,
+    updated_at: now
+  };
+
+  const order = await createOrder(country, {
+    amount: plan.amount,
+    currency: plan.currency,
+    captureMode: 'auto',
+    method: 'card',
+    notes: {
+      integration: 's2s_recurring',
+      subscription_id: subscription.id
+    },
+    fields: {
+      method: 'card',
+      customer_id,
+      token: {
+        max_amount: mandate.max_amount,
+        expire_at: Math.floor(new Date(mandate.expire_at).getTime() / 1000),
+        frequency: mandate.frequency
+      }
+    }
+  });
+
+  const paymentRequest = {
+    amount: plan.amount,
+    currency: plan.currency,
+    order_id: order.id,
+    method: 'card',
+    customer_id,
+    recurring: '1',
+    contact,
+    email,
+    callback_url: callbackUrl,
+    notes: {
+      capture_mode: 'auto',
+      subscription_id: subscription.id
+    },
+    card: cardDetails(card)
+  };
+  ['authentication', 'browser', 'ip', 'referer', 'user_agent'].forEach(field => {
+    if (body[field]) paymentRequest[field] = body[field];
+  });
+
+  const charge = {
+    type: 'mandate',
+    cycle: 1,
+    order_id: order.id,
+    payment_id: null,
+    amount: plan.amount,
+    status: 'created',
+    error: null,
+    created_at: now,
+    updated_at: now
+  };
+  subscription.charges.push(charge);
+
+  logger.info('Registering subscription mandate', {
+    country,
+    subscription_id: subscription.id,
+    plan_id: plan.id,
+    order_id: order.id,
+    max_amount: mandate.max_amount,
+    frequency: mandate.frequency
+  });
+
+  let result;
+  try {
+    result = await submitAndRecord(country, paymentRequest, {
+      orderId: order.id,
+      country,
+      amount: plan.amount,
+      currency: plan.currency,
+      method: 'card',
+      card
+    });
+  } catch (error) {
+    if (charge.status !== 'created') {
+      // A payment webhook settled the charge while we waited for the answer
+      throw error;
+    }
+    if (error instanceof RazorpayAPIError) {
+      charge.status = 'failed';
+      charge.payment_id = (error.metadata && error.metadata.payment_id) || null;
+      charge.error = { code: error.code, description: error.message, reason: error.details.reason || null };
+      setStatus(subscription, 'failed', 'api', { error_code: charge.error.code });
+    } else {
+      // Timeout or unreadable response - Razorpay may have taken the
+      // payment, so the subscription stays pending until the charge is
+      // settled through its order (see submitCharge)
+      charge.status = 'unknown';
+      charge.error = { code: error.code || 'UNKNOWN_ERROR', description: error.message, reason: null };
+    }
+    charge.updated_at = nowIso();
+    subscription.updated_at = charge.updated_at;
+    await store.saveSubscription(subscription);
+    throw error;
+  }
+
+  charge.payment_id = result.paymentId;
+  await store.saveSubscription(subscription);
+
+  if (!result.redirectUrl) {
+    await refreshPendingCharges(subscription);
+  }
+
+  return {
+    subscription,
+    payment: {
+      id: result.paymentId,
+      order_id: order.id,
+      redirect_url: result.redirectUrl
+    }
+  };
+}
+
+/**
+ * A subscription, with any pending charge refreshed from Razorpay
+ */
+async function getSubscription(subscriptionId) {
+  const subscription = await requireSubscription(subscriptionId);
+  return refreshPendingCharges(subscription);
+}
+
+async function listSubscriptions({ country, status, plan_id } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw new ApiError(400, 'BAD_REQUEST', `Invalid status: ${status} (expected ${STATUSES.join(', ')})`);
+  }
+  const items = await store.listSubscriptions({ country, status, planId: plan_id });
+  return { entity: 'collection', count: items.length, items };
+}
+
+/**
+ * Stop billing a subscription
+ *
+ * The card token stays on the customer; delete it through
+ * DELETE /api/customers/:id/tokens/:token_id to revoke the mandate.
+ */
+async function cancelSubscription(subscriptionId) {
+  const subscription = await requireSubscription(subscriptionId);
+  if (['cancelled', 'completed'].includes(subscription.status)) {
+    throw new ApiError(409, 'INVALID_SUBSCRIPTION_STATE',
+      `Subscription ${subscription.id} is already ${subscription.status}`);
+  }
+
+  setStatus(subscription, 'cancelled', 'api');
+  subscription.next_charge_at = null;
+  subscription.retry = { attempt: subscription.retry.attempt, next_retry_at: null };
+  subscription.updated_at = nowIso();
+  await store.saveSubscription(subscription);
+
+  logger.info('Subscription cancelled', { country: subscription.country, subscription_id: subscription.id });
+  return subscription;
+}
+
+// Subscriptions being charged by this process - a second concurrent
+// charge is refused instead of billing the cycle twice
+const chargesInFlight = new Set();
+
+/**
+ * Charge the next billing cycle against the recurring token
+ *
+ * Creates a merchant-initiated order and a /payments/create/recurring
+ * payment. `amount` defaults to the plan amount and may not exceed the
+ * mandate's max_amount. A declined charge schedules a retry (see
+ * scheduleRetry) and the Razorpay error is rethrown.
+ */
+async function chargeSubscription(subscriptionId, { amount } = {}) {
+  if (chargesInFlight.has(subscriptionId)) {
+    throw new ApiError(409, 'CHARGE_IN_PROGRESS', `Subscription ${subscriptionId} is already being charged`);
+  }
+  chargesInFlight.add(subscriptionId);
+
+  try {
+    const subscription = await refreshPendingCharges(await requireSubscription(subscriptionId));
+    if (!CHARGEABLE.includes(subscription.status)) {
+      throw new ApiError(409, 'INVALID_SUBSCRIPTION_STATE',
+        `Cannot charge subscription ${subscription.id} in status ${subscription.status}`);
+    }
+    if (subscription.charges.some(charge => PENDING_CHARGE_STATUSES.includes(charge.status))) {
+      throw new ApiError(409, 'CHARGE_IN_PROGRESS', `Subscription ${subscription.id} has a charge still awaiting its outcome`);
+    }
+
+    validate(schemas.subscriptionAmounts, { amount, currency: subscription.currency });
+    const chargeAmount = amount === undefined || amount === null
+      ? subscription.amount
+      : toMinorUnits(amount, subscription.currency);
+    if (chargeAmount > subscription.mandate.max_amount) {
+      throw new ValidationError([
+        { field: 'amount', code: 'exceeds_mandate', description: `amount must be at most the mandate max_amount (${subscription.mandate.max_amount})` }
+      ]);
+    }
+
+    return await submitCharge(subscription, chargeAmount);
+  } finally {
+    chargesInFlight.delete(subscriptionId);
+  }
+}
+
+async function submitCharge(subscription, amount) {
+  const { country, currency } = subscription;
+  const cycle = subscription.paid_count + 1;
+
+  const order = await createOrder(country, {
+    amount,
+    currency,
+    captureMode: 'auto',
+    method: 'card',
+    notes: {
+      integration: 's2s_recurring',
+      subscription_id: subscription.id,
+      cycle: String(cycle)
+    }
+  });
+
+  const now = nowIso();
+  const charge = {
+    type: 'cycle',
+    cycle,
+    order_id: order.id,
+    payment_id: null,
+    amount,
+    status: 'created',
+    error: null,
+    created_at: now,
+    updated_at: now
+  };
+  subscription.charges.push(charge);
+  // Saved before the payment request so the order is known however it ends
+  await store.saveSubscription(subscription);
+
+  logger.info('Charging subscription', {
+    country,
+    subscription_id: subscription.id,
+    order_id: order.id,
+    cycle,
+    amount,
+    currency,
+    retry: subscription.retry.attempt
+  });
+
+  let result;
+  try {
+    result = await submitAndRecord(country, {
+      amount,
+      currency,
+      order_id: order.id,
+      customer_id: subscription.customer_id,
+      token: subscription.token_id,
+      recurring: '1',
+      email: subscription.email,
+      contact: subscription.contact,
+      description: `Subscription ${subscription.id} - cycle ${cycle}`,
+      notes: {
+        capture_mode: 'auto',
+        subscription_id: subscription.id
+      }
+    }, {
+      orderId: order.id,
+      country,
+      amount,
+      currency,
+      method: 'card',
+      card: { token: subscription.token_id }
+    }, '/payments/create/recurring');
+  } catch (error) {
+    if (charge.status !== 'created') {
+      // A payment webhook settled the charge while we waited for the answer
+      throw error;
+    }
+    if (error instanceof RazorpayAPIError) {
+      charge.status = 'failed';
+      charge.payment_id = (error.metadata && error.metadata.payment_id) || null;
+      charge.error = { code: error.code, description: error.message, reason: error.details.reason || null };
+      await scheduleRetry(subscription, 'api');
+    } else {
+      // Timeout or unreadable response - settled through the order, by the
+      // payment webhook or refreshPendingCharges, before the next charge
+      charge.status = 'unknown';
+      charge.error = { code: error.code || 'UNKNOWN_ERROR', description: error.message, reason: null };
+    }
+    charge.updated_at = nowIso();
+    subscription.updated_at = charge.updated_at;
+    await store.saveSubscription(subscription);
+    throw error;
+  }
+
+  charge.payment_id = result.paymentId;
+  charge.status = 'processing';
+  await store.saveSubscription(subscription);
+
+  return refreshPendingCharges(subscription);
+}
+
+/**
+ * Charge every subscription that is due: active ones past next_charge_at
+ * and past_due ones past their next retry
+ *
+ * Meant to be called by a scheduler (cron, Vercel Cron Jobs). Failures
+ * are reported per subscription and do not stop the run.
+ */
+async function chargeDueSubscriptions({ now = new Date() } = {}) {
+  const time = now.toISOString();
+  const candidates = await store.listSubscriptions({ status: ['active', 'past_due'] });
+  const due = candidates.filter(subscription =>
+    subscription.status === 'active'
+      ? subscription.next_charge_at && subscription.next_charge_at <= time
+      : subscription.retry.next_retry_at && subscription.retry.next_retry_at <= time);
+
+  const results = [];
+  for (const subscription of due) {
+    try {
+      const charged = await chargeSubscription(subscription.id);
+      results.push({ subscription_id: subscription.id, status: charged.status, error: null });
+    } catch (error) {
+      results.push({
+        subscription_id: subscription.id,
+        status: (await store.getSubscription(subscription.id)).status,
+        error: { code: error.code || 'UNKNOWN_ERROR', description: error.message }
+      });
+    }
+  }
+
+  logger.info('Due subscriptions charged', { due: due.length, failed: results.filter(result => result.error).length });
+  return { entity: 'collection', count: results.length, items: results };
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULT_RETRY_SCHEDULE,
+  MemorySubscriptionStore,
+  JsonFileSubscriptionStore,
+  setStore,
+  createPlan,
+  updatePlan,
+  getPlan,
+  listPlans,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  cancelSubscription,
+  chargeSubscription,
+  chargeDueSubscriptions,
+  handlePaymentEvent
+};
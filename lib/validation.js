@@ -0,0 +1,495 @@
+const { RAZORPAY_CONFIGS, CAPTURE_MODES, BILLING_INTERVALS } = require('./config');
+const { ValidationError } = require('./errors');
+const Currencies = require('./currencies');
+const { luhnValid } = require('./redaction');
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+//
+// A schema maps a field path (`card.number`) to `{ required, rules }`.
+// Each rule is `(value, body) => null | [code, description]`; the first
+// failing rule of each field is reported, and all failing fields are
+// returned together in one 422 VALIDATION_ERROR:
+//
+// { error: { code: 'VALIDATION_ERROR', description, fields: [{ field, code, description }] } }
+
+/**
+ * Card networks: IIN prefix, PAN lengths and CVV length
+ *
+ * Order matters - RuPay and Maestro ranges overlap Discover and Mastercard.
+ */
+const CARD_NETWORKS = [
+  { name: 'amex', pattern: /^3[47]/, lengths: [15], cvv: 4 },
+  { name: 'diners', pattern: /^3(0[0-5]|[689])/, lengths: [14, 15, 16, 17, 18, 19], cvv: 3 },
+  { name: 'jcb', pattern: /^35(2[89]|[3-8])/, lengths: [16, 17, 18, 19], cvv: 3 },
+  { name: 'rupay', pattern: /^(508|60|652[12]|81|82)/, lengths: [16], cvv: 3 },
+  { name: 'maestro', pattern: /^(5018|5020|5038|6304|6759|676[1-3])/, lengths: [12, 13, 14, 15, 16, 17, 18, 19], cvv: 3 },
+  { name: 'discover', pattern: /^(6011|64[4-9]|65)/, lengths: [16, 17, 18, 19], cvv: 3 },
+  { name: 'mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/, lengths: [16], cvv: 3 },
+  { name: 'visa', pattern: /^4/, lengths: [13, 16, 19], cvv: 3 }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+const VPA_PATTERN = /^[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9.-]{1,63}$/;
+
+function digitsOf(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/[\s-]/g, '');
+}
+
+function detectNetwork(number) {
+  return CARD_NETWORKS.find(network => network.pattern.test(number)) || null;
+}
+
+function getPath(body, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), body);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// ============================================
+// RULES
+// ============================================
+
+const rules = {
+  string: value =>
+    typeof value === 'string' ? null : ['invalid_type', 'must be a string'],
+
+  object: value =>
+    value && typeof value === 'object' && !Array.isArray(value) ? null : ['invalid_type', 'must be an object'],
+
+  boolean: value =>
+    typeof value === 'boolean' ? null : ['invalid_type', 'must be true or false'],
+
+  /**
+   * Razorpay ID with the given prefix (`cust`, `token`)
+   */
+  razorpayId: prefix => value =>
+    typeof value === 'string' && new RegExp(`^${prefix}_[A-Za-z0-9]+$`).test(value)
+      ? null
+      : ['invalid_id', `must be a ${prefix}_ ID`],
+
+  /**
+   * Only valid together with another field (`save` needs `customer_id`)
+   */
+  requires: field => (value, body) =>
+    value === false || !isMissing(getPath(body, field)) ? null : ['required_with', `requires ${field}`],
+
+  integerRange: (min, max) => value =>
+    Number.isInteger(value) && value >= min && value <= max
+      ? null
+      : ['invalid_value', `must be an integer from ${min} to ${max}`],
+
+  /**
+   * Hours to wait before each retry of a failed charge: [24, 72, 168]
+   */
+  retrySchedule: value =>
+    Array.isArray(value) && value.length <= 10 && value.every(hours => typeof hours === 'number' && hours > 0)
+      ? null
+      : ['invalid_schedule', 'must be a list of at most 10 positive numbers of hours'],
+
+  /**
+   * ISO 8601 time at least `minutes` from now (Razorpay rejects expiries
+   * that are too close)
+   */
+  futureTime: minutes => value => {
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(time)) {
+      return ['invalid_time', 'must be an ISO 8601 time, e.g. 2030-01-31T18:30:00Z'];
+    }
+    return time >= Date.now() + minutes * 60 * 1000
+      ? null
+      : ['too_soon', `must be at least ${minutes} minutes from now`];
+  },
+
+  url: value =>
+    typeof value === 'string' && /^https?:\/\/[^\s]+$/.test(value) ? null : ['invalid_url', 'must be an http(s) URL'],
+
+  maxLength: max => value =>
+    String(value).length <= max ? null : ['too_long', `must be at most ${max} characters`],
+
+  oneOf: (allowed, code = 'invalid_value') => value =>
+    allowed.includes(value) ? null : [code, `must be one of: ${allowed.join(', ')}`],
+
+  /**
+   * Integer in minor units (500) or major-unit decimal string ("5.00")
+   *
+   * With a known `currency` in the body, also checks its decimals,
+   * minimum and increment (see lib/currencies.js).
+   */
+  amount: (value, body) => {
+    const isDecimal = typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim());
+    if (!(Number.isInteger(value) && value > 0) && !isDecimal) {
+      return ['invalid_amount', 'must be a positive integer in minor units (500) or a decimal string in major units ("5.00")'];
+    }
+
+    const currency = Currencies.getCurrency(body.currency);
+    if (!currency) {
+      return null;  // Reported on `currency`, or converted once the currency is known
+    }
+    const minor = Currencies.toMinorUnits(value, body.currency);
+    if (Number.isNaN(minor)) {
+      return ['invalid_precision', `must have at most ${currency.exponent} decimal places for ${body.currency}`];
+    }
+    if (minor < currency.minimum) {
+      return ['amount_too_small', `must be at least ${Currencies.formatAmount(currency.minimum, body.currency)}`];
+    }
+    if (currency.increment && minor % currency.increment !== 0) {
+      return ['invalid_amount', `must be a multiple of ${currency.increment} minor units for ${body.currency}`];
+    }
+    return null;
+  },
+
+  country: value =>
+    RAZORPAY_CONFIGS[value] ? null : ['invalid_country', `must be one of: ${Object.keys(RAZORPAY_CONFIGS).join(', ')}`],
+
+  /**
+   * A payment method the geography has enabled (checked on `country`)
+   */
+  methodEnabled: method => value => {
+    const config = RAZORPAY_CONFIGS[value];
+    return !config || config.methods.includes(method)
+      ? null
+      : ['method_not_enabled', `does not accept ${method} payments`];
+  },
+
+  /**
+   * One of the currencies of the selected country's Razorpay account
+   */
+  currencyForCountry: (value, body) => {
+    const config = RAZORPAY_CONFIGS[body.country];
+    if (!config) {
+      return null;  // Reported on `country`
+    }
+    return config.currencies.includes(value)
+      ? null
+      : ['currency_mismatch', `must be ${config.currencies.join(' or ')} for ${body.country}`];
+  },
+
+  email: value =>
+    typeof value === 'string' && EMAIL_PATTERN.test(value) ? null : ['invalid_email', 'must be a valid e-mail address'],
+
+  e164: value =>
+    typeof value === 'string' && E164_PATTERN.test(value)
+      ? null
+      : ['invalid_phone', 'must be an E.164 phone number, e.g. +60123456789'],
+
+  /**
+   * UPI ID (virtual payment address): name@handle
+   */
+  vpa: value =>
+    typeof value === 'string' && VPA_PATTERN.test(value)
+      ? null
+      : ['invalid_vpa', 'must be a UPI ID, e.g. name@okhdfcbank'],
+
+  cardNumber: value => {
+    const number = digitsOf(value);
+    if (!/^\d+$/.test(number)) {
+      return ['invalid_format', 'must contain only digits'];
+    }
+    const network = detectNetwork(number);
+    const lengths = network ? network.lengths : [12, 13, 14, 15, 16, 17, 18, 19];
+    if (!lengths.includes(number.length)) {
+      return ['invalid_length', `must be ${lengths.join(' or ')} digits${network ? ` for ${network.name}` : ''}`];
+    }
+    if (!luhnValid(number)) {
+      return ['invalid_checksum', 'is not a valid card number'];
+    }
+    return null;
+  },
+
+  cvv: (value, body) => {
+    const cvv = digitsOf(value);
+    const network = detectNetwork(digitsOf(getPath(body, 'card.number')));
+    const lengths = network ? [network.cvv] : [3, 4];
+    return /^\d+$/.test(cvv) && lengths.includes(cvv.length)
+      ? null
+      : ['invalid_cvv', `must be ${lengths.join(' or ')} digits`];
+  },
+
+  expiryMonth: value => {
+    const month = Number(value);
+    return /^\d{1,2}$/.test(String(value)) && month >= 1 && month <= 12
+      ? null
+      : ['invalid_month', 'must be a month from 01 to 12'];
+  },
+
+  expiryYear: value =>
+    /^(\d{2}|\d{4})$/.test(String(value)) ? null : ['invalid_year', 'must be a 2 or 4 digit year'],
+
+  /**
+   * The card is valid until the end of its expiry month
+   */
+  notExpired: (value, body) => {
+    const month = Number(getPath(body, 'card.expiry_month'));
+    let year = Number(value);
+    if (!(month >= 1 && month <= 12)) {
+      return null;  // Reported on `card.expiry_month`
+    }
+    if (String(value).length === 2) {
+      year += 2000;
+    }
+    const now = new Date();
+    const expired = year < now.getUTCFullYear() ||
+      (year === now.getUTCFullYear() && month < now.getUTCMonth() + 1);
+    return expired ? ['expired', 'is in the past - the card has expired'] : null;
+  }
+};
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+const paymentFields = {
+  country: { required: true, rules: [rules.country] },
+  amount: { required: true, rules: [rules.amount] },
+  currency: { required: true, rules: [rules.currencyForCountry] },
+  contact: { rules: [rules.e164] },
+  email: { rules: [rules.email] },
+  capture: { rules: [rules.oneOf(CAPTURE_MODES)] },
+  receipt: { rules: [rules.string, rules.maxLength(40)] }
+};
+
+const schemas = {
+  cardPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('card')] },
+    method: { required: true, rules: [rules.oneOf(['card'])] },
+    card: { required: true, rules: [rules.object] },
+    'card.number': { required: true, rules: [rules.cardNumber] },
+    'card.name': { rules: [rules.string, rules.maxLength(100)] },
+    'card.expiry_month': { required: true, rules: [rules.expiryMonth] },
+    'card.expiry_year': { required: true, rules: [rules.expiryYear, rules.notExpired] },
+    'card.cvv': { required: true, rules: [rules.cvv] },
+    customer_id: { rules: [rules.razorpayId('cust')] },
+    save: { rules: [rules.boolean, rules.requires('customer_id')] }
+  },
+
+  // Saved card: the token replaces the card details, only the CVV is sent
+  tokenCardPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('card')] },
+    method: { required: true, rules: [rules.oneOf(['card'])] },
+    customer_id: { required: true, rules: [rules.razorpayId('cust')] },
+    token: { required: true, rules: [rules.razorpayId('token')] },
+    card: { required: true, rules: [rules.object] },
+    'card.cvv': { required: true, rules: [rules.cvv] }
+  },
+
+  applePayPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('apple_pay')] }
+  },
+
+  applePayTokenPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('apple_pay')] },
+    token: { required: true, rules: [rules.object] },
+    'token.paymentData': { required: true, rules: [rules.object] }
+  },
+
+  appleMerchantValidation: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('apple_pay')] },
+    validationURL: { required: true, rules: [rules.string] },
+    domain: { required: true, rules: [rules.string] },
+    contact: { required: true, rules: [rules.e164] },
+    email: { required: true, rules: [rules.email] }
+  },
+
+  // UPI collect: Razorpay sends a payment request to the customer's UPI ID
+  upiCollectPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('upi')] },
+    method: { rules: [rules.oneOf(['upi'])] },
+    flow: { required: true, rules: [rules.oneOf(['collect', 'intent'])] },
+    vpa: { required: true, rules: [rules.vpa] }
+  },
+
+  // UPI intent: a upi:// link (or QR code) opened in any UPI app
+  upiIntentPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('upi')] },
+    method: { rules: [rules.oneOf(['upi'])] },
+    flow: { required: true, rules: [rules.oneOf(['collect', 'intent'])] }
+  },
+
+  vpaValidation: {
+    country: { required: true, rules: [rules.country, rules.methodEnabled('upi')] },
+    vpa: { required: true, rules: [rules.vpa] }
+  },
+
+  // `bank` is a code from GET /api/payment-methods (HDFC, SBIN, ...)
+  netbankingPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('netbanking')] },
+    method: { rules: [rules.oneOf(['netbanking'])] },
+    bank: { required: true, rules: [rules.string, rules.maxLength(20)] }
+  },
+
+  // `wallet` is a code from GET /api/payment-methods (paytm, mobikwik, ...)
+  walletPayment: {
+    ...paymentFields,
+    country: { required: true, rules: [rules.country, rules.methodEnabled('wallet')] },
+    method: { rules: [rules.oneOf(['wallet'])] },
+    wallet: { required: true, rules: [rules.string, rules.maxLength(30)] }
+  },
+
+  paymentLink: {
+    country: { required: true, rules: [rules.country] },
+    amount: { required: true, rules: [rules.amount] },
+    currency: { required: true, rules: [rules.currencyForCountry] },
+    description: { rules: [rules.string, rules.maxLength(2048)] },
+    reference_id: { rules: [rules.string, rules.maxLength(40)] },
+    customer: { rules: [rules.object] },
+    'customer.name': { rules: [rules.string, rules.maxLength(100)] },
+    'customer.email': { rules: [rules.email] },
+    'customer.contact': { rules: [rules.e164] },
+    expire_by: { rules: [rules.futureTime(15)] },
+    reminders: { rules: [rules.boolean] },
+    notify: { rules: [rules.object] },
+    'notify.sms': { rules: [rules.boolean, rules.requires('customer.contact')] },
+    'notify.email': { rules: [rules.boolean, rules.requires('customer.email')] },
+    callback_url: { rules: [rules.url] },
+    notes: { rules: [rules.object] }
+  },
+
+  // UPI QR code: a fixed `amount`, or none for an open amount. UPI QR
+  // codes are always in rupees.
+  qrCode: {
+    country: { required: true, rules: [rules.country, rules.methodEnabled('upi')] },
+    usage: { required: true, rules: [rules.oneOf(['single_use', 'multiple_use'])] },
+    currency: { required: true, rules: [rules.oneOf(['INR'], 'currency_mismatch')] },
+    amount: { rules: [rules.amount] },
+    name: { rules: [rules.string, rules.maxLength(100)] },
+    description: { rules: [rules.string, rules.maxLength(255)] },
+    customer_id: { rules: [rules.razorpayId('cust')] },
+    close_by: { rules: [rules.futureTime(2)] },
+    notes: { rules: [rules.object] }
+  },
+
+  capture: {
+    country: { required: true, rules: [rules.country] },
+    amount: { rules: [rules.amount] }
+  },
+
+  void: {
+    country: { required: true, rules: [rules.country] }
+  },
+
+  customer: {
+    country: { required: true, rules: [rules.country] },
+    name: { rules: [rules.string, rules.maxLength(50)] },
+    email: { rules: [rules.email] },
+    contact: { rules: [rules.e164] },
+    notes: { rules: [rules.object] }
+  },
+
+  customerLookup: {
+    country: { required: true, rules: [rules.country] },
+    email: { rules: [rules.email] },
+    contact: { rules: [rules.e164] }
+  },
+
+  plan: {
+    country: { required: true, rules: [rules.country] },
+    name: { required: true, rules: [rules.string, rules.maxLength(100)] },
+    amount: { required: true, rules: [rules.amount] },
+    currency: { required: true, rules: [rules.currencyForCountry] },
+    interval: { required: true, rules: [rules.oneOf(BILLING_INTERVALS)] },
+    interval_count: { rules: [rules.integerRange(1, 365)] },
+    description: { rules: [rules.string, rules.maxLength(255)] },
+    retry_schedule: { rules: [rules.retrySchedule] },
+    notes: { rules: [rules.object] }
+  },
+
+  planUpdate: {
+    name: { rules: [rules.string, rules.maxLength(100)] },
+    description: { rules: [rules.string, rules.maxLength(255)] },
+    retry_schedule: { rules: [rules.retrySchedule] },
+    active: { rules: [rules.boolean] }
+  },
+
+  // The first payment registers the card mandate; card fields as for cardPayment
+  subscription: {
+    country: { required: true, rules: [rules.country, rules.methodEnabled('card')] },
+    plan_id: { required: true, rules: [rules.string] },
+    customer_id: { required: true, rules: [rules.razorpayId('cust')] },
+    contact: { required: true, rules: [rules.e164] },
+    email: { required: true, rules: [rules.email] },
+    total_count: { rules: [rules.integerRange(1, 1000)] },
+    max_amount: { rules: [rules.amount] },
+    card: { required: true, rules: [rules.object] },
+    'card.number': { required: true, rules: [rules.cardNumber] },
+    'card.name': { rules: [rules.string, rules.maxLength(100)] },
+    'card.expiry_month': { required: true, rules: [rules.expiryMonth] },
+    'card.expiry_year': { required: true, rules: [rules.expiryYear, rules.notExpired] },
+    'card.cvv': { required: true, rules: [rules.cvv] },
+    notes: { rules: [rules.object] }
+  },
+
+  // Amounts checked against the subscription's currency
+  subscriptionAmounts: {
+    amount: { rules: [rules.amount] },
+    max_amount: { rules: [rules.amount] }
+  },
+
+  refund: {
+    country: { required: true, rules: [rules.country] },
+    amount: { rules: [rules.amount] },
+    notes: { rules: [rules.object] },
+    receipt: { rules: [rules.string, rules.maxLength(40)] }
+  }
+};
+
+/**
+ * Check `body` against a schema and throw a ValidationError listing every
+ * invalid field
+ *
+ * Fields below a field that already failed (e.g. `card.number` when
+ * `card` is missing) are skipped.
+ */
+function validate(schema, body) {
+  const input = body || {};
+  const errors = [];
+
+  Object.keys(schema).forEach(path => {
+    if (errors.some(error => path.startsWith(`${error.field}.`))) {
+      return;
+    }
+
+    const { required, rules: fieldRules = [] } = schema[path];
+    const value = getPath(input, path);
+
+    if (isMissing(value)) {
+      if (required) {
+        errors.push({ field: path, code: 'required', description: `${path} is required` });
+      }
+      return;
+    }
+
+    for (const rule of fieldRules) {
+      const failure = rule(value, input);
+      if (failure) {
+        errors.push({ field: path, code: failure[0], description: `${path} ${failure[1]}` });
+        return;
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+module.exports = {
+  CARD_NETWORKS,
+  schemas,
+  rules,
+  validate,
+  detectNetwork,
+  luhnValid
+};
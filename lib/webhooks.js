@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { RAZORPAY_CONFIGS } = require('./config');
+const { verifyWebhookSignature } = require('./signatures');
+const { scheduleDelayedCapture } = require('./capture');
+const ledger = require('./ledger');
+const subscriptions = require('./subscriptions');
+const { logger } = require('./logger');
+
+// ============================================
+// RAZORPAY WEBHOOKS
+// ============================================
+
+// Razorpay retries a webhook for up to 24 hours, so remember event IDs
+// for at least that long to drop redeliveries.
+const EVENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const processedEvents = new Map();
+const handlers = [];
+
+/**
+ * Register a handler for a webhook event
+ *
+ * `pattern` is an exact event name (`payment.captured`) or a prefix
+ * wildcard (`refund.*`). Handlers receive `(event, context)` where context
+ * holds the resolved `country` and `eventId`.
+ */
+function on(pattern, handler) {
+  handlers.push({ pattern, handler });
+}
+
+function matches(pattern, eventName) {
+  if (pattern.endsWith('.*')) {
+    return eventName.startsWith(pattern.slice(0, -1));
+  }
+  return pattern === eventName;
+}
+
+/**
+ * Find which geography's webhook secret signed the payload
+ *
+ * When the webhook URL carries `?country=XX` only that secret is tried,
+ * otherwise every configured secret is checked.
+ */
+function resolveCountry(rawBody, signature, country) {
+  const candidates = country ? [country] : Object.keys(RAZORPAY_CONFIGS);
+
+  return candidates.find(code => {
+    const config = RAZORPAY_CONFIGS[code];
+    return config && verifyWebhookSignature(rawBody, signature, config.webhookSecrets);
+  }) || null;
+}
+
+function pruneProcessedEvents(now) {
+  processedEvents.forEach((seenAt, eventId) => {
+    if (now - seenAt > EVENT_TTL_MS) {
+      processedEvents.delete(eventId);
+    }
+  });
+}
+
+/**
+ * Run every handler registered for the event
+ */
+async function dispatch(event, context) {
+  const matching = handlers.filter(({ pattern }) => matches(pattern, event.event));
+
+  if (matching.length === 0) {
+    logger.info('No webhook handler for event', { event: event.event });
+    return;
+  }
+
+  for (const { handler } of matching) {
+    await handler(event, context);
+  }
+}
+
+/**
+ * Verify, de-duplicate and dispatch a Razorpay webhook
+ *
+ * Returns `{ statusCode, body }` so both the Express route and the Vercel
+ * handler can send the same response. A non-2xx status makes Razorpay retry.
+ */
+async function handleWebhook({ rawBody, signature, eventId, country }) {
+  if (!rawBody || !signature) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'BAD_REQUEST',
+          description: 'Missing webhook body or X-Razorpay-Signature header'
+        }
+      }
+    };
+  }
+
+  const resolvedCountry = resolveCountry(rawBody, signature, country);
+  if (!resolvedCountry) {
+    logger.warn('Webhook signature verification failed', { country: country || null });
+    return {
+      statusCode: 401,
+      body: {
+        error: {
+          code: 'INVALID_SIGNATURE',
+          description: 'Webhook signature verification failed'
+        }
+      }
+    };
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString());
+  } catch (error) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'BAD_REQUEST',
+          description: 'Webhook body is not valid JSON'
+        }
+      }
+    };
+  }
+
+  const id = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const now = Date.now();
+  pruneProcessedEvents(now);
+
+  if (processedEvents.has(id)) {
+    logger.info('Duplicate webhook ignored', { event_id: id, event: event.event });
+    return { statusCode: 200, body: { status: 'duplicate' } };
+  }
+
+  // Mark before dispatching so a concurrent redelivery is dropped too
+  processedEvents.set(id, now);
+  logger.info('Webhook received', { country: resolvedCountry, event_id: id, event: event.event });
+
+  try {
+    await dispatch(event, { country: resolvedCountry, eventId: id });
+  } catch (error) {
+    // Forget the event so Razorpay's retry is processed. The error stays
+    // in our logs - the response goes to whoever sent the webhook
+    processedEvents.delete(id);
+    logger.error('Webhook handler failed', { event_id: id, event: event.event, error });
+    return {
+      statusCode: 500,
+      body: {
+        error: {
+          code: 'WEBHOOK_HANDLER_FAILED',
+          description: 'Webhook could not be processed - it will be retried'
+        }
+      }
+    };
+  }
+
+  return { statusCode: 200, body: { status: 'ok' } };
+}
+
+// ============================================
+// DEFAULT EVENT HANDLERS
+// ============================================
+
+function paymentEntity(event) {
+  return event.payload && event.payload.payment ? event.payload.payment.entity : {};
+}
+
+on('payment.authorized', (event, { country }) => {
+  const payment = paymentEntity(event);
+  logger.info('Payment authorized', { country, payment_id: payment.id, order_id: payment.order_id });
+  scheduleDelayedCapture(payment, country);
+});
+
+on('payment.captured', (event, { country }) => {
+  const payment = paymentEntity(event);
+  logger.info('Payment captured', { country, payment_id: payment.id, amount: payment.amount, currency: payment.currency });
+});
+
+on('payment.failed', (event, { country }) => {
+  const payment = paymentEntity(event);
+  logger.warn('Payment failed', {
+    country,
+    payment_id: payment.id,
+    error_code: payment.error_code,
+    error_description: payment.error_description
+  });
+});
+
+on('order.paid', async (event, { country }) => {
+  const order = event.payload && event.payload.order ? event.payload.order.entity : {};
+  logger.info('Order paid', { country, order_id: order.id });
+  await ledger.updateOrderStatus(order.id, 'paid', 'webhook');
+});
+
+on('refund.*', (event, { country }) => {
+  const refund = event.payload && event.payload.refund ? event.payload.refund.entity : {};
+  logger.info('Refund event', {
+    country,
+    event: event.event,
+    refund_id: refund.id,
+    payment_id: refund.payment_id,
+    status: refund.status
+  });
+});
+
+on('payment_link.*', (event, { country }) => {
+  const link = event.payload && event.payload.payment_link ? event.payload.payment_link.entity : {};
+  logger.info('Payment link event', { country, event: event.event, payment_link_id: link.id, status: link.status });
+});
+
+on('qr_code.*', (event, { country }) => {
+  const qrCode = event.payload && event.payload.qr_code ? event.payload.qr_code.entity : {};
+  logger.info('QR code event', { country, event: event.event, qr_code_id: qrCode.id, status: qrCode.status });
+});
+
+/**
+ * Mirror the payment status of every payment and refund event into the
+ * ledger, keeping Razorpay's raw error code on failures
+ */
+async function syncLedger(event, { country }) {
+  const payment = paymentEntity(event);
+  if (!payment || !payment.id) {
+    return;
+  }
+
+  await ledger.updatePaymentStatus(payment.id, payment.status, 'webhook', {
+    order_id: payment.order_id,
+    country,
+    amount: payment.amount,
+    currency: payment.currency,
+    method: payment.method,
+    error: payment.error_code ? {
+      code: payment.error_code,
+      description: payment.error_description,
+      reason: payment.error_reason,
+      source: payment.error_source,
+      step: payment.error_step
+    } : null
+  });
+}
+
+on('payment.*', syncLedger);
+on('refund.*', syncLedger);
+
+// Settle subscription charges (payments with notes.subscription_id)
+on('payment.*', event => subscriptions.handlePaymentEvent(paymentEntity(event)));
+
+module.exports = {
+  on,
+  handleWebhook
+};
@@ -1,7 +1,30 @@
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 require('dotenv').config();
+const { RAZORPAY_CONFIGS, getPublicConfig } = require('./lib/config');
+const { redactSecrets } = require('./lib/redaction');
+const { logger, requestIdMiddleware } = require('./lib/logger');
+const paymentService = require('./lib/payment-service');
+const webhooks = require('./lib/webhooks');
+const { getCallbackUrl, handlePaymentCallback } = require('./lib/payment-callback');
+const paymentStatus = require('./lib/payment-status');
+const { capturePayment, voidPayment } = require('./lib/capture');
+const refunds = require('./lib/refunds');
+const customers = require('./lib/customers');
+const indiaMethods = require('./lib/india-methods');
+const paymentLinks = require('./lib/payment-links');
+const qrCodes = require('./lib/qr-codes');
+const subscriptions = require('./lib/subscriptions');
+const ledger = require('./lib/ledger');
+const paymentsV2 = require('./lib/payments-v2');
+const { DOMAIN_ASSOCIATION_PATH, getDomainAssociation } = require('./lib/apple-pay');
+const { sendError } = require('./lib/http');
+const { idempotent } = require('./lib/idempotency');
+const { rateLimited } = require('./lib/rate-limit');
+const { isOriginAllowed, issueCheckoutSession, authorize, assertCustomer } = require('./lib/auth');
+const metrics = require('./lib/metrics');
+const { circuitBreakers } = require('./lib/razorpay');
+const health = require('./lib/health');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,113 +33,41 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE
 // ============================================
 
-app.use(cors());
-app.use(express.json());
+// Browsers only get CORS headers back on the origin allowlist (lib/auth.js)
+app.use(cors({
+  origin: (origin, callback) => callback(null, isOriginAllowed(origin)),
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id', 'Retry-After']
+}));
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
+// Request ID and request logging (lib/logger.js)
+app.use(requestIdMiddleware);
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const RAZORPAY_CONFIGS = {
-  MY: {
-    keyId: process.env.RAZORPAY_KEY_ID_MY || '',
-    keySecret: process.env.RAZORPAY_KEY_SECRET_MY || '',
-    currency: 'MYR'
-  },
-  SG: {
-    keyId: process.env.RAZORPAY_KEY_ID_SG || '',
-    keySecret: process.env.RAZORPAY_KEY_SECRET_SG || '',
-    currency: 'SGD'
-  },
-  US: {
-    keyId: process.env.RAZORPAY_KEY_ID_US || '',
-    keySecret: process.env.RAZORPAY_KEY_SECRET_US || '',
-    currency: 'USD'
-  },
-  IN: {
-    keyId: process.env.RAZORPAY_KEY_ID_IN || '',
-    keySecret: process.env.RAZORPAY_KEY_SECRET_IN || '',
-    currency: 'INR'
-  }
-};
-
-const API_BASE_URL = 'https://api.razorpay.com/v1';
-
 // Validate configuration
+if (Object.keys(RAZORPAY_CONFIGS).length === 0) {
+  logger.warn('No geographies configured - set RAZORPAY_KEY_ID_<CC> or RAZORPAY_GEOGRAPHIES_FILE');
+}
 Object.keys(RAZORPAY_CONFIGS).forEach(country => {
   if (!RAZORPAY_CONFIGS[country].keySecret) {
-    console.warn(`⚠️  WARNING: RAZORPAY_KEY_SECRET_${country} not set!`);
-  } else {
-    console.log(`✅ ${country} keys configured`);
-  }
-});
-
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-
-/**
- * Get Basic Auth header for Razorpay API
- */
-function getAuthHeader(country = 'MY') {
-  const config = RAZORPAY_CONFIGS[country];
-  if (!config || !config.keySecret) {
-    throw new Error(`Invalid or unconfigured country: ${country}`);
-  }
-  const credentials = Buffer.from(
-    `${config.keyId}:${config.keySecret}`
-  ).toString('base64');
-  return `Basic ${credentials}`;
-}
-
-/**
- * Get Razorpay config for a country
- */
-function getConfig(country = 'MY') {
-  const config = RAZORPAY_CONFIGS[country];
-  if (!config || !config.keySecret) {
-    throw new Error(`Invalid or unconfigured country: ${country}`);
+    logger.warn(`RAZORPAY_KEY_SECRET_${country} not set`, { country });
   }
-  return config;
-}
-
-/**
- * Make authenticated request to Razorpay API
- */
-async function callRazorpayAPI(endpoint, method = 'POST', body = null) {
-  const url = `${API_BASE_URL}${endpoint}`;
-
-  const options = {
-    method: method,
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': getAuthHeader()
-    }
-  };
-
-  if (body && method !== 'GET') {
-    options.body = JSON.stringify(body);
+  if (RAZORPAY_CONFIGS[country].secondaryKeySecret || RAZORPAY_CONFIGS[country].secondaryWebhookSecret) {
+    logger.info('Secondary secret configured - accepted for signature verification', { country });
   }
-
-  console.log(`📡 Razorpay API Call: ${method} ${endpoint}`);
-
-  const response = await fetch(url, options);
-  const data = await response.json();
-
-  if (!response.ok) {
-    console.error('❌ Razorpay API Error:', data);
-    throw new Error(data.error?.description || 'Razorpay API request failed');
+  if (!RAZORPAY_CONFIGS[country].webhookSecret) {
+    logger.warn(`RAZORPAY_WEBHOOK_SECRET_${country} not set - webhooks will be rejected`, { country });
   }
-
-  return data;
-}
+});
 
 // ============================================
 // ENDPOINT 1: CARD S2S PAYMENT
@@ -131,6 +82,7 @@ async function callRazorpayAPI(endpoint, method = 'POST', body = null) {
  * {
  *   amount: number (in smallest currency unit - paise for INR, cents for USD, etc.)
  *   currency: string (INR, USD, SGD, etc.)
+ *   country: string (a configured geography, e.g. MY - selects the Razorpay account)
  *   method: "card"
  *   card: {
  *     number: string
@@ -144,538 +96,926 @@ async function callRazorpayAPI(endpoint, method = 'POST', body = null) {
  *   authentication: object (optional - for 3DS)
  *   browser: object (optional - browser fingerprint)
  *   device_fingerprint: object (optional - Shield session)
+ *   capture: "auto" | "manual" | "delayed" (optional - defaults to RAZORPAY_CAPTURE_MODE_<CC>)
+ *   receipt: string (optional - merchant order reference, max 40 chars; generated if omitted)
+ *   customer_id: string (optional - cust_..., see ENDPOINT 12; a checkout session's own customer)
+ *   save: boolean (optional - save the card on customer_id)
+ *   token: string (optional - pay with a saved card; needs customer_id, and card only carries cvv)
  * }
  */
-app.post('/api/create-payment', async (req, res) => {
-  console.log('💳 Card S2S Payment Request Received');
-
-  try {
-    const {
-      amount,
-      currency,
-      country,
-      contact,
-      email,
-      method,
-      card,
-      authentication,
-      browser,
-      ip,
-      referer,
-      user_agent,
-      device_fingerprint
-    } = req.body;
-
-    // Validate required fields
-    if (!amount || !currency || !method || !card || !country) {
-      return res.status(400).json({
-        error: {
-          code: 'BAD_REQUEST',
-          description: 'Missing required fields: amount, currency, country, method, card'
-        }
-      });
-    }
-
-    console.log(`🌍 Using ${country} credentials`);
-
-    // STEP 1: Create an Order first (required for S2S v2)
-    console.log('📋 Step 1: Creating Razorpay Order...');
-
-    const orderResponse = await fetch(`${API_BASE_URL}/orders`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': getAuthHeader(country)
-      },
-      body: JSON.stringify({
-        amount: amount,
-        currency: currency,
-        receipt: 's2s_' + Date.now(),
-        notes: {
-          integration: 's2s_card'
-        }
-      })
-    });
+app.post('/api/create-payment', authorize('payments:write'), rateLimited(idempotent(async (req, res) => {
+  try {
+    if (req.body.customer_id) assertCustomer(req.auth, req.body.customer_id);
+    res.json(await paymentService.createCardPayment(req.body, {
+      callbackUrl: getCallbackUrl(req, req.body.country)
+    }));
+  } catch (error) {
+    logger.warn('Card payment failed', { error });
+    sendError(res, error, 'PAYMENT_FAILED');
+  }
+})));
 
-    const orderData = await orderResponse.json();
+// ============================================
+// ENDPOINT 2: APPLE PAY MERCHANT VALIDATION
+// ============================================
 
-    if (!orderResponse.ok) {
-      console.error('❌ Order creation failed:', orderData);
-      return res.status(orderResponse.status).json(orderData);
-    }
+/**
+ * Validate Apple Pay merchant session
+ *
+ * POST /api/validate-apple-merchant
+ *
+ * Request body:
+ * {
+ *   validationURL: string (URL from Apple Pay session)
+ *   domain: string (your website domain)
+ *   displayName: string (merchant display name)
+ *   amount: number (payment amount in smallest currency unit)
+ *   currency: string (currency code)
+ *   country: string (selects the Razorpay account)
+ *   contact: string (customer phone number)
+ *   email: string (customer e-mail)
+ * }
+ */
+app.post('/api/validate-apple-merchant', authorize('payments:write'), async (req, res) => {
+  try {
+    // Passed to session.completeMerchantValidation() on the client
+    res.json(await paymentService.validateAppleMerchant(req.body));
+  } catch (error) {
+    logger.warn('Merchant validation failed', { error });
+    sendError(res, error, 'VALIDATION_FAILED');
+  }
+});
 
-    console.log('✅ Order created:', orderData.id);
+// ============================================
+// ENDPOINT 3: APPLE PAY S2S PAYMENT
+// ============================================
 
-    // STEP 2: Create Payment with the order_id
-    console.log('💳 Step 2: Creating Payment with order...');
+/**
+ * Process Apple Pay payment using S2S integration
+ *
+ * POST /api/create-applepay-payment
+ *
+ * Request body:
+ * {
+ *   amount: number (in smallest currency unit)
+ *   currency: string
+ *   country: string
+ *   contact: string (phone number)
+ *   email: string
+ *   capture: "auto" | "manual" | "delayed" (optional - defaults to RAZORPAY_CAPTURE_MODE_<CC>)
+ *   receipt: string (optional - merchant order reference, max 40 chars; generated if omitted)
+ * }
+ */
+app.post('/api/create-applepay-payment', authorize('payments:write'), rateLimited(idempotent(async (req, res) => {
+  try {
+    res.json(await paymentService.createApplePayPayment(req.body, {
+      callbackUrl: getCallbackUrl(req, req.body.country)
+    }));
+  } catch (error) {
+    logger.warn('Apple Pay payment failed', { error });
+    sendError(res, error, 'PAYMENT_FAILED');
+  }
+})));
 
-    // Build payment request for Razorpay
-    // Ensure expiry_year is 4 digits
-    let expiryYear = card.expiry_year;
-    if (expiryYear.length === 2) {
-      expiryYear = '20' + expiryYear;
-    }
+/**
+ * Pay with a native Apple Pay token
+ *
+ * POST /api/process-applepay-token
+ *
+ * Called from ApplePaySession.onpaymentauthorized. The client completes
+ * the Apple Pay sheet with success or failure based on the response.
+ *
+ * Request body:
+ * {
+ *   amount: number (in smallest currency unit)
+ *   currency: string
+ *   country: string
+ *   token: object (event.payment.token - ApplePayPaymentToken)
+ *   billing_contact: object (optional - event.payment.billingContact)
+ *   contact: string (optional - falls back to the billing contact)
+ *   email: string (optional - falls back to the billing contact)
+ *   capture: "auto" | "manual" | "delayed" (optional)
+ *   receipt: string (optional - merchant order reference)
+ * }
+ */
+app.post('/api/process-applepay-token', authorize('payments:write'), rateLimited(idempotent(async (req, res) => {
+  try {
+    res.json(await paymentService.createApplePayTokenPayment(req.body));
+  } catch (error) {
+    logger.warn('Apple Pay token payment failed', { error });
+    sendError(res, error, 'PAYMENT_FAILED');
+  }
+})));
 
-    const paymentRequest = {
-      amount: amount,
-      currency: currency,
-      order_id: orderData.id,  // IMPORTANT: Include order_id
-      method: method,
-      contact: contact,
-      email: email,
-      card: {
-        number: card.number,
-        name: card.name,
-        expiry_month: card.expiry_month,
-        expiry_year: expiryYear,
-        cvv: card.cvv
+/**
+ * Apple Pay domain verification file
+ *
+ * GET /.well-known/apple-developer-merchantid-domain-association
+ */
+app.get(DOMAIN_ASSOCIATION_PATH, (req, res) => {
+  const contents = getDomainAssociation();
+  if (!contents) {
+    return res.status(404).json({
+      error: {
+        code: 'NOT_FOUND',
+        description: 'Apple Pay domain association file is not configured'
       }
-    };
+    });
+  }
+  res.type('text/plain').send(contents);
+});
 
-    // Add authentication data if provided (for 3DS)
-    if (authentication) {
-      paymentRequest.authentication = authentication;
-    }
+// ============================================
+// ENDPOINT 4: PAYMENT CALLBACK (3DS / HOSTED PAGE)
+// ============================================
 
-    // Add browser fingerprint if provided
-    if (browser) {
-      paymentRequest.browser = browser;
-    }
+/**
+ * Customer returns here after 3DS or the hosted Apple Pay page
+ *
+ * GET|POST /api/payments/callback?country=MY
+ *
+ * Success params: razorpay_payment_id, razorpay_order_id, razorpay_signature
+ * Failure params: error[code], error[description], error[reason], error[metadata]
+ *
+ * The signature over `order_id|payment_id` is verified with the country's
+ * key secret and a result page is rendered.
+ */
+app.all('/api/payments/callback', async (req, res) => {
+  try {
+    const params = { ...req.query, ...req.body };
+    const { html } = await handlePaymentCallback(params, req.query.country);
 
-    // Add device fingerprint (Shield) if provided
-    if (device_fingerprint) {
-      paymentRequest.device_fingerprint = device_fingerprint;
-      console.log('🛡️ Shield session included in payment');
-    }
+    res.type('html').send(html);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    // Add additional metadata
-    if (ip) paymentRequest.ip = ip;
-    if (referer) paymentRequest.referer = referer;
-    if (user_agent) paymentRequest.user_agent = user_agent;
-
-    console.log('📤 Sending card payment to Razorpay API...');
-    console.log('Payment details:', {
-      amount,
-      currency,
-      order_id: orderData.id,
-      method,
-      cardLast4: card.number.slice(-4),
-      hasShield: !!device_fingerprint
-    });
+// ============================================
+// ENDPOINT 5: RAZORPAY WEBHOOKS
+// ============================================
 
-    // Make request to Razorpay S2S API (using /payments/create/json endpoint)
-    const paymentResponse = await fetch(`${API_BASE_URL}/payments/create/json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': getAuthHeader(country)
-      },
-      body: JSON.stringify(paymentRequest)
+/**
+ * Receive Razorpay webhook events
+ *
+ * POST /api/webhooks/razorpay[?country=MY]
+ *
+ * Headers:
+ *   X-Razorpay-Signature: HMAC-SHA256 of the raw body with the webhook secret
+ *   X-Razorpay-Event-Id: unique event ID (used to drop redeliveries)
+ *
+ * The geography is resolved from whichever RAZORPAY_WEBHOOK_SECRET_<CC>
+ * produced the signature, or taken from `country` if given.
+ */
+app.post('/api/webhooks/razorpay', async (req, res) => {
+  try {
+    const result = await webhooks.handleWebhook({
+      rawBody: req.rawBody,
+      signature: req.get('x-razorpay-signature'),
+      eventId: req.get('x-razorpay-event-id'),
+      country: req.query.country
     });
 
-    // Check content type before parsing
-    const contentType = paymentResponse.headers.get('content-type');
-    console.log('Response Status:', paymentResponse.status);
-    console.log('Content-Type:', contentType);
-
-    let paymentData;
-    if (contentType && contentType.includes('application/json')) {
-      paymentData = await paymentResponse.json();
-    } else {
-      // Got HTML response - this happens when 3DS/OTP is required
-      const textResponse = await paymentResponse.text();
-      console.log('HTML Response received (3DS authentication required)');
-
-      // Extract the authentication URL from the HTML meta refresh tag
-      const urlMatch = textResponse.match(/url=([^"]+)/);
-      const authenticationUrl = urlMatch ? urlMatch[1] : null;
-
-      // Extract payment ID from the URL
-      const paymentIdMatch = authenticationUrl ? authenticationUrl.match(/payments\/([^/]+)/) : null;
-      const paymentId = paymentIdMatch ? paymentIdMatch[1] : null;
-
-      if (authenticationUrl) {
-        console.log('🔐 3DS Authentication required');
-        console.log('Payment ID:', paymentId);
-        console.log('Authentication URL:', authenticationUrl);
-
-        // Return success with authentication details
-        return res.json({
-          id: paymentId,
-          status: 'authorized',
-          order_id: orderData.id,
-          authentication: {
-            authentication_url: authenticationUrl
-          },
-          requires_3ds: true
-        });
-      } else {
-        console.log('Non-JSON Response:', textResponse.substring(0, 500));
-        return res.status(paymentResponse.status).json({
-          error: {
-            code: 'INVALID_RESPONSE',
-            description: 'Received HTML response but could not extract authentication URL',
-            details: textResponse.substring(0, 200)
-          }
-        });
-      }
-    }
+    res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    sendError(res, error, 'WEBHOOK_FAILED');
+  }
+});
 
-    if (!paymentResponse.ok) {
-      console.error('❌ Razorpay Payment Error (Status:', paymentResponse.status, '):', paymentData);
+// ============================================
+// ENDPOINT 6: PAYMENT & ORDER LOOKUPS
+// ============================================
 
-      // Return the error response with proper status code
-      return res.status(paymentResponse.status).json(paymentData);
-    }
+/**
+ * Look up a payment, an order, or the payments made against an order
+ *
+ * GET /api/payments/:id?country=MY
+ * GET /api/orders/:id?country=MY
+ * GET /api/orders/:id/payments?country=MY
+ *
+ * `country` selects which geography's credentials are used. Responses are
+ * trimmed status objects (see lib/payment-status.js), not raw Razorpay
+ * entities.
+ */
+app.get('/api/payments/:id', authorize('payments:read'), async (req, res) => {
+  try {
+    res.json(await paymentStatus.getPayment(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    console.log('✅ Card payment created:', paymentData.id, '-', paymentData.status);
+app.get('/api/orders/:id', authorize('payments:read'), async (req, res) => {
+  try {
+    res.json(await paymentStatus.getOrder(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    // Log 3DS authentication URL if present
-    if (paymentData.authentication && paymentData.authentication.authentication_url) {
-      console.log('🔐 3DS Authentication required');
-      console.log('Authentication URL:', paymentData.authentication.authentication_url);
-    }
+app.get('/api/orders/:id/payments', authorize('payments:read'), async (req, res) => {
+  try {
+    res.json(await paymentStatus.getOrderPayments(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    // Return payment response (includes order details)
-    res.json({
-      ...paymentData,
-      order: orderData
-    });
+// ============================================
+// ENDPOINT 7: CAPTURE & VOID
+// ============================================
+
+/**
+ * Capture an authorized payment
+ *
+ * POST /api/payments/:id/capture
+ *
+ * Request body:
+ * {
+ *   country: string
+ *   amount: number (optional - smallest currency unit, defaults to the full authorized amount)
+ * }
+ */
+app.post('/api/payments/:id/capture', authorize('payments:manage'), idempotent(async (req, res) => {
+  try {
+    const { country, amount } = req.body;
+    res.json(await capturePayment(country, req.params.id, amount));
+  } catch (error) {
+    logger.warn('Capture failed', { error });
+    sendError(res, error, 'CAPTURE_FAILED');
+  }
+}));
 
+/**
+ * Release an uncaptured authorization
+ *
+ * POST /api/payments/:id/void
+ *
+ * Request body:
+ * {
+ *   country: string
+ * }
+ */
+app.post('/api/payments/:id/void', authorize('payments:manage'), idempotent(async (req, res) => {
+  try {
+    res.json(await voidPayment(req.body.country, req.params.id));
   } catch (error) {
-    console.error('❌ Card Payment Error:', error.message);
-    res.status(500).json({
-      error: {
-        code: 'PAYMENT_FAILED',
-        description: error.message
-      }
-    });
+    logger.warn('Void failed', { error });
+    sendError(res, error, 'VOID_FAILED');
   }
-});
+}));
 
 // ============================================
-// ENDPOINT 2: APPLE PAY MERCHANT VALIDATION
+// ENDPOINT 8: REFUNDS
 // ============================================
 
 /**
- * Validate Apple Pay merchant session
+ * Refund a captured payment
  *
- * POST /api/validate-apple-merchant
+ * POST /api/payments/:id/refunds
  *
  * Request body:
  * {
- *   validationURL: string (URL from Apple Pay session)
- *   domain: string (your website domain)
- *   displayName: string (merchant display name)
- *   amount: number (payment amount in smallest currency unit)
- *   currency: string (currency code)
+ *   country: string
+ *   amount: number (optional - smallest currency unit, defaults to the full refundable amount)
+ *   speed: "normal" | "optimum" (optional - "optimum" requests an instant refund)
+ *   notes: object (optional)
+ *   receipt: string (optional)
  * }
  */
-app.post('/api/validate-apple-merchant', async (req, res) => {
-  console.log('🍎 Apple Pay Merchant Validation Request Received');
-
-  try {
-    const {
-      validationURL,
-      domain,
-      displayName,
-      amount,
-      currency
-    } = req.body;
-
-    // Validate required fields
-    if (!validationURL || !domain || !amount || !currency) {
-      return res.status(400).json({
-        error: {
-          code: 'BAD_REQUEST',
-          description: 'Missing required fields: validationURL, domain, amount, currency'
-        }
-      });
-    }
+app.post('/api/payments/:id/refunds', authorize('payments:manage'), idempotent(async (req, res) => {
+  try {
+    const { country, amount, speed, notes, receipt } = req.body;
+    res.json(await refunds.createRefund(country, req.params.id, { amount, speed, notes, receipt }));
+  } catch (error) {
+    logger.warn('Refund failed', { error });
+    sendError(res, error, 'REFUND_FAILED');
+  }
+}));
 
-    console.log('📋 Validation details:', {
-      domain,
-      displayName,
-      amount,
-      currency,
-      validationURL: validationURL.substring(0, 50) + '...'
-    });
+/**
+ * List refunds of a payment / look up a single refund
+ *
+ * GET /api/payments/:id/refunds?country=MY
+ * GET /api/refunds/:id?country=MY
+ */
+app.get('/api/payments/:id/refunds', authorize('payments:read'), async (req, res) => {
+  try {
+    res.json(await refunds.listRefunds(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    // Call Razorpay's Apple Pay create/ajax endpoint
-    // This endpoint initiates the payment and returns the Apple Pay merchant session
-    const validationRequest = {
-      method: 'app',
-      amount: amount,
-      contact: '+910000000000', // Placeholder - will be updated with actual contact
-      email: 'applepay@example.com', // Placeholder - will be updated with actual email
-      currency: currency,
-      app: {
-        name: 'apple_pay'
-      },
-      initiative_context_url: domain,
-      merchant_validation_url: validationURL,
-      save: 0
-    };
-
-    console.log('📤 Requesting merchant session from Razorpay...');
-
-    const response = await fetch(`${API_BASE_URL}/payments/create/ajax`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': getAuthHeader()
-      },
-      body: JSON.stringify(validationRequest)
-    });
+app.get('/api/refunds/:id', authorize('payments:read'), async (req, res) => {
+  try {
+    res.json(await refunds.getRefund(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    const data = await response.json();
+// ============================================
+// ENDPOINT 9: LEDGER
+// ============================================
 
-    if (!response.ok) {
-      console.error('❌ Razorpay validation error:', data);
-      throw new Error(data.error?.description || 'Merchant validation failed');
-    }
+/**
+ * Orders and payment attempts recorded by this server (see lib/ledger.js)
+ *
+ * GET /api/ledger/orders[?country=MY&status=paid&limit=50]
+ * GET /api/ledger/orders/:id - the order with every attempt and its
+ *                              status history
+ */
+app.get('/api/ledger/orders', authorize('ledger:read'), async (req, res) => {
+  try {
+    const { country, status, limit } = req.query;
+    res.json(await ledger.listOrders({ country, status, limit }));
+  } catch (error) {
+    sendError(res, error, 'LEDGER_LOOKUP_FAILED');
+  }
+});
 
-    // Extract merchant session from response
-    // The session data is in data.data.session_data
-    if (!data.data || !data.data.session_data) {
-      console.error('❌ No merchant session in response:', data);
-      throw new Error('No merchant session received from Razorpay');
-    }
+app.get('/api/ledger/orders/:id', authorize('ledger:read'), async (req, res) => {
+  try {
+    res.json(await ledger.getOrder(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LEDGER_LOOKUP_FAILED');
+  }
+});
+
+// ============================================
+// ENDPOINT 10: /api/v2 PAYMENTS
+// ============================================
+
+/**
+ * Versioned payment API - every response, including errors, is the
+ * envelope documented in lib/payments-v2.js:
+ * { api_version, payment_id, order_id, country, amount, currency, state, next_action, error }
+ *
+ * POST /api/v2/payments              - method "card" or "apple_pay" (with `token` for the native flow),
+ *                                      "upi", "netbanking" or "wallet" (see ENDPOINT 14)
+ * GET  /api/v2/payments/:id?country=MY
+ * POST /api/v2/payments/:id/capture  - { country, amount? }
+ * POST /api/v2/payments/:id/void     - { country }
+ */
+const v2Options = { sendError: paymentsV2.sendError };
 
-    console.log('✅ Merchant session obtained successfully');
+app.post('/api/v2/payments', authorize('payments:write', v2Options), rateLimited(idempotent(async (req, res) => {
+  try {
+    if (req.body.customer_id) assertCustomer(req.auth, req.body.customer_id);
+    res.json(await paymentsV2.createPayment(req.body, {
+      callbackUrl: getCallbackUrl(req, req.body.country)
+    }));
+  } catch (error) {
+    paymentsV2.sendError(res, error);
+  }
+}, v2Options), v2Options));
 
-    // Return the merchant session to the client
-    // This will be passed to session.completeMerchantValidation()
-    res.json(data.data.session_data);
+app.get('/api/v2/payments/:id', authorize('payments:read', v2Options), async (req, res) => {
+  try {
+    res.json(await paymentsV2.getPayment(req.query.country, req.params.id));
+  } catch (error) {
+    paymentsV2.sendError(res, error);
+  }
+});
 
+app.post('/api/v2/payments/:id/capture', authorize('payments:manage', v2Options), idempotent(async (req, res) => {
+  try {
+    const { country, amount } = req.body;
+    res.json(await paymentsV2.capture(country, req.params.id, amount));
   } catch (error) {
-    console.error('❌ Merchant Validation Error:', error.message);
-    res.status(500).json({
-      error: {
-        code: 'VALIDATION_FAILED',
-        description: error.message
-      }
-    });
+    paymentsV2.sendError(res, error);
   }
+}, v2Options));
+
+app.post('/api/v2/payments/:id/void', authorize('payments:manage', v2Options), idempotent(async (req, res) => {
+  try {
+    res.json(await paymentsV2.voidAuthorization(req.body.country, req.params.id));
+  } catch (error) {
+    paymentsV2.sendError(res, error);
+  }
+}, v2Options));
+
+// ============================================
+// ENDPOINT 11: PUBLIC CONFIGURATION
+// ============================================
+
+/**
+ * GET /api/config
+ *
+ * Geographies with their names, Checkout key IDs, currencies and enabled
+ * payment methods - the demo page builds its selectors from this. No
+ * secrets.
+ */
+app.get('/api/config', (req, res) => {
+  res.json(getPublicConfig());
 });
 
 // ============================================
-// ENDPOINT 3: APPLE PAY S2S PAYMENT
+// ENDPOINT 12: CUSTOMERS & SAVED CARDS
 // ============================================
 
 /**
- * Process Apple Pay payment using S2S integration
+ * Create a customer (or get the existing one) / find a customer
  *
- * POST /api/create-applepay-payment
+ * POST /api/customers
  *
  * Request body:
  * {
- *   amount: number (in smallest currency unit)
+ *   country: string
+ *   name: string (optional)
+ *   email: string (email and/or contact)
+ *   contact: string (E.164)
+ *   notes: object (optional)
+ * }
+ *
+ * GET /api/customers?country=MY&email=...&contact=...
+ *
+ * API keys only - a checkout session bound to a customer can just use its
+ * saved cards.
+ */
+app.post('/api/customers', authorize('customers:write'), async (req, res) => {
+  try {
+    assertCustomer(req.auth);
+    const { country, name, email, contact, notes } = req.body;
+    res.json(await customers.createCustomer(country, { name, email, contact, notes }));
+  } catch (error) {
+    logger.warn('Customer creation failed', { error });
+    sendError(res, error, 'CUSTOMER_FAILED');
+  }
+});
+
+app.get('/api/customers', authorize('customers:read'), async (req, res) => {
+  try {
+    assertCustomer(req.auth);
+    const { country, email, contact } = req.query;
+    res.json(await customers.findCustomer(country, { email, contact }));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+/**
+ * List a customer's saved cards / delete one
+ *
+ * GET    /api/customers/:id/tokens?country=MY
+ * DELETE /api/customers/:id/tokens/:token_id?country=MY
+ *
+ * An API key, or the checkout session bound to this customer.
+ */
+app.get('/api/customers/:id/tokens', authorize('customers:read'), async (req, res) => {
+  try {
+    assertCustomer(req.auth, req.params.id);
+    res.json(await customers.listTokens(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+app.delete('/api/customers/:id/tokens/:token_id', authorize('customers:write'), async (req, res) => {
+  try {
+    assertCustomer(req.auth, req.params.id);
+    res.json(await customers.deleteToken(req.query.country, req.params.id, req.params.token_id));
+  } catch (error) {
+    logger.warn('Saved card deletion failed', { error });
+    sendError(res, error, 'TOKEN_DELETE_FAILED');
+  }
+});
+
+// ============================================
+// ENDPOINT 13: PLANS & SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Plans: amount, currency, billing interval and failed-charge retry schedule
+ *
+ * POST  /api/plans
+ * {
+ *   country: string
+ *   name: string
+ *   amount: number | string (minor units, or a major-unit decimal string)
  *   currency: string
- *   token: object (Apple Pay payment token)
- *   contact: string (phone number)
+ *   interval: "daily" | "weekly" | "monthly" | "yearly"
+ *   interval_count: number (optional - bill every N intervals, default 1)
+ *   retry_schedule: number[] (optional - hours before each retry, default [24, 72, 168])
+ *   description: string (optional)
+ * }
+ *
+ * GET   /api/plans[?country=MY]
+ * GET   /api/plans/:id
+ * PATCH /api/plans/:id - name, description, retry_schedule, active
+ */
+app.post('/api/plans', authorize('subscriptions:write'), async (req, res) => {
+  try {
+    res.json(await subscriptions.createPlan(req.body));
+  } catch (error) {
+    sendError(res, error, 'PLAN_FAILED');
+  }
+});
+
+app.get('/api/plans', authorize('subscriptions:read'), async (req, res) => {
+  try {
+    res.json(await subscriptions.listPlans({ country: req.query.country }));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+app.get('/api/plans/:id', authorize('subscriptions:read'), async (req, res) => {
+  try {
+    res.json(await subscriptions.getPlan(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+app.patch('/api/plans/:id', authorize('subscriptions:write'), async (req, res) => {
+  try {
+    res.json(await subscriptions.updatePlan(req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'PLAN_FAILED');
+  }
+});
+
+/**
+ * Subscribe a customer: the first payment registers the card mandate
+ *
+ * POST /api/subscriptions
+ * {
+ *   country: string
+ *   plan_id: string
+ *   customer_id: string (cust_..., see ENDPOINT 12)
+ *   contact: string
  *   email: string
- *   billing_contact: object (Apple Pay billing contact)
+ *   card: { number, name, expiry_month, expiry_year, cvv }
+ *   total_count: number (optional - cycles to bill including the first; unlimited if omitted)
+ *   max_amount: number | string (optional - largest charge the mandate allows, default the plan amount)
+ *   authentication, browser, ip, referer, user_agent (optional - as for /api/create-payment)
  * }
+ *
+ * Returns { subscription, payment: { id, order_id, redirect_url } }; follow
+ * redirect_url for 3DS when it is set.
  */
-app.post('/api/create-applepay-payment', async (req, res) => {
-  console.log('🍎 Apple Pay S2S Payment Request Received');
-
-  try {
-    const {
-      amount,
-      currency,
-      country,
-      contact,
-      email
-    } = req.body;
-
-    // Validate required fields
-    if (!amount || !currency || !country) {
-      return res.status(400).json({
-        error: {
-          code: 'BAD_REQUEST',
-          description: 'Missing required fields: amount, currency, country'
-        }
-      });
-    }
+app.post('/api/subscriptions', authorize('subscriptions:write'), rateLimited(idempotent(async (req, res) => {
+  try {
+    res.json(await subscriptions.createSubscription(req.body, {
+      callbackUrl: getCallbackUrl(req, req.body.country)
+    }));
+  } catch (error) {
+    logger.warn('Subscription creation failed', { error });
+    sendError(res, error, 'SUBSCRIPTION_FAILED');
+  }
+})));
 
-    console.log(`🌍 Using ${country} credentials`);
-    console.log('📋 Apple Pay payment details:', {
-      amount,
-      currency,
-      country,
-      contact,
-      email
-    });
+/**
+ * Charge every due subscription (for a scheduler)
+ *
+ * POST /api/subscriptions/charge-due
+ */
+app.post('/api/subscriptions/charge-due', authorize('subscriptions:write'), async (req, res) => {
+  try {
+    res.json(await subscriptions.chargeDueSubscriptions());
+  } catch (error) {
+    sendError(res, error, 'CHARGE_FAILED');
+  }
+});
 
-    // STEP 1: Create an Order first (required for S2S v2)
-    console.log('📋 Step 1: Creating Razorpay Order for Apple Pay...');
-
-    const orderResponse = await fetch(`${API_BASE_URL}/orders`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': getAuthHeader(country)
-      },
-      body: JSON.stringify({
-        amount: amount,
-        currency: currency,
-        receipt: 's2s_applepay_' + Date.now(),
-        notes: {
-          integration: 's2s_applepay'
-        }
-      })
-    });
+/**
+ * GET /api/subscriptions[?country=MY&status=active&plan_id=plan_...]
+ * GET /api/subscriptions/:id
+ */
+app.get('/api/subscriptions', authorize('subscriptions:read'), async (req, res) => {
+  try {
+    const { country, status, plan_id } = req.query;
+    res.json(await subscriptions.listSubscriptions({ country, status, plan_id }));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    const orderData = await orderResponse.json();
+app.get('/api/subscriptions/:id', authorize('subscriptions:read'), async (req, res) => {
+  try {
+    res.json(await subscriptions.getSubscription(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    if (!orderResponse.ok) {
-      console.error('❌ Order creation failed:', orderData);
-      return res.status(orderResponse.status).json(orderData);
-    }
+/**
+ * Charge the next billing cycle against the recurring token
+ *
+ * POST /api/subscriptions/:id/charge
+ * {
+ *   amount: number | string (optional - defaults to the plan amount, at most the mandate max_amount)
+ * }
+ */
+app.post('/api/subscriptions/:id/charge', authorize('subscriptions:write'), idempotent(async (req, res) => {
+  try {
+    res.json(await subscriptions.chargeSubscription(req.params.id, { amount: req.body.amount }));
+  } catch (error) {
+    logger.warn('Subscription charge failed', { subscription_id: req.params.id, error });
+    sendError(res, error, 'CHARGE_FAILED');
+  }
+}));
 
-    console.log('✅ Order created:', orderData.id);
-
-    // STEP 2: Create Payment with Apple Pay
-    // NO TOKEN NEEDED - Razorpay will handle Apple Pay on their hosted page
-    console.log('🍎 Step 2: Creating Payment for Apple Pay (Razorpay hosted)...');
-
-    const paymentRequest = {
-      amount: amount,
-      currency: currency,
-      order_id: orderData.id,
-      method: 'card',  // Use "card" for Apple Pay
-      contact: contact || '+60123456789',
-      email: email || 'applepay@example.com',
-      app: {
-        name: 'apple_pay'  // This tells Razorpay to show Apple Pay on hosted page
-      }
-    };
-
-    console.log('📤 Sending Apple Pay payment request to Razorpay API...');
-    console.log('Request body:', JSON.stringify(paymentRequest, null, 2));
-
-    // Make request to Razorpay S2S API (using /payments/create/json endpoint)
-    const paymentResponse = await fetch(`${API_BASE_URL}/payments/create/json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': getAuthHeader(country)
-      },
-      body: JSON.stringify(paymentRequest)
-    });
+/**
+ * POST /api/subscriptions/:id/cancel
+ */
+app.post('/api/subscriptions/:id/cancel', authorize('subscriptions:write'), async (req, res) => {
+  try {
+    res.json(await subscriptions.cancelSubscription(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'CANCEL_FAILED');
+  }
+});
 
-    // Check content type before parsing
-    const contentType = paymentResponse.headers.get('content-type');
-    console.log('Response Status:', paymentResponse.status);
-    console.log('Content-Type:', contentType);
-
-    let paymentResponseData;
-    if (contentType && contentType.includes('application/json')) {
-      paymentResponseData = await paymentResponse.json();
-
-      // JSON response - extract redirect URL from next array
-      if (paymentResponseData.next && Array.isArray(paymentResponseData.next)) {
-        const redirectAction = paymentResponseData.next.find(action => action.action === 'redirect');
-        if (redirectAction && redirectAction.url) {
-          console.log('✅ Apple Pay redirect URL obtained from JSON');
-          console.log('Payment ID:', paymentResponseData.razorpay_payment_id);
-          console.log('Redirect URL:', redirectAction.url);
-
-          return res.json({
-            id: paymentResponseData.razorpay_payment_id,
-            status: 'created',
-            order_id: orderData.id,
-            apple_pay_url: redirectAction.url,
-            requires_apple_pay: true,
-            message: 'Redirect user to apple_pay_url to complete payment'
-          });
-        }
-      }
+// ============================================
+// ENDPOINT 14: UPI, NETBANKING & WALLETS (IN)
+// ============================================
 
-    } else {
-      // Got HTML response - this is expected for Apple Pay (redirect to Razorpay hosted page)
-      const textResponse = await paymentResponse.text();
-      console.log('🍎 HTML Response received (Razorpay hosted Apple Pay page)');
-
-      // Extract the Apple Pay hosted page URL from the HTML meta refresh tag
-      const urlMatch = textResponse.match(/url=([^"]+)/);
-      const applePayUrl = urlMatch ? urlMatch[1] : null;
-
-      // Extract payment ID from the URL
-      const paymentIdMatch = applePayUrl ? applePayUrl.match(/payments\/([^/]+)/) : null;
-      const paymentId = paymentIdMatch ? paymentIdMatch[1] : null;
-
-      if (applePayUrl) {
-        console.log('✅ Apple Pay hosted page URL obtained from HTML');
-        console.log('Payment ID:', paymentId);
-        console.log('Apple Pay URL:', applePayUrl);
-
-        // Return success with Apple Pay hosted page URL
-        return res.json({
-          id: paymentId,
-          status: 'created',
-          order_id: orderData.id,
-          apple_pay_url: applePayUrl,
-          requires_apple_pay: true,
-          message: 'Redirect user to apple_pay_url to complete payment'
-        });
-      } else {
-        console.log('Non-JSON Response:', textResponse.substring(0, 500));
-        return res.status(paymentResponse.status).json({
-          error: {
-            code: 'INVALID_RESPONSE',
-            description: 'Received HTML response but could not extract Apple Pay URL',
-            details: textResponse.substring(0, 200)
-          }
-        });
-      }
-    }
+/**
+ * UPI availability, banks and wallets of a country's account
+ *
+ * GET /api/payment-methods?country=IN
+ *
+ * Response: { country, upi: boolean, netbanking: [{ code, name }], wallets: [{ code, name }] }
+ */
+app.get('/api/payment-methods', authorize('payments:read'), async (req, res) => {
+  try {
+    res.json(await indiaMethods.getPaymentMethods(req.query.country));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
 
-    if (!paymentResponse.ok) {
-      console.error('❌ Apple Pay Payment Error (Status:', paymentResponse.status, '):', paymentResponseData);
-      return res.status(paymentResponse.status).json(paymentResponseData);
-    }
+/**
+ * Check a UPI ID before a collect payment
+ *
+ * POST /api/validate-vpa
+ *
+ * Request body: { country: string, vpa: string (name@handle) }
+ * Response: { vpa, valid: boolean, customer_name }
+ */
+app.post('/api/validate-vpa', authorize('payments:write'), async (req, res) => {
+  try {
+    res.json(await indiaMethods.validateVpa(req.body));
+  } catch (error) {
+    sendError(res, error, 'VALIDATION_FAILED');
+  }
+});
 
-    console.log('✅ Apple Pay payment created:', paymentResponseData.razorpay_payment_id, '-', paymentResponseData.status);
+/**
+ * Create a UPI payment
+ *
+ * POST /api/create-upi-payment
+ *
+ * Request body:
+ * {
+ *   amount, currency, country, contact, email, capture, receipt: as for /api/create-payment
+ *   flow: "collect" | "intent"
+ *   vpa: string (collect only - the customer's UPI ID)
+ *   ip, referer, user_agent: string (optional)
+ * }
+ *
+ * Collect returns `vpa`, intent returns `intent_url` (upi://pay?...). The
+ * payment stays `created` until the customer approves it in their UPI app;
+ * the outcome arrives by webhook or GET /api/payments/:id.
+ */
+app.post('/api/create-upi-payment', authorize('payments:write'), rateLimited(idempotent(async (req, res) => {
+  try {
+    res.json(await indiaMethods.createUpiPayment(req.body));
+  } catch (error) {
+    logger.warn('UPI payment failed', { error });
+    sendError(res, error, 'PAYMENT_FAILED');
+  }
+})));
 
-    // Return payment response (includes order details)
-    res.json({
-      ...paymentResponseData,
-      order: orderData
-    });
+/**
+ * Create a netbanking / wallet payment
+ *
+ * POST /api/create-netbanking-payment - `bank` from GET /api/payment-methods
+ * POST /api/create-wallet-payment     - `wallet` from GET /api/payment-methods
+ *
+ * Other fields as for /api/create-upi-payment. Returns `redirect_url`; the
+ * customer comes back through /api/payments/callback as after 3DS.
+ */
+app.post('/api/create-netbanking-payment', authorize('payments:write'), rateLimited(idempotent(async (req, res) => {
+  try {
+    res.json(await indiaMethods.createNetbankingPayment(req.body, {
+      callbackUrl: getCallbackUrl(req, req.body.country)
+    }));
+  } catch (error) {
+    logger.warn('Netbanking payment failed', { error });
+    sendError(res, error, 'PAYMENT_FAILED');
+  }
+})));
 
+app.post('/api/create-wallet-payment', authorize('payments:write'), rateLimited(idempotent(async (req, res) => {
+  try {
+    res.json(await indiaMethods.createWalletPayment(req.body, {
+      callbackUrl: getCallbackUrl(req, req.body.country)
+    }));
   } catch (error) {
-    console.error('❌ Apple Pay Payment Error:', error.message);
-    res.status(500).json({
-      error: {
-        code: 'PAYMENT_FAILED',
-        description: error.message
-      }
-    });
+    logger.warn('Wallet payment failed', { error });
+    sendError(res, error, 'PAYMENT_FAILED');
+  }
+})));
+
+// ============================================
+// ENDPOINT 15: PAYMENT LINKS & QR CODES
+// ============================================
+
+/**
+ * Create / list payment links
+ *
+ * POST /api/payment-links
+ *
+ * Request body:
+ * {
+ *   country: string (selects the Razorpay account)
+ *   amount: number | string (minor units, or a major-unit decimal string)
+ *   currency: string
+ *   description: string (optional)
+ *   reference_id: string (optional - your invoice number, max 40 chars)
+ *   customer: { name, email, contact } (optional)
+ *   expire_by: string (optional - ISO 8601, at least 15 minutes ahead)
+ *   reminders: boolean (optional - Razorpay sends payment reminders)
+ *   notify: { sms: boolean, email: boolean } (optional - Razorpay sends the link)
+ *   callback_url: string (optional - the customer is sent here after paying)
+ *   notes: object (optional)
+ * }
+ *
+ * GET /api/payment-links?country=MY
+ */
+app.post('/api/payment-links', authorize('links:write'), idempotent(async (req, res) => {
+  try {
+    res.json(await paymentLinks.createPaymentLink(req.body));
+  } catch (error) {
+    logger.warn('Payment link creation failed', { error });
+    sendError(res, error, 'PAYMENT_LINK_FAILED');
+  }
+}));
+
+app.get('/api/payment-links', authorize('links:read'), async (req, res) => {
+  try {
+    res.json(await paymentLinks.listPaymentLinks(req.query.country));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+/**
+ * Get / cancel a payment link
+ *
+ * GET  /api/payment-links/:id?country=MY
+ * POST /api/payment-links/:id/cancel - { country }
+ */
+app.get('/api/payment-links/:id', authorize('links:read'), async (req, res) => {
+  try {
+    res.json(await paymentLinks.getPaymentLink(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+app.post('/api/payment-links/:id/cancel', authorize('links:write'), async (req, res) => {
+  try {
+    res.json(await paymentLinks.cancelPaymentLink(req.body.country, req.params.id));
+  } catch (error) {
+    logger.warn('Payment link cancellation failed', { error });
+    sendError(res, error, 'CANCEL_FAILED');
+  }
+});
+
+/**
+ * Create / list UPI QR codes
+ *
+ * POST /api/qr-codes
+ *
+ * Request body:
+ * {
+ *   country: string (a geography with UPI enabled)
+ *   usage: "single_use" | "multiple_use"
+ *   amount: number | string (optional - fixed amount in INR; omit for an open amount)
+ *   name: string (optional)
+ *   description: string (optional)
+ *   customer_id: string (optional - cust_..., see ENDPOINT 12)
+ *   close_by: string (optional - ISO 8601, at least 2 minutes ahead)
+ *   notes: object (optional)
+ * }
+ *
+ * GET /api/qr-codes?country=IN&count=25&skip=0
+ */
+app.post('/api/qr-codes', authorize('links:write'), idempotent(async (req, res) => {
+  try {
+    res.json(await qrCodes.createQrCode(req.body));
+  } catch (error) {
+    logger.warn('QR code creation failed', { error });
+    sendError(res, error, 'QR_CODE_FAILED');
+  }
+}));
+
+app.get('/api/qr-codes', authorize('links:read'), async (req, res) => {
+  try {
+    const { country, count, skip } = req.query;
+    res.json(await qrCodes.listQrCodes(country, { count, skip }));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+/**
+ * Get / close a QR code
+ *
+ * GET  /api/qr-codes/:id?country=IN
+ * POST /api/qr-codes/:id/close - { country }
+ */
+app.get('/api/qr-codes/:id', authorize('links:read'), async (req, res) => {
+  try {
+    res.json(await qrCodes.getQrCode(req.query.country, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'LOOKUP_FAILED');
+  }
+});
+
+app.post('/api/qr-codes/:id/close', authorize('links:write'), async (req, res) => {
+  try {
+    res.json(await qrCodes.closeQrCode(req.body.country, req.params.id));
+  } catch (error) {
+    logger.warn('QR code close failed', { error });
+    sendError(res, error, 'CLOSE_FAILED');
+  }
+});
+
+// ============================================
+// ENDPOINT 16: CHECKOUT SESSIONS
+// ============================================
+
+/**
+ * Issue a checkout session token to a page on an allowed origin
+ *
+ * POST /api/checkout-sessions
+ *
+ * Request body (optional - a session bound to a signed-in buyer; needs an
+ * API key with customers:write):
+ * {
+ *   customer_id: string (cust_...)
+ *   country: string (the customer's Razorpay account)
+ *   origin: string (the page that will use the session)
+ * }
+ *
+ * Response: { token, expires_at, scopes, customer }. The page sends the
+ * token as X-Checkout-Session on the payment API calls; backend services
+ * use Authorization: Bearer <API key> instead (see lib/auth.js).
+ */
+app.post('/api/checkout-sessions', (req, res) => {
+  try {
+    res.json(issueCheckoutSession(req));
+  } catch (error) {
+    logger.warn('Checkout session refused', { origin: req.headers.origin, error });
+    sendError(res, error, 'CHECKOUT_SESSION_FAILED');
   }
 });
 
 // ============================================
-// HEALTH CHECK ENDPOINT
+// HEALTH CHECK ENDPOINTS
 // ============================================
 
+// Configuration summary of every geography
 app.get('/health', (req, res) => {
-  const configuredCountries = {};
-  Object.keys(RAZORPAY_CONFIGS).forEach(country => {
-    configuredCountries[country] = {
-      configured: !!RAZORPAY_CONFIGS[country].keySecret,
-      keyId: RAZORPAY_CONFIGS[country].keyId,
-      currency: RAZORPAY_CONFIGS[country].currency
-    };
-  });
+  res.json(paymentService.getHealth());
+});
 
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    countries: configuredCountries
-  });
+/**
+ * GET /health/live - the process is up (lib/health.js)
+ */
+app.get('/health/live', (req, res) => {
+  res.json(health.liveness());
+});
+
+/**
+ * GET /health/ready - every geography's keys work against Razorpay;
+ * 503 when one is broken (lib/health.js)
+ */
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { statusCode, body } = await health.readiness();
+    res.status(statusCode).json(body);
+  } catch (error) {
+    sendError(res, error, 'HEALTH_CHECK_FAILED');
+  }
+});
+
+// ============================================
+// METRICS ENDPOINT
+// ============================================
+
+/**
+ * GET /metrics - payment funnel and Razorpay latency for Prometheus
+ * (lib/metrics.js); scrape with an API key that has metrics:read
+ */
+app.get('/metrics', authorize('metrics:read'), (req, res) => {
+  res.type(metrics.CONTENT_TYPE).send(metrics.render(circuitBreakers()));
 });
 
 // ============================================
@@ -690,7 +1030,51 @@ app.get('/', (req, res) => {
       card: 'POST /api/create-payment',
       applePay: 'POST /api/create-applepay-payment',
       merchantValidation: 'POST /api/validate-apple-merchant',
-      health: 'GET /health'
+      applePayToken: 'POST /api/process-applepay-token',
+      callback: 'GET|POST /api/payments/callback',
+      payment: 'GET /api/payments/:id?country=XX',
+      order: 'GET /api/orders/:id?country=XX',
+      orderPayments: 'GET /api/orders/:id/payments?country=XX',
+      capture: 'POST /api/payments/:id/capture',
+      void: 'POST /api/payments/:id/void',
+      refund: 'POST /api/payments/:id/refunds',
+      refunds: 'GET /api/payments/:id/refunds?country=XX',
+      refundStatus: 'GET /api/refunds/:id?country=XX',
+      ledgerOrders: 'GET /api/ledger/orders',
+      ledgerOrder: 'GET /api/ledger/orders/:id',
+      v2Payments: 'POST /api/v2/payments',
+      v2Payment: 'GET /api/v2/payments/:id?country=XX',
+      v2Capture: 'POST /api/v2/payments/:id/capture',
+      v2Void: 'POST /api/v2/payments/:id/void',
+      webhooks: 'POST /api/webhooks/razorpay',
+      config: 'GET /api/config',
+      customers: 'POST /api/customers',
+      customerLookup: 'GET /api/customers?country=XX&email=...',
+      savedCards: 'GET /api/customers/:id/tokens?country=XX',
+      deleteSavedCard: 'DELETE /api/customers/:id/tokens/:token_id?country=XX',
+      plans: 'GET|POST /api/plans',
+      plan: 'GET|PATCH /api/plans/:id',
+      subscriptions: 'GET|POST /api/subscriptions',
+      subscription: 'GET /api/subscriptions/:id',
+      subscriptionCharge: 'POST /api/subscriptions/:id/charge',
+      subscriptionCancel: 'POST /api/subscriptions/:id/cancel',
+      chargeDue: 'POST /api/subscriptions/charge-due',
+      paymentMethods: 'GET /api/payment-methods?country=XX',
+      validateVpa: 'POST /api/validate-vpa',
+      upi: 'POST /api/create-upi-payment',
+      netbanking: 'POST /api/create-netbanking-payment',
+      wallet: 'POST /api/create-wallet-payment',
+      paymentLinks: 'GET|POST /api/payment-links',
+      paymentLink: 'GET /api/payment-links/:id?country=XX',
+      paymentLinkCancel: 'POST /api/payment-links/:id/cancel',
+      qrCodes: 'GET|POST /api/qr-codes',
+      qrCode: 'GET /api/qr-codes/:id?country=XX',
+      qrCodeClose: 'POST /api/qr-codes/:id/close',
+      checkoutSessions: 'POST /api/checkout-sessions',
+      health: 'GET /health',
+      healthLive: 'GET /health/live',
+      healthReady: 'GET /health/ready',
+      metrics: 'GET /metrics'
     },
     docs: 'https://razorpay.com/docs/payments/'
   });
@@ -712,11 +1096,11 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('❌ Server Error:', err);
+  logger.error('Unhandled error', { method: req.method, path: req.path, error: err, stack: err.stack });
   res.status(500).json({
     error: {
       code: 'INTERNAL_SERVER_ERROR',
-      description: err.message
+      description: redactSecrets(err.message)
     }
   });
 });
@@ -727,29 +1111,20 @@ app.use((err, req, res, next) => {
 
 if (require.main === module) {
   app.listen(PORT, '127.0.0.1', () => {
-    console.log('╔════════════════════════════════════════════════════╗');
-    console.log('║   Razorpay S2S Payment Server                      ║');
-    console.log('╚════════════════════════════════════════════════════╝');
-    console.log('');
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log('');
-    console.log('📋 Available Endpoints:');
-    console.log(`   POST http://localhost:${PORT}/api/create-payment`);
-    console.log(`   POST http://localhost:${PORT}/api/create-applepay-payment`);
-    console.log(`   POST http://localhost:${PORT}/api/validate-apple-merchant`);
-    console.log(`   GET  http://localhost:${PORT}/health`);
-    console.log('');
-    console.log('🔑 Configured Geographies:');
+    logger.info('Server running', { url: `http://localhost:${PORT}` });
     Object.keys(RAZORPAY_CONFIGS).forEach(country => {
-      const status = RAZORPAY_CONFIGS[country].keySecret ? '✅' : '❌';
-      console.log(`   ${country}: ${status} ${RAZORPAY_CONFIGS[country].currency}`);
+      const config = RAZORPAY_CONFIGS[country];
+      logger.info('Geography configured', {
+        country,
+        name: config.name,
+        keys: !!config.keySecret,
+        currencies: config.currencies,
+        methods: config.methods,
+        capture_mode: config.captureMode
+      });
     });
-    console.log('');
-    console.log('════════════════════════════════════════════════════');
   });
 }
 
 // Export for Vercel serverless
 module.exports = app;
-
-module.exports = app;
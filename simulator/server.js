@@ -0,0 +1,1576 @@
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('node-fetch');
+require('dotenv').config();
+const { hmacSha256 } = require('../lib/signatures');
+const { minimumAmount, toMajorUnits } = require('../lib/currencies');
+
+// ============================================
+// RAZORPAY API SIMULATOR
+// ============================================
+//
+// Offline stand-in for https://api.razorpay.com/v1 covering the calls this
+// server makes. Outcomes are driven by magic card numbers and amounts (see
+// MAGIC_CARDS / MAGIC_AMOUNTS). Point the payment server at it with
+//
+//   RAZORPAY_API_BASE_URL=http://localhost:4010/v1
+//
+// Any key pair is accepted; the key secret sent with a payment is used to
+// sign its callback, so the real signature checks run unchanged.
+
+const PORT = process.env.SIMULATOR_PORT || 4010;
+
+/**
+ * Razorpay-style error payloads returned for declines and failures
+ */
+const ERRORS = {
+  card_declined: {
+    statusCode: 400,
+    code: 'BAD_REQUEST_ERROR',
+    description: 'Your payment has been declined by the bank. Please try another card.',
+    source: 'issuer',
+    step: 'payment_authorization',
+    reason: 'card_declined'
+  },
+  insufficient_funds: {
+    statusCode: 400,
+    code: 'BAD_REQUEST_ERROR',
+    description: 'Your payment could not be completed due to insufficient account balance.',
+    source: 'customer',
+    step: 'payment_authorization',
+    reason: 'insufficient_funds'
+  },
+  authentication_failed: {
+    statusCode: 400,
+    code: 'BAD_REQUEST_ERROR',
+    description: 'Payment failed because cardholder authentication was not completed.',
+    source: 'customer',
+    step: 'payment_authentication',
+    reason: 'authentication_failed'
+  },
+  payment_cancelled: {
+    statusCode: 400,
+    code: 'BAD_REQUEST_ERROR',
+    description: 'Payment was cancelled by the customer on the bank, wallet or UPI app page.',
+    source: 'customer',
+    step: 'payment_authentication',
+    reason: 'payment_cancelled'
+  },
+  server_error: {
+    statusCode: 500,
+    code: 'SERVER_ERROR',
+    description: 'The server encountered an error. The incident has been reported to admins.',
+    source: 'internal',
+    step: 'NA',
+    reason: 'server_error'
+  },
+  gateway_error: {
+    statusCode: 502,
+    code: 'GATEWAY_ERROR',
+    description: 'Payment processing failed due to error at bank or wallet gateway.',
+    source: 'bank',
+    step: 'payment_authorization',
+    reason: 'payment_failed'
+  }
+};
+
+/**
+ * Card numbers with a fixed outcome
+ *
+ * Any other Luhn-valid number takes the `redirect` (3DS) flow.
+ *   frictionless - authorized immediately, no customer action
+ *   redirect     - JSON with next[] pointing at the simulated 3DS page
+ *   html         - HTML meta-refresh to the simulated 3DS page
+ */
+const MAGIC_CARDS = {
+  '4111111111111111': { flow: 'frictionless' },
+  '5267318187975449': { flow: 'redirect' },
+  '4012888888881881': { flow: 'html' },
+  '4000000000000002': { error: 'card_declined' },
+  '4000000000009995': { error: 'insufficient_funds' },
+  '4000000000000119': { error: 'server_error' }
+};
+
+/**
+ * Amounts (smallest currency unit) with a fixed outcome for any method
+ *
+ *   40001 - card declined
+ *   40002 - insufficient funds
+ *   50000 - 500 SERVER_ERROR
+ *   50200 - 502 HTML error page (not JSON, no redirect)
+ *   50201 - 502 GATEWAY_ERROR
+ *   40800 - answers after SIMULATOR_SLOW_MS (default 30s)
+ */
+const MAGIC_AMOUNTS = {
+  40001: { error: 'card_declined' },
+  40002: { error: 'insufficient_funds' },
+  50000: { error: 'server_error' },
+  50200: { html: true },
+  50201: { error: 'gateway_error' },
+  40800: { slow: true }
+};
+
+const SLOW_MS = parseInt(process.env.SIMULATOR_SLOW_MS || '30000', 10);
+
+/**
+ * UPI IDs with a fixed outcome (as in Razorpay test mode)
+ *
+ *   success@razorpay - collect request approved straight away
+ *   failure@razorpay - collect request declined straight away
+ *   invalid@razorpay - fails /payments/validate/vpa
+ * Any other UPI ID waits for the simulated UPI app page.
+ */
+const MAGIC_VPAS = {
+  'success@razorpay': { outcome: 'success' },
+  'failure@razorpay': { outcome: 'failure' },
+  'invalid@razorpay': { invalid: true }
+};
+
+// Banks and wallets returned by GET /v1/methods
+const BANKS = {
+  HDFC: 'HDFC Bank',
+  ICIC: 'ICICI Bank',
+  KKBK: 'Kotak Mahindra Bank',
+  SBIN: 'State Bank of India',
+  UTIB: 'Axis Bank'
+};
+const WALLETS = ['airtelmoney', 'freecharge', 'mobikwik', 'olamoney', 'phonepe'];
+
+// ============================================
+// HELPERS
+// ============================================
+
+function generateId(prefix) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(14);
+  return `${prefix}_${Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('')}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function luhnValid(number) {
+  let sum = 0;
+  let double = false;
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = parseInt(number[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return number.length >= 12 && sum % 10 === 0;
+}
+
+function cardNetwork(number) {
+  if (/^4/.test(number)) return 'Visa';
+  if (/^(5[1-5]|2[2-7])/.test(number)) return 'MasterCard';
+  if (/^3[47]/.test(number)) return 'American Express';
+  return 'Unknown';
+}
+
+function sendError(res, statusCode, error) {
+  return res.status(statusCode).json({
+    error: {
+      code: error.code || 'BAD_REQUEST_ERROR',
+      description: error.description,
+      source: error.source || 'business',
+      step: error.step || 'payment_initiation',
+      reason: error.reason || 'input_validation_failed',
+      metadata: error.metadata || {},
+      field: error.field
+    }
+  });
+}
+
+function badRequest(res, description, field) {
+  return sendError(res, 400, { description, field });
+}
+
+function notFound(res) {
+  return badRequest(res, 'The id provided does not exist');
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function baseUrl(req) {
+  return process.env.SIMULATOR_PUBLIC_URL
+    ? process.env.SIMULATOR_PUBLIC_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Heading of the simulated customer page for a payment
+ */
+function pageTitle(payment) {
+  if (payment.method === 'app' || payment.wallet === 'apple_pay') return 'Apple Pay (simulated)';
+  if (payment.method === 'upi') return 'UPI app (simulated)';
+  if (payment.method === 'netbanking') return `${BANKS[payment.bank] || payment.bank} netbanking (simulated)`;
+  if (payment.method === 'wallet') return `${payment.wallet} wallet (simulated)`;
+  return '3-D Secure (simulated)';
+}
+
+/**
+ * Simulated customer page for payment links and QR codes
+ */
+function customerPage(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+ <meta charset="UTF-8">
+ <meta name="viewport" content="width=device-width, initial-scale=1.0">
+ <title>${escapeHtml(title)}</title>
+ <style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #000; color: #fff; padding: 60px 20px; }
+  .card { max-width: 420px; margin: 0 auto; background: rgba(255, 255, 255, 0.03); border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 18px; padding: 40px; }
+  p { color: #86868b; }
+  input { width: 100%; box-sizing: border-box; padding: 14px; border-radius: 12px; border: 1px solid #3a3a3c; background: #1c1c1e; color: #fff; font-size: 1rem; }
+  button { width: 100%; padding: 16px; margin-top: 12px; border: 0; border-radius: 12px; font-size: 1rem; cursor: pointer; background: #fff; color: #000; }
+ </style>
+</head>
+<body>
+ <div class="card">
+  <h1>${escapeHtml(title)}</h1>
+${content}
+ </div>
+</body>
+</html>`;
+}
+
+/**
+ * Stand-in for a QR code image
+ *
+ * A module pattern derived from the ID with the three finder squares and
+ * the simulated pay page's URL underneath. It does not scan - open the URL.
+ */
+function placeholderQrSvg(id, payUrl) {
+  const size = 25;
+  const scale = 8;
+  const margin = 4;
+  const bits = crypto.createHash('sha512').update(id).digest();
+  const finders = [[0, 0], [size - 7, 0], [0, size - 7]];
+  const inFinder = (x, y) => finders.some(([fx, fy]) => x >= fx && x < fx + 7 && y >= fy && y < fy + 7);
+  const square = (x, y, width, fill) =>
+    `<rect x="${(x + margin) * scale}" y="${(y + margin) * scale}" width="${width * scale}" height="${width * scale}" fill="${fill}"/>`;
+
+  const modules = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const bit = (y * size + x) % (bits.length * 8);
+      if (!inFinder(x, y) && (bits[bit >> 3] >> (bit & 7)) & 1) {
+        modules.push(square(x, y, 1, '#000'));
+      }
+    }
+  }
+  finders.forEach(([x, y]) => {
+    modules.push(square(x, y, 7, '#000'), square(x + 1, y + 1, 5, '#fff'), square(x + 2, y + 2, 3, '#000'));
+  });
+
+  const width = (size + margin * 2) * scale;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width + 40}" viewBox="0 0 ${width} ${width + 40}">
+ <rect width="100%" height="100%" fill="#fff"/>
+ ${modules.join('')}
+ <text x="${width / 2}" y="${width + 10}" font-family="monospace" font-size="10" text-anchor="middle">Simulated UPI QR - pay at</text>
+ <text x="${width / 2}" y="${width + 26}" font-family="monospace" font-size="8" text-anchor="middle">${escapeHtml(payUrl)}</text>
+</svg>`;
+}
+
+/**
+ * Create a simulator app with its own in-memory state
+ *
+ * Exported so automated tests can start one on a random port:
+ *   const server = createSimulator().listen(0);
+ * `log` receives the request and event lines (console.log by default).
+ */
+function createSimulator({ webhookUrl = process.env.SIMULATOR_WEBHOOK_URL, webhookSecret = process.env.SIMULATOR_WEBHOOK_SECRET, log = console.log } = {}) {
+  const app = express();
+  const orders = new Map();
+  const payments = new Map();
+  const refunds = new Map();
+  const customers = new Map();
+  const customerTokens = new Map();  // customer ID -> Map of token ID -> token
+  const paymentLinks = new Map();
+  const qrCodes = new Map();
+  // Not part of the Razorpay entities: orders created with
+  // payment_capture=1, each payment's and payment link's key secret and
+  // callback_url, the card number behind each token and the cards to save
+  // once authorized
+  const autoCaptureOrders = new Set();
+  const paymentSecrets = new Map();
+  const linkSecrets = new Map();
+  const callbackUrls = new Map();
+  const tokenNumbers = new Map();
+  const pendingSaves = new Map();
+  const orderMandates = new Map();  // order ID -> { customer_id, token: { max_amount, expire_at, frequency } }
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    log(`🧪 Simulator ${req.method} ${req.path}`);
+    next();
+  });
+
+  // ============================================
+  // WEBHOOKS
+  // ============================================
+
+  /**
+   * POST a signed event to SIMULATOR_WEBHOOK_URL, if configured
+   */
+  function emit(event, payload) {
+    if (!webhookUrl || !webhookSecret) {
+      return;
+    }
+
+    const body = JSON.stringify({
+      entity: 'event',
+      account_id: 'acc_simulator',
+      event,
+      contains: Object.keys(payload),
+      payload,
+      created_at: now()
+    });
+
+    fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': hmacSha256(body, webhookSecret),
+        'X-Razorpay-Event-Id': generateId('evt')
+      },
+      body
+    }).catch(error => {
+      console.error(`❌ Simulator webhook ${event} failed:`, error.message);
+    });
+  }
+
+  function paymentPayload(payment) {
+    const order = orders.get(payment.order_id);
+    return {
+      payment: { entity: payment },
+      ...(order ? { order: { entity: order } } : {})
+    };
+  }
+
+  // ============================================
+  // STATE TRANSITIONS
+  // ============================================
+
+  function authorize(payment) {
+    const save = pendingSaves.get(payment.id);
+    if (save) {
+      pendingSaves.delete(payment.id);
+      payment.token_id = saveCard(save, payment).id;
+    }
+
+    payment.status = 'authorized';
+    emit('payment.authorized', paymentPayload(payment));
+
+    if (autoCaptureOrders.has(payment.order_id)) {
+      capture(payment);
+    }
+  }
+
+  /**
+   * Capture `amount` of an authorized payment (all of it by default);
+   * `amount_captured` is what refunds are limited to
+   */
+  function capture(payment, amount = payment.amount) {
+    const order = orders.get(payment.order_id);
+    payment.status = 'captured';
+    payment.captured = true;
+    payment.amount_captured = amount;
+    emit('payment.captured', paymentPayload(payment));
+
+    if (order) {
+      order.status = 'paid';
+      order.amount_paid = amount;
+      order.amount_due = 0;
+      emit('order.paid', paymentPayload(payment));
+    }
+  }
+
+  function fail(payment, errorName) {
+    const error = ERRORS[errorName];
+    Object.assign(payment, {
+      status: 'failed',
+      error_code: error.code,
+      error_description: error.description,
+      error_source: error.source,
+      error_step: error.step,
+      error_reason: error.reason
+    });
+    emit('payment.failed', paymentPayload(payment));
+  }
+
+  /**
+   * Store an authorized payment's card as a token on the customer
+   *
+   * Saving the same card again returns the existing token, as Razorpay does.
+   */
+  function saveCard({ customerId, number, expiryMonth, expiryYear, mandate }, payment) {
+    const saved = customerTokens.get(customerId) || new Map();
+    customerTokens.set(customerId, saved);
+
+    const existing = Array.from(saved.values()).find(token => tokenNumbers.get(token.id) === number);
+    if (existing && !mandate) {
+      return existing;
+    }
+
+    const { id, ...card } = payment.card;
+    const token = {
+      id: generateId('token'),
+      entity: 'token',
+      method: 'card',
+      card: { ...card, expiry_month: String(expiryMonth), expiry_year: String(expiryYear) },
+      recurring: !!mandate,
+      recurring_details: mandate ? { status: 'confirmed', failure_reason: null } : null,
+      max_amount: mandate ? mandate.max_amount : null,
+      expired_at: mandate ? mandate.expire_at : null,
+      used_at: null,
+      created_at: now()
+    };
+    saved.set(token.id, token);
+    tokenNumbers.set(token.id, number);
+    return token;
+  }
+
+  /**
+   * Captured UPI payment made on a payment link or QR code page
+   */
+  function collectPayment({ amount, currency, orderId, keySecret, notes }) {
+    const payment = {
+      id: generateId('pay'),
+      entity: 'payment',
+      amount,
+      currency,
+      status: 'created',
+      order_id: orderId,
+      method: 'upi',
+      vpa: 'customer@upi',
+      wallet: null,
+      bank: null,
+      amount_refunded: 0,
+      refund_status: null,
+      captured: false,
+      card: null,
+      email: null,
+      contact: null,
+      notes: notes || {},
+      error_code: null,
+      error_description: null,
+      error_source: null,
+      error_step: null,
+      error_reason: null,
+      created_at: now()
+    };
+    payments.set(payment.id, payment);
+    paymentSecrets.set(payment.id, keySecret);
+
+    // Link and QR code payments are always captured
+    authorize(payment);
+    if (payment.status === 'authorized') {
+      capture(payment);
+    }
+    return payment;
+  }
+
+  /**
+   * Expire a payment link past its expire_by
+   *
+   * Razorpay does this on a timer; the simulator whenever the link is read.
+   */
+  function refreshLink(link) {
+    if (['created', 'partially_paid'].includes(link.status) && link.expire_by && link.expire_by <= now()) {
+      link.status = 'expired';
+      link.expired_at = now();
+      emit('payment_link.expired', { payment_link: { entity: link } });
+    }
+    return link;
+  }
+
+  function closeQrCode(qrCode, reason) {
+    Object.assign(qrCode, { status: 'closed', close_reason: reason, closed_at: now() });
+    emit('qr_code.closed', { qr_code: { entity: qrCode } });
+  }
+
+  /**
+   * Close a QR code past its close_by, like refreshLink
+   */
+  function refreshQrCode(qrCode) {
+    if (qrCode.status === 'active' && qrCode.close_by && qrCode.close_by <= now()) {
+      closeQrCode(qrCode, 'auto');
+    }
+    return qrCode;
+  }
+
+  // ============================================
+  // CUSTOMER-FACING PAGES (no API auth)
+  // ============================================
+
+  /**
+   * Simulated 3DS / hosted Apple Pay / bank / wallet / UPI app page
+   *
+   * GET /v1/payments/:id/authenticate
+   *
+   * Lives under /payments/:id so the payment ID can be read from the URL,
+   * as with Razorpay's own redirect URLs.
+   */
+  app.get('/v1/payments/:id/authenticate', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment || payment.status !== 'created') {
+      return res.status(404).type('html').send('<h1>Payment not found or already completed</h1>');
+    }
+
+    const applePay = payment.method === 'app' || payment.wallet === 'apple_pay';
+    const title = escapeHtml(pageTitle(payment));
+    const labels = applePay ? ['Pay with Apple Pay', 'Cancel']
+      : payment.method === 'card' ? ['Authenticate', 'Fail authentication']
+        : ['Approve payment', 'Decline'];
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+ <meta charset="UTF-8">
+ <meta name="viewport" content="width=device-width, initial-scale=1.0">
+ <title>${title}</title>
+ <style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #000; color: #fff; padding: 60px 20px; }
+  .card { max-width: 420px; margin: 0 auto; background: rgba(255, 255, 255, 0.03); border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 18px; padding: 40px; }
+  p { color: #86868b; }
+  button { width: 100%; padding: 16px; margin-top: 12px; border: 0; border-radius: 12px; font-size: 1rem; cursor: pointer; }
+  .approve { background: #fff; color: #000; }
+  .decline { background: #3a3a3c; color: #fff; }
+ </style>
+</head>
+<body>
+ <div class="card">
+  <h1>${title}</h1>
+  <p>${escapeHtml(payment.id)} &middot; ${escapeHtml(payment.amount)} ${escapeHtml(payment.currency)}${payment.card ? ` &middot; ${escapeHtml(payment.card.network)} •••• ${escapeHtml(payment.card.last4)}` : ''}${payment.vpa ? ` &middot; ${escapeHtml(payment.vpa)}` : ''}</p>
+  <form method="POST">
+   <button class="approve" name="outcome" value="success">${labels[0]}</button>
+   <button class="decline" name="outcome" value="failure">${labels[1]}</button>
+  </form>
+ </div>
+</body>
+</html>`);
+  });
+
+  /**
+   * Complete the simulated page and send the customer to callback_url
+   */
+  app.post('/v1/payments/:id/authenticate', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment || payment.status !== 'created') {
+      return res.status(404).type('html').send('<h1>Payment not found or already completed</h1>');
+    }
+
+    let fields;
+    if (req.body.outcome === 'success') {
+      authorize(payment);
+      fields = {
+        razorpay_payment_id: payment.id,
+        razorpay_order_id: payment.order_id,
+        razorpay_signature: hmacSha256(`${payment.order_id}|${payment.id}`, paymentSecrets.get(payment.id))
+      };
+    } else {
+      fail(payment, payment.method === 'card' || payment.method === 'app' ? 'authentication_failed' : 'payment_cancelled');
+      fields = {
+        'error[code]': payment.error_code,
+        'error[description]': payment.error_description,
+        'error[source]': payment.error_source,
+        'error[step]': payment.error_step,
+        'error[reason]': payment.error_reason,
+        'error[metadata]': JSON.stringify({ payment_id: payment.id, order_id: payment.order_id })
+      };
+    }
+
+    log(`🧪 ${payment.id} ${payment.status} on simulated page`);
+
+    const callbackUrl = callbackUrls.get(payment.id);
+    if (!callbackUrl) {
+      return res.json(fields);
+    }
+
+    // Auto-submitting form, like Razorpay's POST to callback_url
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<body onload="document.forms[0].submit()">
+ <form method="POST" action="${escapeHtml(callbackUrl)}">
+${Object.keys(fields).map(name => `  <input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(fields[name])}">`).join('\n')}
+  <noscript><button>Continue</button></noscript>
+ </form>
+</body>
+</html>`);
+  });
+
+  function payableLink(id) {
+    const link = paymentLinks.get(id);
+    return link && ['created', 'partially_paid'].includes(refreshLink(link).status) ? link : null;
+  }
+
+  /**
+   * Simulated payment link page (the link's short_url)
+   */
+  app.get('/v1/payment_links/:id/pay', (req, res) => {
+    const link = payableLink(req.params.id);
+    if (!link) {
+      return res.status(404).type('html').send('<h1>Payment link not found, paid, cancelled or expired</h1>');
+    }
+
+    res.type('html').send(customerPage('Payment link (simulated)', `
+  <p>${escapeHtml(link.description || link.id)} &middot; ${escapeHtml(toMajorUnits(link.amount - link.amount_paid, link.currency))} ${escapeHtml(link.currency)}</p>
+  <form method="POST">
+   <button>Pay with UPI</button>
+  </form>`));
+  });
+
+  /**
+   * Pay the link in full, then send the customer to callback_url (GET)
+   * with the payment link signature
+   */
+  app.post('/v1/payment_links/:id/pay', (req, res) => {
+    const link = payableLink(req.params.id);
+    if (!link) {
+      return res.status(404).type('html').send('<h1>Payment link not found, paid, cancelled or expired</h1>');
+    }
+
+    const due = link.amount - link.amount_paid;
+    const order = {
+      id: generateId('order'),
+      entity: 'order',
+      amount: due,
+      amount_paid: 0,
+      amount_due: due,
+      currency: link.currency,
+      receipt: link.reference_id,
+      offer_id: null,
+      status: 'attempted',
+      attempts: 1,
+      notes: link.notes,
+      created_at: now()
+    };
+    orders.set(order.id, order);
+    autoCaptureOrders.add(order.id);
+
+    const keySecret = linkSecrets.get(link.id);
+    const payment = collectPayment({ amount: due, currency: link.currency, orderId: order.id, keySecret, notes: link.notes });
+
+    link.amount_paid += due;
+    link.status = 'paid';
+    link.order_id = order.id;
+    link.payments = (link.payments || []).concat({
+      amount: due,
+      created_at: payment.created_at,
+      method: payment.method,
+      payment_id: payment.id,
+      status: payment.status
+    });
+    link.updated_at = now();
+    emit('payment_link.paid', { payment_link: { entity: link }, order: { entity: order }, payment: { entity: payment } });
+
+    log(`🧪 ${link.id} paid by ${payment.id}`);
+
+    if (!link.callback_url) {
+      return res.type('html').send(customerPage('Payment successful', `  <p>${escapeHtml(payment.id)}</p>`));
+    }
+
+    const reference = link.reference_id || '';
+    const params = new URLSearchParams({
+      razorpay_payment_id: payment.id,
+      razorpay_payment_link_id: link.id,
+      razorpay_payment_link_reference_id: reference,
+      razorpay_payment_link_status: link.status,
+      razorpay_signature: hmacSha256(`${link.id}|${reference}|${link.status}|${payment.id}`, keySecret)
+    });
+    res.redirect(`${link.callback_url}${link.callback_url.includes('?') ? '&' : '?'}${params}`);
+  });
+
+  /**
+   * QR code image_url - see placeholderQrSvg
+   */
+  app.get('/v1/payments/qr_codes/:id/image', (req, res) => {
+    const qrCode = qrCodes.get(req.params.id);
+    if (!qrCode) {
+      return res.status(404).type('html').send('<h1>QR code not found</h1>');
+    }
+    res.type('image/svg+xml').send(placeholderQrSvg(qrCode.id, `${baseUrl(req)}/v1/payments/qr_codes/${qrCode.id}/pay`));
+  });
+
+  /**
+   * Simulated UPI app after scanning the QR code - the customer enters the
+   * amount unless the code has a fixed one
+   */
+  app.get('/v1/payments/qr_codes/:id/pay', (req, res) => {
+    const qrCode = qrCodes.get(req.params.id);
+    if (!qrCode || refreshQrCode(qrCode).status !== 'active') {
+      return res.status(404).type('html').send('<h1>QR code not found or closed</h1>');
+    }
+
+    res.type('html').send(customerPage('UPI app (simulated)', `
+  <p>${escapeHtml(qrCode.name || qrCode.id)}${qrCode.fixed_amount ? ` &middot; ${escapeHtml(toMajorUnits(qrCode.payment_amount, 'INR'))} INR` : ''}</p>
+  <form method="POST">
+   ${qrCode.fixed_amount ? '' : '<input name="amount" type="number" min="1" step="0.01" placeholder="Amount (INR)" required>'}
+   <button>Pay</button>
+  </form>`));
+  });
+
+  app.post('/v1/payments/qr_codes/:id/pay', (req, res) => {
+    const qrCode = qrCodes.get(req.params.id);
+    if (!qrCode || refreshQrCode(qrCode).status !== 'active') {
+      return res.status(404).type('html').send('<h1>QR code not found or closed</h1>');
+    }
+
+    const amount = qrCode.fixed_amount ? qrCode.payment_amount : Math.round(parseFloat(req.body.amount) * 100);
+    if (!Number.isInteger(amount) || amount < 100) {
+      return res.status(400).type('html').send('<h1>Enter an amount of at least INR 1</h1>');
+    }
+
+    const payment = collectPayment({ amount, currency: 'INR', orderId: null, keySecret: null, notes: qrCode.notes });
+
+    qrCode.payments_amount_received += amount;
+    qrCode.payments_count_received += 1;
+    emit('qr_code.credited', { payment: { entity: payment }, qr_code: { entity: qrCode } });
+    if (qrCode.usage === 'single_use') {
+      closeQrCode(qrCode, 'paid');
+    }
+
+    log(`🧪 ${qrCode.id} credited by ${payment.id}`);
+    res.type('html').send(customerPage('Payment successful', `  <p>${escapeHtml(payment.id)}</p>`));
+  });
+
+  // ============================================
+  // API AUTHENTICATION
+  // ============================================
+
+  app.use('/v1', (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [keyId, keySecret] = Buffer.from(header.replace(/^Basic /, ''), 'base64').toString().split(':');
+
+    if (!header.startsWith('Basic ') || !keyId || !keySecret) {
+      return sendError(res, 401, { description: 'The api key provided is invalid', reason: 'NA', step: 'NA', source: 'NA' });
+    }
+
+    req.keySecret = keySecret;
+    next();
+  });
+
+  // ============================================
+  // ORDERS
+  // ============================================
+
+  app.post('/v1/orders', (req, res) => {
+    const { amount, currency, receipt, payment_capture, notes, customer_id, token } = req.body;
+
+    const minimum = minimumAmount(currency || 'INR') || 100;
+    if (!Number.isInteger(amount) || amount < minimum) {
+      return badRequest(res, `The amount must be atleast ${currency || 'INR'} ${toMajorUnits(minimum, currency || 'INR')}`, 'amount');
+    }
+    if (!currency) {
+      return badRequest(res, 'The currency field is required.', 'currency');
+    }
+    if (receipt && String(receipt).length > 40) {
+      return badRequest(res, 'receipt: the length must be no more than 40.', 'receipt');
+    }
+    if (token && (!customers.has(customer_id) || !Number.isInteger(token.max_amount) || token.max_amount < amount)) {
+      return badRequest(res, 'A recurring order needs a valid customer_id and token.max_amount of at least the amount.', 'token');
+    }
+
+    const order = {
+      id: generateId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt: receipt || null,
+      offer_id: null,
+      status: 'created',
+      attempts: 0,
+      notes: notes || {},
+      created_at: now()
+    };
+    orders.set(order.id, order);
+    if (payment_capture === 1 || payment_capture === true) {
+      autoCaptureOrders.add(order.id);
+    }
+    if (token) {
+      orderMandates.set(order.id, { customer_id, token });
+    }
+
+    res.json(order);
+  });
+
+  // Newest first; `receipt` filters like Razorpay's
+  app.get('/v1/orders', (req, res) => {
+    const { receipt, count = 10, skip = 0 } = req.query;
+    const items = Array.from(orders.values())
+      .filter(order => !receipt || order.receipt === receipt)
+      .reverse()
+      .slice(Number(skip), Number(skip) + Number(count));
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  app.get('/v1/orders/:id', (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) return notFound(res);
+    res.json(order);
+  });
+
+  app.get('/v1/orders/:id/payments', (req, res) => {
+    if (!orders.has(req.params.id)) return notFound(res);
+
+    const items = Array.from(payments.values()).filter(payment => payment.order_id === req.params.id);
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  // ============================================
+  // CUSTOMERS & TOKENS
+  // ============================================
+
+  /**
+   * With `fail_existing: "0"` a customer with the same e-mail and contact
+   * is returned instead of an error
+   */
+  app.post('/v1/customers', (req, res) => {
+    const { name, email, contact, notes, fail_existing } = req.body;
+
+    const existing = Array.from(customers.values())
+      .find(customer => customer.email === (email || null) && customer.contact === (contact || null));
+    if (existing) {
+      if (String(fail_existing) === '0') {
+        return res.json(existing);
+      }
+      return badRequest(res, 'Customer already exists for the merchant');
+    }
+
+    const customer = {
+      id: generateId('cust'),
+      entity: 'customer',
+      name: name || null,
+      email: email || null,
+      contact: contact || null,
+      gstin: null,
+      notes: notes || {},
+      created_at: now()
+    };
+    customers.set(customer.id, customer);
+    res.json(customer);
+  });
+
+  app.get('/v1/customers', (req, res) => {
+    const count = Math.min(parseInt(req.query.count || '10', 10), 100);
+    const skip = parseInt(req.query.skip || '0', 10);
+    const items = Array.from(customers.values()).reverse().slice(skip, skip + count);
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  app.get('/v1/customers/:id', (req, res) => {
+    const customer = customers.get(req.params.id);
+    if (!customer) return notFound(res);
+    res.json(customer);
+  });
+
+  app.get('/v1/customers/:id/tokens', (req, res) => {
+    if (!customers.has(req.params.id)) return notFound(res);
+
+    const items = Array.from((customerTokens.get(req.params.id) || new Map()).values());
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  app.delete('/v1/customers/:id/tokens/:tokenId', (req, res) => {
+    const saved = customerTokens.get(req.params.id);
+    if (!saved || !saved.has(req.params.tokenId)) return notFound(res);
+
+    saved.delete(req.params.tokenId);
+    tokenNumbers.delete(req.params.tokenId);
+    res.json({ deleted: true });
+  });
+
+  // ============================================
+  // PAYMENT LINKS & QR CODES
+  // ============================================
+  //
+  // Each is paid on its simulated customer page: the link's short_url, and
+  // /v1/payments/qr_codes/:id/pay for a QR code (printed on its image_url).
+
+  app.post('/v1/payment_links', (req, res) => {
+    const { amount, currency, description, reference_id, customer, expire_by, reminder_enable, notify, callback_url, callback_method, notes } = req.body;
+
+    const minimum = minimumAmount(currency || 'INR') || 100;
+    if (!Number.isInteger(amount) || amount < minimum) {
+      return badRequest(res, `The amount must be atleast ${currency || 'INR'} ${toMajorUnits(minimum, currency || 'INR')}`, 'amount');
+    }
+    if (reference_id && Array.from(paymentLinks.values()).some(link => link.reference_id === reference_id)) {
+      return badRequest(res, `Payment Link with reference id ${reference_id} already exists`, 'reference_id');
+    }
+    if (expire_by && expire_by < now() + 15 * 60) {
+      return badRequest(res, 'expire_by should be at least 15 minutes after current time', 'expire_by');
+    }
+    if (callback_url && callback_method !== 'get') {
+      return badRequest(res, 'callback_method should be get', 'callback_method');
+    }
+
+    const id = generateId('plink');
+    const link = {
+      id,
+      accept_partial: false,
+      amount,
+      amount_paid: 0,
+      callback_method: callback_url ? 'get' : '',
+      callback_url: callback_url || '',
+      cancelled_at: 0,
+      created_at: now(),
+      currency: currency || 'INR',
+      customer: customer || {},
+      description: description || '',
+      expire_by: expire_by || 0,
+      expired_at: 0,
+      notes: notes || {},
+      notify: { sms: !!(notify && notify.sms), email: !!(notify && notify.email) },
+      payments: null,
+      reference_id: reference_id || '',
+      reminder_enable: !!reminder_enable,
+      short_url: `${baseUrl(req)}/v1/payment_links/${id}/pay`,
+      status: 'created',
+      updated_at: now()
+    };
+    paymentLinks.set(id, link);
+    linkSecrets.set(id, req.keySecret);
+
+    res.json(link);
+  });
+
+  app.get('/v1/payment_links', (req, res) => {
+    res.json({ payment_links: Array.from(paymentLinks.values()).reverse().map(refreshLink) });
+  });
+
+  app.get('/v1/payment_links/:id', (req, res) => {
+    const link = paymentLinks.get(req.params.id);
+    if (!link) return notFound(res);
+    res.json(refreshLink(link));
+  });
+
+  app.post('/v1/payment_links/:id/cancel', (req, res) => {
+    const link = paymentLinks.get(req.params.id);
+    if (!link) return notFound(res);
+
+    if (!['created', 'partially_paid'].includes(refreshLink(link).status)) {
+      return badRequest(res, `Payment link cannot be cancelled as it is already ${link.status}`);
+    }
+
+    link.status = 'cancelled';
+    link.cancelled_at = now();
+    link.updated_at = now();
+    emit('payment_link.cancelled', { payment_link: { entity: link } });
+
+    res.json(link);
+  });
+
+  app.post('/v1/payments/qr_codes', (req, res) => {
+    const { type, name, usage, fixed_amount, payment_amount, description, customer_id, close_by, notes } = req.body;
+
+    if (type !== 'upi_qr') {
+      return badRequest(res, 'The selected type is invalid.', 'type');
+    }
+    if (!['single_use', 'multiple_use'].includes(usage)) {
+      return badRequest(res, 'The selected usage is invalid.', 'usage');
+    }
+    if (fixed_amount && (!Number.isInteger(payment_amount) || payment_amount < 100)) {
+      return badRequest(res, 'payment_amount is required and must be at least INR 1 when fixed_amount is true', 'payment_amount');
+    }
+    if (customer_id && !customers.has(customer_id)) {
+      return badRequest(res, 'The id provided does not exist', 'customer_id');
+    }
+    if (close_by && close_by < now() + 2 * 60) {
+      return badRequest(res, 'close_by should be at least 2 minutes after current time', 'close_by');
+    }
+
+    const id = generateId('qr');
+    const qrCode = {
+      id,
+      entity: 'qr_code',
+      created_at: now(),
+      name: name || null,
+      usage,
+      type,
+      image_url: `${baseUrl(req)}/v1/payments/qr_codes/${id}/image`,
+      payment_amount: fixed_amount ? payment_amount : null,
+      status: 'active',
+      description: description || null,
+      fixed_amount: !!fixed_amount,
+      payments_amount_received: 0,
+      payments_count_received: 0,
+      notes: notes || {},
+      customer_id: customer_id || null,
+      close_by: close_by || null,
+      closed_at: null,
+      close_reason: null
+    };
+    qrCodes.set(id, qrCode);
+
+    log(`🧪 ${id} can be paid at ${baseUrl(req)}/v1/payments/qr_codes/${id}/pay`);
+    res.json(qrCode);
+  });
+
+  app.get('/v1/payments/qr_codes', (req, res) => {
+    const count = Math.min(parseInt(req.query.count || '10', 10), 100);
+    const skip = parseInt(req.query.skip || '0', 10);
+    const items = Array.from(qrCodes.values()).reverse().slice(skip, skip + count).map(refreshQrCode);
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  app.get('/v1/payments/qr_codes/:id', (req, res) => {
+    const qrCode = qrCodes.get(req.params.id);
+    if (!qrCode) return notFound(res);
+    res.json(refreshQrCode(qrCode));
+  });
+
+  app.post('/v1/payments/qr_codes/:id/close', (req, res) => {
+    const qrCode = qrCodes.get(req.params.id);
+    if (!qrCode) return notFound(res);
+
+    if (refreshQrCode(qrCode).status !== 'active') {
+      return badRequest(res, 'QR code is already closed');
+    }
+
+    closeQrCode(qrCode, 'on_demand');
+    res.json(qrCode);
+  });
+
+  // ============================================
+  // PAYMENTS
+  // ============================================
+
+  /**
+   * S2S payment creation
+   *
+   * Card: outcome from MAGIC_CARDS / MAGIC_AMOUNTS. A saved card (`token`
+   * plus `customer_id`) behaves like the card it was saved from; `save: 1`
+   * stores the card on `customer_id` once the payment is authorized.
+   * Apple Pay with `app.name: 'apple_pay'` and no token: next[] redirect to
+   * the simulated hosted page. With `app.token`: authorized immediately.
+   */
+  app.post('/v1/payments/create/json', async (req, res) => {
+    const body = req.body;
+    const order = orders.get(body.order_id);
+
+    if (!order) {
+      return badRequest(res, 'The id provided does not exist', 'order_id');
+    }
+    if (order.status === 'paid') {
+      return badRequest(res, 'Order has already been paid.', 'order_id');
+    }
+    if (body.amount !== order.amount || body.currency !== order.currency) {
+      return badRequest(res, 'Payment amount or currency does not match the order.', 'amount');
+    }
+
+    const app = body.app || {};
+    const applePay = app.name === 'apple_pay';
+    const redirectMethod = body.method === 'netbanking' || body.method === 'wallet';
+    const card = body.card || {};
+    const savedToken = body.token ? (customerTokens.get(body.customer_id) || new Map()).get(body.token) : null;
+    const number = savedToken ? tokenNumbers.get(savedToken.id) : String(card.number || '').replace(/\D/g, '');
+
+    if (body.method === 'netbanking' && !BANKS[body.bank]) {
+      return badRequest(res, 'The bank selected is invalid or not supported.', 'bank');
+    }
+    if (body.method === 'wallet' && !WALLETS.includes(body.wallet)) {
+      return badRequest(res, 'The wallet selected is invalid or not supported.', 'wallet');
+    }
+
+    if (!applePay && !redirectMethod) {
+      if (body.method !== 'card') {
+        return badRequest(res, 'The method is not supported by the simulator.', 'method');
+      }
+      if (body.token && !savedToken) {
+        return badRequest(res, 'The token provided does not exist for this customer', 'token');
+      }
+      if (savedToken && !card.cvv) {
+        return badRequest(res, 'The CVV is required for a saved card.', 'card[cvv]');
+      }
+      if (!savedToken && !luhnValid(number)) {
+        return badRequest(res, 'The card number is invalid.', 'card[number]');
+      }
+      if (!savedToken && (!card.cvv || !card.expiry_month || !card.expiry_year)) {
+        return badRequest(res, 'Card expiry and CVV are required.', 'card');
+      }
+      if (Number(body.save) === 1 && !customers.has(body.customer_id)) {
+        return badRequest(res, 'The customer_id provided does not exist', 'customer_id');
+      }
+      if (Number(body.recurring) === 1 && !savedToken &&
+          (orderMandates.get(order.id) || {}).customer_id !== body.customer_id) {
+        return badRequest(res, 'A recurring payment needs an order created with this customer_id and a token mandate.', 'recurring');
+      }
+    } else if (body.method === 'app' && !(app.token && app.token.payment_data)) {
+      return badRequest(res, 'The Apple Pay token is missing or invalid.', 'app[token]');
+    }
+
+    const magic = MAGIC_AMOUNTS[body.amount] || (applePay || redirectMethod ? {} : MAGIC_CARDS[number] || {});
+
+    if (magic.slow) {
+      await new Promise(resolve => setTimeout(resolve, SLOW_MS));
+    }
+    if (magic.html) {
+      return res.status(502).type('html').send('<html><body><h1>502 Bad Gateway</h1></body></html>');
+    }
+
+    const payment = {
+      id: generateId('pay'),
+      entity: 'payment',
+      amount: body.amount,
+      currency: body.currency,
+      status: 'created',
+      order_id: order.id,
+      method: redirectMethod ? body.method : applePay && body.method === 'app' ? 'app' : 'card',
+      wallet: applePay ? 'apple_pay' : body.method === 'wallet' ? body.wallet : null,
+      bank: body.method === 'netbanking' ? body.bank : null,
+      amount_refunded: 0,
+      refund_status: null,
+      captured: false,
+      card: applePay || redirectMethod ? null : {
+        id: generateId('card'),
+        entity: 'card',
+        name: savedToken ? savedToken.card.name : card.name || '',
+        last4: number.slice(-4),
+        network: cardNetwork(number),
+        type: 'credit',
+        issuer: null,
+        international: false
+      },
+      email: body.email || null,
+      contact: body.contact || null,
+      customer_id: body.customer_id || null,
+      token_id: savedToken ? savedToken.id : null,
+      notes: body.notes || {},
+      error_code: null,
+      error_description: null,
+      error_source: null,
+      error_step: null,
+      error_reason: null,
+      created_at: now()
+    };
+    payments.set(payment.id, payment);
+    paymentSecrets.set(payment.id, req.keySecret);
+    if (body.callback_url) {
+      callbackUrls.set(payment.id, body.callback_url);
+    }
+    if (savedToken) {
+      savedToken.used_at = now();
+    } else if (!applePay && !redirectMethod && (Number(body.save) === 1 || Number(body.recurring) === 1)) {
+      const mandate = Number(body.recurring) === 1 ? orderMandates.get(order.id).token : null;
+      pendingSaves.set(payment.id, {
+        customerId: body.customer_id,
+        number,
+        expiryMonth: card.expiry_month,
+        expiryYear: card.expiry_year,
+        mandate
+      });
+    }
+
+    order.attempts += 1;
+    if (order.status === 'created') {
+      order.status = 'attempted';
+    }
+
+    if (magic.error) {
+      fail(payment, magic.error);
+      const error = ERRORS[magic.error];
+      return sendError(res, error.statusCode, {
+        ...error,
+        metadata: { payment_id: payment.id, order_id: order.id }
+      });
+    }
+
+    const authenticateUrl = `${baseUrl(req)}/v1/payments/${payment.id}/authenticate`;
+
+    // Hosted Apple Pay, bank or wallet page, or 3DS for every card without a fixed flow
+    if ((applePay && body.method !== 'app') || redirectMethod || (!applePay && (!magic.flow || magic.flow === 'redirect'))) {
+      return res.json({
+        razorpay_payment_id: payment.id,
+        next: [{ action: 'redirect', url: authenticateUrl }]
+      });
+    }
+
+    if (magic.flow === 'html') {
+      return res.type('html').send(`<!DOCTYPE html>
+<html><head><meta http-equiv="refresh" content="0; url=${authenticateUrl}"></head>
+<body>Redirecting to ${payment.id} authentication...</body></html>`);
+    }
+
+    // Frictionless card or Apple Pay token
+    authorize(payment);
+    res.json({
+      razorpay_payment_id: payment.id,
+      razorpay_order_id: order.id,
+      razorpay_signature: hmacSha256(`${order.id}|${payment.id}`, req.keySecret),
+      status: payment.status
+    });
+  });
+
+  /**
+   * Payment methods of the account: UPI, banks and wallets
+   */
+  app.get('/v1/methods', (req, res) => {
+    res.json({
+      entity: 'methods',
+      card: true,
+      upi: true,
+      netbanking: BANKS,
+      wallet: WALLETS.reduce((wallets, wallet) => ({ ...wallets, [wallet]: true }), {})
+    });
+  });
+
+  /**
+   * Check a UPI ID - any well-formed one exists except invalid@razorpay
+   */
+  app.post('/v1/payments/validate/vpa', (req, res) => {
+    const vpa = String(req.body.vpa || '');
+    if (!/^[\w.-]+@[A-Za-z][\w.-]*$/.test(vpa) || (MAGIC_VPAS[vpa] || {}).invalid) {
+      return badRequest(res, 'Invalid VPA. Please enter a valid Virtual Payment Address', 'vpa');
+    }
+    res.json({ vpa, success: true, customer_name: 'Simulated Customer' });
+  });
+
+  /**
+   * UPI collect or intent payment
+   *
+   * Collect to success@razorpay / failure@razorpay settles straight after
+   * the response; anything else stays `created` until the simulated UPI
+   * app page (/v1/payments/:id/authenticate) is approved or declined.
+   */
+  app.post('/v1/payments/create/upi', (req, res) => {
+    const body = req.body;
+    const order = orders.get(body.order_id);
+    const upi = body.upi || {};
+
+    if (!order) {
+      return badRequest(res, 'The id provided does not exist', 'order_id');
+    }
+    if (order.status === 'paid') {
+      return badRequest(res, 'Order has already been paid.', 'order_id');
+    }
+    if (body.amount !== order.amount || body.currency !== order.currency) {
+      return badRequest(res, 'Payment amount or currency does not match the order.', 'amount');
+    }
+    if (body.method !== 'upi' || !['collect', 'intent'].includes(upi.flow)) {
+      return badRequest(res, 'method must be upi with upi[flow] collect or intent.', 'upi[flow]');
+    }
+    if (upi.flow === 'collect' && !upi.vpa) {
+      return badRequest(res, 'The vpa field is required for a collect request.', 'upi[vpa]');
+    }
+
+    const payment = {
+      id: generateId('pay'),
+      entity: 'payment',
+      amount: body.amount,
+      currency: body.currency,
+      status: 'created',
+      order_id: order.id,
+      method: 'upi',
+      vpa: upi.flow === 'collect' ? upi.vpa : null,
+      wallet: null,
+      bank: null,
+      amount_refunded: 0,
+      refund_status: null,
+      captured: false,
+      card: null,
+      email: body.email || null,
+      contact: body.contact || null,
+      notes: body.notes || {},
+      error_code: null,
+      error_description: null,
+      error_source: null,
+      error_step: null,
+      error_reason: null,
+      created_at: now()
+    };
+    payments.set(payment.id, payment);
+    paymentSecrets.set(payment.id, req.keySecret);
+    order.attempts += 1;
+    if (order.status === 'created') {
+      order.status = 'attempted';
+    }
+
+    const magic = MAGIC_AMOUNTS[body.amount] || {};
+    if (magic.error) {
+      fail(payment, magic.error);
+      const error = ERRORS[magic.error];
+      return sendError(res, error.statusCode, {
+        ...error,
+        metadata: { payment_id: payment.id, order_id: order.id }
+      });
+    }
+
+    const authenticateUrl = `${baseUrl(req)}/v1/payments/${payment.id}/authenticate`;
+    const next = [{ action: 'poll', url: `${baseUrl(req)}/v1/payments/${payment.id}` }];
+    if (upi.flow === 'intent') {
+      const params = new URLSearchParams({
+        pa: 'simulator@razorpay',
+        pn: 'Razorpay Simulator',
+        tr: payment.id,
+        am: toMajorUnits(payment.amount, payment.currency),
+        cu: payment.currency
+      });
+      next.unshift({ action: 'intent', url: `upi://pay?${params}` });
+    }
+    res.json({ razorpay_payment_id: payment.id, next });
+
+    const outcome = upi.flow === 'collect' && (MAGIC_VPAS[upi.vpa] || {}).outcome;
+    if (outcome === 'success') {
+      setImmediate(() => authorize(payment));
+    } else if (outcome === 'failure') {
+      setImmediate(() => fail(payment, 'payment_cancelled'));
+    } else {
+      log(`🧪 ${payment.id} waiting for UPI approval at ${authenticateUrl}`);
+    }
+  });
+
+  /**
+   * Merchant-initiated charge against a recurring token
+   *
+   * No customer action: authorized (and captured with payment_capture=1)
+   * straight away unless MAGIC_AMOUNTS or the card's MAGIC_CARDS entry
+   * says otherwise. Fails when the amount exceeds the mandate's max_amount.
+   */
+  app.post('/v1/payments/create/recurring', async (req, res) => {
+    const body = req.body;
+    const order = orders.get(body.order_id);
+    const token = (customerTokens.get(body.customer_id) || new Map()).get(body.token);
+
+    if (!order) {
+      return badRequest(res, 'The id provided does not exist', 'order_id');
+    }
+    if (!token || !token.recurring) {
+      return badRequest(res, 'The token provided is not a recurring token for this customer', 'token');
+    }
+    if (body.amount !== order.amount || body.currency !== order.currency) {
+      return badRequest(res, 'Payment amount or currency does not match the order.', 'amount');
+    }
+    if (body.amount > token.max_amount) {
+      return badRequest(res, 'The amount exceeds the maximum amount allowed by the mandate.', 'amount');
+    }
+
+    const number = tokenNumbers.get(token.id);
+    const { id, ...card } = token.card;
+    const payment = {
+      id: generateId('pay'),
+      entity: 'payment',
+      amount: body.amount,
+      currency: body.currency,
+      status: 'created',
+      order_id: order.id,
+      method: 'card',
+      wallet: null,
+      amount_refunded: 0,
+      refund_status: null,
+      captured: false,
+      card: { id: generateId('card'), ...card },
+      email: body.email || null,
+      contact: body.contact || null,
+      customer_id: body.customer_id,
+      token_id: token.id,
+      recurring: true,
+      description: body.description || null,
+      notes: body.notes || {},
+      error_code: null,
+      error_description: null,
+      error_source: null,
+      error_step: null,
+      error_reason: null,
+      created_at: now()
+    };
+    payments.set(payment.id, payment);
+    paymentSecrets.set(payment.id, req.keySecret);
+    token.used_at = now();
+    order.attempts += 1;
+
+    const magic = MAGIC_AMOUNTS[body.amount] || MAGIC_CARDS[number] || {};
+    if (magic.error) {
+      fail(payment, magic.error);
+      const error = ERRORS[magic.error];
+      return sendError(res, error.statusCode, {
+        ...error,
+        metadata: { payment_id: payment.id, order_id: order.id }
+      });
+    }
+
+    authorize(payment);
+    if (magic.slow) {
+      // The payment went through; only the answer is late
+      await new Promise(resolve => setTimeout(resolve, SLOW_MS));
+    }
+    res.json({
+      razorpay_payment_id: payment.id,
+      razorpay_order_id: order.id,
+      razorpay_signature: hmacSha256(`${order.id}|${payment.id}`, req.keySecret)
+    });
+  });
+
+  /**
+   * Apple Pay merchant validation
+   */
+  app.post('/v1/payments/create/ajax', (req, res) => {
+    const { merchant_validation_url, initiative_context_url, amount } = req.body;
+
+    if (!merchant_validation_url || !initiative_context_url) {
+      return badRequest(res, 'merchant_validation_url and initiative_context_url are required.', 'merchant_validation_url');
+    }
+
+    const magic = MAGIC_AMOUNTS[amount] || {};
+    if (magic.error) {
+      const error = ERRORS[magic.error];
+      return sendError(res, error.statusCode, error);
+    }
+
+    const timestamp = Date.now();
+    res.json({
+      type: 'application',
+      data: {
+        session_data: {
+          epochTimestamp: timestamp,
+          expiresAt: timestamp + 60 * 60 * 1000,
+          merchantSessionIdentifier: generateId('session'),
+          nonce: crypto.randomBytes(4).toString('hex'),
+          merchantIdentifier: 'merchant.com.razorpay.simulator',
+          domainName: initiative_context_url,
+          displayName: 'Razorpay Simulator',
+          signature: crypto.randomBytes(32).toString('base64')
+        }
+      }
+    });
+  });
+
+  /**
+   * Payment entity as Razorpay returns it - `card` only with expand[]=card
+   */
+  function publicPayment(payment, expandCard) {
+    const { card, ...entity } = payment;
+    return {
+      ...entity,
+      card_id: card ? card.id : null,
+      ...(expandCard && card ? { card } : {})
+    };
+  }
+
+  app.get('/v1/payments/:id', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) return notFound(res);
+
+    const expand = [].concat(req.query.expand || []);
+    res.json(publicPayment(payment, expand.includes('card')));
+  });
+
+  app.post('/v1/payments/:id/capture', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) return notFound(res);
+
+    if (payment.status !== 'authorized') {
+      return badRequest(res, `This payment has already been ${payment.status === 'captured' ? 'captured' : 'processed'}`);
+    }
+    if (!Number.isInteger(req.body.amount) || req.body.amount < 1 || req.body.amount > payment.amount) {
+      return badRequest(res, 'Capture amount must be less than or equal to the authorized amount', 'amount');
+    }
+
+    capture(payment, req.body.amount);
+    res.json(publicPayment(payment, false));
+  });
+
+  // ============================================
+  // REFUNDS
+  // ============================================
+
+  app.post('/v1/payments/:id/refund', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) return notFound(res);
+
+    if (!['authorized', 'captured'].includes(payment.status)) {
+      return badRequest(res, 'The payment status should be captured for action to be taken');
+    }
+
+    // A captured payment refunds what was captured; an authorized one is
+    // released in full
+    const total = payment.status === 'captured' ? payment.amount_captured : payment.amount;
+    const refundable = total - payment.amount_refunded;
+    const amount = req.body.amount === undefined ? refundable : req.body.amount;
+    if (!Number.isInteger(amount) || amount < 1 || amount > refundable) {
+      return badRequest(res, 'The refund amount provided is greater than amount captured', 'amount');
+    }
+
+    const speed = req.body.speed === 'optimum' ? 'optimum' : 'normal';
+    const refund = {
+      id: generateId('rfnd'),
+      entity: 'refund',
+      amount,
+      currency: payment.currency,
+      payment_id: payment.id,
+      notes: req.body.notes || {},
+      receipt: req.body.receipt || null,
+      status: 'processed',
+      speed_requested: speed,
+      speed_processed: speed === 'optimum' ? 'instant' : 'normal',
+      created_at: now()
+    };
+    refunds.set(refund.id, refund);
+
+    payment.amount_refunded += amount;
+    payment.refund_status = payment.amount_refunded === total ? 'full' : 'partial';
+    if (payment.refund_status === 'full') {
+      payment.status = 'refunded';
+    }
+
+    emit('refund.created', { refund: { entity: refund }, payment: { entity: payment } });
+    emit('refund.processed', { refund: { entity: refund }, payment: { entity: payment } });
+
+    res.json(refund);
+  });
+
+  app.get('/v1/payments/:id/refunds', (req, res) => {
+    if (!payments.has(req.params.id)) return notFound(res);
+
+    const items = Array.from(refunds.values()).filter(refund => refund.payment_id === req.params.id);
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  app.get('/v1/refunds/:id', (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund) return notFound(res);
+    res.json(refund);
+  });
+
+  app.use((req, res) => {
+    badRequest(res, `The requested URL was not found on the server. (${req.method} ${req.path})`);
+  });
+
+  return app;
+}
+
+// ============================================
+// START SIMULATOR
+// ============================================
+
+if (require.main === module) {
+  createSimulator().listen(PORT, '127.0.0.1', () => {
+    console.log(`🧪 Razorpay simulator running on http://localhost:${PORT}/v1`);
+    console.log(`   Set RAZORPAY_API_BASE_URL=http://localhost:${PORT}/v1 for the payment server`);
+    if (!process.env.SIMULATOR_WEBHOOK_URL) {
+      console.log('   Webhooks off - set SIMULATOR_WEBHOOK_URL and SIMULATOR_WEBHOOK_SECRET to send them');
+    }
+  });
+}
+
+module.exports = {
+  MAGIC_CARDS,
+  MAGIC_AMOUNTS,
+  createSimulator
+};
@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, cardPayment } = require('./helpers');
+
+const SHOP = 'http://shop.test';
+const OTHER_SHOP = 'https://pay.other.test';
+
+let app;
+
+before(async () => {
+  app = await startServer({
+    AUTH_REQUIRED: 'true',
+    ALLOWED_ORIGINS: `${SHOP},https://*.other.test`,
+    API_KEY_LEDGER: 'ledger-key',
+    API_KEY_LEDGER_SCOPES: 'ledger:read',
+    API_KEY_ADMIN: 'admin-key',
+    API_KEY_ADMIN_SCOPES: '*'
+  });
+});
+
+after(() => app.close());
+
+function bearer(key) {
+  return { Authorization: `Bearer ${key}` };
+}
+
+async function session(origin = SHOP) {
+  const { status, body } = await app.request('POST', '/api/checkout-sessions', undefined, { Origin: origin });
+  assert.equal(status, 200);
+  return { Origin: origin, 'X-Checkout-Session': body.token };
+}
+
+test('a route without credentials is refused', async () => {
+  const { status, headers, body } = await app.request('GET', '/api/ledger/orders');
+
+  assert.equal(status, 401);
+  assert.equal(body.error.code, 'UNAUTHORIZED');
+  assert.equal(headers.get('www-authenticate'), 'Bearer');
+});
+
+test('public routes need no credentials', async () => {
+  assert.equal((await app.request('GET', '/api/config')).status, 200);
+  assert.equal((await app.request('GET', '/health')).status, 200);
+});
+
+test('an unknown API key is refused', async () => {
+  const { status } = await app.request('GET', '/api/ledger/orders', undefined, bearer('not-a-key'));
+  assert.equal(status, 401);
+});
+
+test('an API key reaches the routes of its scopes only', async () => {
+  const allowed = await app.request('GET', '/api/ledger/orders', undefined, bearer('ledger-key'));
+  assert.equal(allowed.status, 200);
+
+  const refused = await app.request('GET', '/api/plans', undefined, bearer('ledger-key'));
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error.code, 'FORBIDDEN');
+  assert.match(refused.body.error.description, /subscriptions:read/);
+});
+
+test('an API key with * has every scope', async () => {
+  assert.equal((await app.request('GET', '/api/ledger/orders', undefined, bearer('admin-key'))).status, 200);
+  assert.equal((await app.request('GET', '/api/plans', undefined, bearer('admin-key'))).status, 200);
+});
+
+test('checkout sessions are only issued to allowed origins', async () => {
+  const missing = await app.request('POST', '/api/checkout-sessions');
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.error.code, 'ORIGIN_NOT_ALLOWED');
+
+  const evil = await app.request('POST', '/api/checkout-sessions', undefined, { Origin: 'https://evil.test' });
+  assert.equal(evil.status, 403);
+  assert.equal(evil.body.error.code, 'ORIGIN_NOT_ALLOWED');
+
+  const sandboxed = await app.request('POST', '/api/checkout-sessions', undefined, { Origin: 'null' });
+  assert.equal(sandboxed.status, 403);
+
+  // `*` matches one host label
+  await session(OTHER_SHOP);
+  const nested = await app.request('POST', '/api/checkout-sessions', undefined, { Origin: 'https://a.pay.other.test' });
+  assert.equal(nested.status, 403);
+});
+
+test('a checkout session can pay but not capture, refund or read the ledger', async () => {
+  const headers = await session();
+
+  const payment = await app.request('POST', '/api/create-payment', cardPayment('4111111111111111'), headers);
+  assert.equal(payment.status, 200);
+  const paymentId = payment.body.razorpay_payment_id;
+
+  const capture = await app.request('POST', `/api/payments/${paymentId}/capture`, { country: 'MY' }, headers);
+  assert.equal(capture.status, 403);
+
+  const refund = await app.request('POST', `/api/payments/${paymentId}/refunds`, { country: 'MY', amount: 100 }, headers);
+  assert.equal(refund.status, 403);
+
+  const ledger = await app.request('GET', '/api/ledger/orders', undefined, headers);
+  assert.equal(ledger.status, 403);
+});
+
+test('a checkout session only works from the origin it was issued to', async () => {
+  const headers = await session();
+
+  const { status } = await app.request('GET', '/api/payment-methods?country=MY', undefined, { ...headers, Origin: OTHER_SHOP });
+  assert.equal(status, 401);
+});
+
+test('a tampered checkout session is refused', async () => {
+  const headers = await session();
+  const [payload, signature] = headers['X-Checkout-Session'].split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  const forged = Buffer.from(JSON.stringify({ ...claims, scopes: ['*'] })).toString('base64url');
+
+  const { status } = await app.request('GET', '/api/ledger/orders', undefined, {
+    ...headers,
+    'X-Checkout-Session': `${forged}.${signature}`
+  });
+  assert.equal(status, 401);
+});
+
+test('only allowed origins get CORS headers back', async () => {
+  const allowed = await app.request('GET', '/api/config', undefined, { Origin: SHOP });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), SHOP);
+
+  const other = await app.request('GET', '/api/config', undefined, { Origin: 'https://evil.test' });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
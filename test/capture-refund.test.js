@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, cardPayment } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(() => app.close());
+
+async function authorizedPayment(amount = 1000) {
+  const { status, body } = await app.request('POST', '/api/create-payment',
+    cardPayment('4111111111111111', { amount, capture: 'manual' }));
+  assert.equal(status, 200);
+  assert.equal(body.status, 'authorized');
+  return body.razorpay_payment_id;
+}
+
+test('a manual-capture payment is captured in full', async () => {
+  const paymentId = await authorizedPayment();
+
+  const { status, body } = await app.request('POST', `/api/payments/${paymentId}/capture`, { country: 'MY' });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'captured');
+
+  const again = await app.request('POST', `/api/payments/${paymentId}/capture`, { country: 'MY' });
+  assert.equal(again.status, 409);
+});
+
+test('a capture above the authorized amount is refused', async () => {
+  const paymentId = await authorizedPayment();
+
+  const { status } = await app.request('POST', `/api/payments/${paymentId}/capture`, { country: 'MY', amount: 1500 });
+  assert.equal(status, 400);
+});
+
+test('refunds are limited to the captured amount', async () => {
+  const paymentId = await authorizedPayment(1000);
+  const captured = await app.request('POST', `/api/payments/${paymentId}/capture`, { country: 'MY', amount: 500 });
+  assert.equal(captured.status, 200);
+
+  const refund = amount => app.request('POST', `/api/payments/${paymentId}/refunds`, { country: 'MY', amount });
+
+  const first = await refund(300);
+  assert.equal(first.status, 200);
+  assert.match(first.body.id, /^rfnd_/);
+
+  const tooMuch = await refund(300);
+  assert.equal(tooMuch.status, 400);
+  assert.match(tooMuch.body.error.description, /between 1 and 200/);
+
+  assert.equal((await refund(200)).status, 200);
+  assert.equal((await refund(1)).status, 409);
+
+  const refunds = await app.request('GET', `/api/payments/${paymentId}/refunds?country=MY`);
+  assert.equal(refunds.body.count, 2);
+});
+
+test('an authorized payment cannot be refunded before capture', async () => {
+  const paymentId = await authorizedPayment();
+
+  const { status } = await app.request('POST', `/api/payments/${paymentId}/refunds`, { country: 'MY', amount: 100 });
+  assert.equal(status, 409);
+});
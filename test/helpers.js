@@ -0,0 +1,115 @@
+const http = require('http');
+
+// ============================================
+// TEST HARNESS
+// ============================================
+//
+// Runs the payment server against the Razorpay simulator, both on free
+// ports, with in-memory stores. The server's configuration is read when
+// it is first required, so each test file (its own process under
+// `node --test`) starts it once with the settings it needs.
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+}
+
+/**
+ * Start the simulator and the payment server
+ *
+ * `env` is applied on top of the test defaults before anything is
+ * required. Resolves to `{ request, close }`.
+ */
+async function startServer(env = {}) {
+  // Bound first so the simulator can send webhooks to it
+  const server = http.createServer();
+  await listen(server);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    LEDGER_STORE: 'memory',
+    SUBSCRIPTION_STORE: 'memory',
+    IDEMPOTENCY_STORE: 'memory',
+    AUTH_REQUIRED: 'false',
+    RATE_LIMIT_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+    APP_ENV: 'test',
+    RAZORPAY_KEY_ID_MY: 'rzp_test_my',
+    RAZORPAY_KEY_SECRET_MY: 'secret_my',
+    RAZORPAY_WEBHOOK_SECRET_MY: WEBHOOK_SECRET
+  }, env);
+
+  const { createSimulator } = require('../simulator/server');
+  const simulator = createSimulator({
+    webhookUrl: `${baseUrl}/api/webhooks/razorpay`,
+    webhookSecret: WEBHOOK_SECRET,
+    log: () => {}
+  }).listen(0, '127.0.0.1');
+  await new Promise(resolve => simulator.once('listening', resolve));
+  process.env.RAZORPAY_API_BASE_URL = `http://127.0.0.1:${simulator.address().port}/v1`;
+
+  server.on('request', require('../server'));
+
+  /**
+   * Call the payment server; resolves to `{ status, headers, body }`
+   */
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // HTML pages (the 3DS callback) stay text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  function close() {
+    return Promise.all([server, simulator].map(item => new Promise(resolve => {
+      item.closeAllConnections();
+      item.close(resolve);
+    })));
+  }
+
+  return { baseUrl, request, close };
+}
+
+/**
+ * A card payment body for MY; `overrides` replace top-level fields
+ */
+function cardPayment(number, overrides = {}) {
+  return {
+    amount: 1000,
+    currency: 'MYR',
+    country: 'MY',
+    method: 'card',
+    contact: '+60123456789',
+    email: 'buyer@example.com',
+    card: { number, name: 'Test Buyer', expiry_month: '12', expiry_year: '30', cvv: '123' },
+    ...overrides
+  };
+}
+
+/**
+ * Fields of every `<input name=... value=...>` on an HTML form
+ */
+function formFields(html) {
+  return new URLSearchParams(Array.from(html.matchAll(/name="([^"]+)" value="([^"]*)"/g), match => [match[1], match[2]]));
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  startServer,
+  cardPayment,
+  formFields,
+  wait
+};
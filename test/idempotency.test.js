@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { startServer, cardPayment, wait } = require('./helpers');
+
+let app;
+let idempotency;
+
+// The memory store, unable to record outcomes while `crashed` - like a
+// process that dies before it could
+let crashed = false;
+
+before(async () => {
+  // The simulator's slow amount (40800) answers after the payment timeout
+  app = await startServer({
+    SIMULATOR_SLOW_MS: '1000',
+    RAZORPAY_PAYMENT_TIMEOUT_MS: '300',
+    IDEMPOTENCY_SETTLE_SECONDS: '1',
+    IDEMPOTENCY_LEASE_SECONDS: '1'
+  });
+
+  idempotency = require('../lib/idempotency');
+  class CrashingStore extends idempotency.MemoryIdempotencyStore {
+    async set(key, record) {
+      if (crashed) throw new Error('process exited');
+      return super.set(key, record);
+    }
+  }
+  idempotency.setStore(new CrashingStore());
+});
+
+after(() => app.close());
+
+function createPayment(body, key) {
+  return app.request('POST', '/api/create-payment', body, { 'Idempotency-Key': key });
+}
+
+test('a retry replays the first response instead of paying again', async () => {
+  const body = cardPayment('4111111111111111');
+
+  const first = await createPayment(body, 'replay-1');
+  const retry = await createPayment(body, 'replay-1');
+
+  assert.equal(first.status, 200);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(retry.body, first.body);
+
+  const other = await createPayment(body, 'replay-2');
+  assert.notEqual(other.body.razorpay_payment_id, first.body.razorpay_payment_id);
+});
+
+test('a key reused with another body is refused', async () => {
+  await createPayment(cardPayment('4111111111111111'), 'reused-1');
+
+  const { status, body } = await createPayment(cardPayment('4111111111111111', { amount: 2000 }), 'reused-1');
+  assert.equal(status, 422);
+  assert.equal(body.error.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('declines are replayed too', async () => {
+  const body = cardPayment('4000000000000002');
+
+  const first = await createPayment(body, 'decline-1');
+  const retry = await createPayment(body, 'decline-1');
+  assert.equal(first.status, 400);
+  assert.equal(retry.status, 400);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+});
+
+test('a timed-out payment is not made twice', async () => {
+  const body = cardPayment('4111111111111111', { amount: 40800 });
+
+  const first = await createPayment(body, 'timeout-1');
+  assert.equal(first.status, 504);
+  const orderId = first.body.error.order_id;
+  assert.match(orderId, /^order_/);
+
+  // Razorpay may still be working on it
+  const early = await createPayment(body, 'timeout-1');
+  assert.equal(early.status, 409);
+  assert.equal(early.body.error.code, 'IDEMPOTENCY_OUTCOME_UNKNOWN');
+
+  await wait(1200);
+  const late = await createPayment(body, 'timeout-1');
+  assert.equal(late.status, 409);
+  assert.equal(late.body.error.code, 'PAYMENT_ALREADY_SUBMITTED');
+  assert.equal(late.body.error.order_id, orderId);
+
+  const payments = await app.request('GET', `/api/orders/${orderId}/payments?country=MY`);
+  assert.equal(payments.body.count, 1);
+});
+
+test('a payment that never reached Razorpay can be retried with the same key', async () => {
+  // 50200: Razorpay answers with an HTML error page and makes no payment
+  const body = cardPayment('4111111111111111', { amount: 50200 });
+
+  const first = await createPayment(body, 'html-1');
+  assert.equal(first.status, 502);
+
+  await wait(1100);
+  const retry = await createPayment(body, 'html-1');
+  assert.equal(retry.status, 502);
+  assert.notEqual(retry.body.error.order_id, first.body.error.order_id);
+});
+
+test('a key left in progress is freed once its lease runs out', async () => {
+  const body = cardPayment('4111111111111111');
+  crashed = true;
+  const first = await createPayment(body, 'lease-1');
+  crashed = false;
+  assert.equal(first.status, 200);
+
+  const early = await createPayment(body, 'lease-1');
+  assert.equal(early.status, 409);
+  assert.equal(early.body.error.code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+  await wait(1100);
+  const late = await createPayment(body, 'lease-1');
+  assert.equal(late.status, 200);
+  assert.notEqual(late.headers.get('idempotent-replayed'), 'true');
+});
+
+test('a handler that throws still gets a response', async () => {
+  const failing = express().use(express.json()).post('/boom', idempotency.idempotent(async () => {
+    throw new Error('ECONNRESET');
+  }));
+  const server = http.createServer(failing).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    const post = () => fetch(`http://127.0.0.1:${server.address().port}/boom`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'boom-1' },
+      body: '{}'
+    });
+    const first = await post();
+    assert.equal(first.status, 500);
+    assert.equal((await first.json()).error.code, 'INTERNAL_SERVER_ERROR');
+
+    // It may have got as far as a payment
+    const retry = await post();
+    assert.equal(retry.status, 409);
+    assert.equal((await retry.json()).error.code, 'IDEMPOTENCY_OUTCOME_UNKNOWN');
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
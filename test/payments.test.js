@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, cardPayment, formFields, wait } = require('./helpers');
+
+let app;
+
+before(async () => {
+  // Manual capture keeps authorized payments at `authorized`
+  app = await startServer({ RAZORPAY_CAPTURE_MODE_MY: 'manual' });
+});
+
+after(() => app.close());
+
+test('a frictionless card is authorized straight away', async () => {
+  const { status, body } = await app.request('POST', '/api/create-payment', cardPayment('4111111111111111'));
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'authorized');
+  assert.match(body.razorpay_payment_id, /^pay_/);
+});
+
+test('a 3DS card is authorized once the customer authenticates', async () => {
+  const created = await app.request('POST', '/api/create-payment', cardPayment('5267318187975449'));
+  assert.equal(created.status, 200);
+  assert.equal(created.body.requires_3ds, true);
+  const authenticationUrl = created.body.authentication.authentication_url;
+
+  // The customer passes 3DS on the bank page, which posts the result to
+  // our callback
+  const bankPage = await fetch(authenticationUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'outcome=success'
+  }).then(response => response.text());
+  const callbackUrl = bankPage.match(/action="([^"]+)"/)[1].replace(/&amp;/g, '&');
+  const callback = await fetch(callbackUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: formFields(bankPage).toString()
+  });
+  assert.equal(callback.status, 200);
+  assert.match(await callback.text(), /Payment Successful/);
+
+  const payment = await app.request('GET', `/api/payments/${created.body.id}?country=MY`);
+  assert.equal(payment.body.status, 'authorized');
+
+  const ledger = await app.request('GET', `/api/ledger/orders/${created.body.order_id}`);
+  assert.equal(ledger.body.attempts.length, 1);
+  assert.equal(ledger.body.attempts[0].status, 'authorized');
+});
+
+test('a failed 3DS callback is confirmed with Razorpay, not taken on trust', async () => {
+  const created = await app.request('POST', '/api/create-payment', cardPayment('4111111111111111'));
+
+  const forged = await fetch(`${app.baseUrl}/api/payments/callback?country=MY`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `error[code]=BAD_REQUEST_ERROR&error[reason]=card_declined&error[metadata]={"payment_id":"${created.body.razorpay_payment_id}"}`
+  });
+  assert.equal(forged.status, 200);
+
+  const ledger = await app.request('GET', `/api/ledger/orders/${created.body.order.id}`);
+  assert.equal(ledger.body.attempts.length, 1);
+  assert.equal(ledger.body.attempts[0].status, 'authorized');
+});
+
+test('a declined card returns the Razorpay error and records one failed attempt', async () => {
+  const { status, body } = await app.request('POST', '/api/create-payment', cardPayment('4000000000000002'));
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'BAD_REQUEST_ERROR');
+  assert.equal(body.error.reason, 'card_declined');
+
+  // The payment.failed webhook must update the same attempt
+  await wait(200);
+  const orders = await app.request('GET', '/api/ledger/orders?country=MY&status=attempted');
+  const order = await app.request('GET', `/api/ledger/orders/${orders.body.items[0].id}`);
+  assert.equal(order.body.attempts.length, 1);
+  assert.equal(order.body.attempts[0].status, 'failed');
+  assert.match(order.body.attempts[0].id, /^pay_/);
+});
+
+test('insufficient funds and invalid cards are told apart', async () => {
+  const declined = await app.request('POST', '/api/create-payment', cardPayment('4000000000009995'));
+  assert.equal(declined.status, 400);
+  assert.equal(declined.body.error.reason, 'insufficient_funds');
+
+  const invalid = await app.request('POST', '/api/create-payment', cardPayment('4111111111111112'));
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.error.fields[0].code, 'invalid_checksum');
+});
@@ -0,0 +1,126 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, cardPayment } = require('./helpers');
+
+let app;
+let rateLimit;
+
+// The memory store, made to fail on the keys `failing` picks
+let failing = () => false;
+
+before(async () => {
+  // Each test pays from its own X-Forwarded-For address
+  app = await startServer({
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMIT_TRUST_PROXY: 'true',
+    RATE_LIMIT_CARD: '2/1m',
+    RATE_LIMIT_CARDS_PER_IP: '3/1m',
+    RATE_LIMIT_DECLINES_PER_BIN: '2/1m'
+  });
+
+  rateLimit = require('../lib/rate-limit');
+  class FlakyStore extends rateLimit.MemoryRateLimitStore {
+    async increment(key, windowMs) {
+      if (failing(key)) throw new Error('ECONNREFUSED');
+      return super.increment(key, windowMs);
+    }
+
+    async getBlock(key) {
+      if (failing(key)) throw new Error('ECONNREFUSED');
+      return super.getBlock(key);
+    }
+  }
+  rateLimit.setStore(new FlakyStore());
+});
+
+afterEach(() => {
+  failing = () => false;
+});
+
+after(() => app.close());
+
+/**
+ * A card number that passes the Luhn check: `bin`, `serial`, check digit
+ */
+function cardNumber(bin, serial) {
+  const partial = `${bin}${String(serial).padStart(15 - bin.length, '0')}`;
+  const sum = partial.split('').reverse().reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return `${partial}${(10 - (sum % 10)) % 10}`;
+}
+
+function pay(ip, number, overrides) {
+  return app.request('POST', '/api/create-payment', cardPayment(number, overrides), { 'X-Forwarded-For': ip });
+}
+
+test('a card tried too often is refused with Retry-After', async () => {
+  const number = cardNumber('411111', 1);
+
+  assert.equal((await pay('198.51.100.1', number)).status, 200);
+  assert.equal((await pay('198.51.100.1', number)).status, 200);
+
+  const { status, headers, body } = await pay('198.51.100.1', number);
+  assert.equal(status, 429);
+  assert.equal(body.error.code, 'RATE_LIMITED');
+  assert.ok(Number(headers.get('retry-after')) > 0);
+});
+
+test('too many cards from one IP block the IP', async () => {
+  for (let serial = 1; serial <= 3; serial++) {
+    assert.equal((await pay('198.51.100.2', cardNumber('422222', serial))).status, 200);
+  }
+
+  assert.equal((await pay('198.51.100.2', cardNumber('422222', 4))).status, 429);
+  // Blocked now - even for a card it used before
+  assert.equal((await pay('198.51.100.2', cardNumber('422222', 1))).status, 429);
+  assert.equal((await pay('198.51.100.3', cardNumber('422222', 5))).status, 200);
+});
+
+test('declines on one BIN block the BIN', async () => {
+  // 40001: the simulator declines the payment
+  for (let serial = 1; serial <= 2; serial++) {
+    const { status, body } = await pay('198.51.100.4', cardNumber('510510', serial), { amount: 40001 });
+    assert.equal(status, 400);
+    assert.equal(body.error.reason, 'card_declined');
+  }
+
+  const sameBin = await pay('198.51.100.5', cardNumber('510510', 3));
+  assert.equal(sameBin.status, 429);
+  assert.equal((await pay('198.51.100.5', cardNumber('520520', 1))).status, 200);
+});
+
+test('an IP blocked by hand is refused until unblocked', async () => {
+  await rateLimit.block('ip', '198.51.100.6', { minutes: 5 });
+  const blocked = await pay('198.51.100.6', cardNumber('433333', 1));
+  assert.equal(blocked.status, 429);
+  assert.ok(Number(blocked.headers.get('retry-after')) > 240);
+
+  await rateLimit.unblock('ip', '198.51.100.6');
+  assert.equal((await pay('198.51.100.6', cardNumber('433333', 1))).status, 200);
+});
+
+test('attempts are refused while the store is down', async () => {
+  failing = () => true;
+
+  const { status, body } = await pay('198.51.100.7', '4111111111111111');
+  assert.equal(status, 503);
+  assert.equal(body.error.code, 'RATE_LIMIT_STORE_UNAVAILABLE');
+
+  const v2 = await app.request('POST', '/api/v2/payments', cardPayment('4111111111111111'), { 'X-Forwarded-For': '198.51.100.7' });
+  assert.equal(v2.status, 503);
+  assert.equal(v2.body.error.code, 'SERVICE_UNAVAILABLE');
+});
+
+test('a decline that cannot be counted still gets its response', async () => {
+  failing = key => key.startsWith('declines:');
+
+  const { status, body } = await pay('198.51.100.8', '4000000000000002');
+  assert.equal(status, 400);
+  assert.equal(body.error.reason, 'card_declined');
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, cardPayment } = require('./helpers');
+
+const ORIGIN = 'http://shop.test';
+const SHOP = { Authorization: 'Bearer shop-key' };
+
+let app;
+
+before(async () => {
+  app = await startServer({
+    AUTH_REQUIRED: 'true',
+    ALLOWED_ORIGINS: ORIGIN,
+    API_KEY_SHOP: 'shop-key',
+    API_KEY_SHOP_SCOPES: 'customers:read,customers:write',
+    RAZORPAY_CAPTURE_MODE_MY: 'manual'
+  });
+});
+
+after(() => app.close());
+
+async function createCustomer(email) {
+  const { status, body } = await app.request('POST', '/api/customers', { country: 'MY', email }, SHOP);
+  assert.equal(status, 200);
+  return body.id;
+}
+
+// What the shop backend does for a signed-in buyer
+async function customerSession(customerId) {
+  const { status, body } = await app.request('POST', '/api/checkout-sessions',
+    { customer_id: customerId, country: 'MY', origin: ORIGIN }, SHOP);
+  assert.equal(status, 200);
+  assert.deepEqual(body.customer, { id: customerId, country: 'MY' });
+  return { Origin: ORIGIN, 'X-Checkout-Session': body.token };
+}
+
+async function pageSession() {
+  const { body } = await app.request('POST', '/api/checkout-sessions', undefined, { Origin: ORIGIN });
+  return { Origin: ORIGIN, 'X-Checkout-Session': body.token };
+}
+
+test('a page cannot bind its session to a customer', async () => {
+  const customerId = await createCustomer('bind@example.com');
+  const body = { customer_id: customerId, country: 'MY', origin: ORIGIN };
+
+  const anonymous = await app.request('POST', '/api/checkout-sessions', body, { Origin: ORIGIN });
+  assert.equal(anonymous.status, 401);
+
+  const unbound = await app.request('POST', '/api/checkout-sessions', body, await pageSession());
+  assert.equal(unbound.status, 403);
+
+  const rebound = await app.request('POST', '/api/checkout-sessions', body, await customerSession(customerId));
+  assert.equal(rebound.status, 403);
+});
+
+test('an unbound session has no saved cards', async () => {
+  const customerId = await createCustomer('unbound@example.com');
+
+  const { status } = await app.request('GET', `/api/customers/${customerId}/tokens?country=MY`, undefined, await pageSession());
+  assert.equal(status, 403);
+});
+
+test('a bound session saves, lists and pays with its own customer\'s cards', async () => {
+  const customerId = await createCustomer('saver@example.com');
+  const session = await customerSession(customerId);
+
+  const saved = await app.request('POST', '/api/create-payment',
+    cardPayment('4111111111111111', { customer_id: customerId, save: true }), session);
+  assert.equal(saved.status, 200);
+
+  const tokens = await app.request('GET', `/api/customers/${customerId}/tokens?country=MY`, undefined, session);
+  assert.equal(tokens.status, 200);
+  assert.equal(tokens.body.items.length, 1);
+  assert.equal(tokens.body.items[0].card.last4, '1111');
+
+  const repeat = await app.request('POST', '/api/create-payment', cardPayment(undefined, {
+    customer_id: customerId,
+    token: tokens.body.items[0].id,
+    card: { cvv: '123' }
+  }), session);
+  assert.equal(repeat.status, 200);
+  assert.equal(repeat.body.status, 'authorized');
+});
+
+test('a bound session cannot reach another customer', async () => {
+  const own = await createCustomer('own@example.com');
+  const other = await createCustomer('other@example.com');
+  const session = await customerSession(own);
+
+  const tokens = await app.request('GET', `/api/customers/${other}/tokens?country=MY`, undefined, session);
+  assert.equal(tokens.status, 403);
+
+  const payment = await app.request('POST', '/api/create-payment',
+    cardPayment('4111111111111111', { customer_id: other, save: true }), session);
+  assert.equal(payment.status, 403);
+
+  const lookup = await app.request('GET', '/api/customers?country=MY&email=other@example.com', undefined, session);
+  assert.equal(lookup.status, 403);
+});
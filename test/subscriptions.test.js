@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, cardPayment, wait } = require('./helpers');
+
+let app;
+
+before(async () => {
+  // The simulator's slow amount (40800) answers after the payment timeout
+  app = await startServer({
+    SIMULATOR_SLOW_MS: '1000',
+    RAZORPAY_PAYMENT_TIMEOUT_MS: '300'
+  });
+});
+
+after(() => app.close());
+
+async function createPlan(amount, overrides = {}) {
+  const { status, body } = await app.request('POST', '/api/plans', {
+    country: 'MY', name: `Plan ${amount}`, amount, currency: 'MYR', interval: 'monthly', ...overrides
+  });
+  assert.equal(status, 200);
+  return body;
+}
+
+async function createCustomer() {
+  const { status, body } = await app.request('POST', '/api/customers', {
+    country: 'MY', email: `member${Date.now()}@example.com`, contact: '+60123456789'
+  });
+  assert.equal(status, 200);
+  return body;
+}
+
+function subscribe(plan, customer, number = '4111111111111111') {
+  const { card, contact, email } = cardPayment(number);
+  return app.request('POST', '/api/subscriptions', {
+    country: 'MY', plan_id: plan.id, customer_id: customer.id, contact, email, card, max_amount: 50000
+  });
+}
+
+async function activeSubscription(plan) {
+  const { status, body } = await subscribe(plan, await createCustomer());
+  assert.equal(status, 200);
+  assert.equal(body.subscription.status, 'active');
+  return body.subscription;
+}
+
+function charge(subscription, amount) {
+  return app.request('POST', `/api/subscriptions/${subscription.id}/charge`, { amount });
+}
+
+test('a frictionless first payment activates the subscription with its card token', async () => {
+  const subscription = await activeSubscription(await createPlan(1000));
+
+  assert.match(subscription.token_id, /^token_/);
+  assert.equal(subscription.paid_count, 1);
+  assert.equal(subscription.next_charge_at, subscription.current_end);
+  assert.equal(subscription.charges[0].type, 'mandate');
+});
+
+test('a declined first payment fails the subscription', async () => {
+  const plan = await createPlan(1000);
+
+  const { status } = await subscribe(plan, await createCustomer(), '4000000000000002');
+  assert.equal(status, 400);
+
+  const failed = await app.request('GET', `/api/subscriptions?status=failed&plan_id=${plan.id}`);
+  assert.equal(failed.body.count, 1);
+  assert.equal(failed.body.items[0].charges[0].status, 'failed');
+  assert.equal(failed.body.items[0].token_id, null);
+});
+
+test('a cycle charge against the token renews the subscription', async () => {
+  const subscription = await activeSubscription(await createPlan(1000));
+
+  const { status, body } = await charge(subscription);
+  assert.equal(status, 200);
+  assert.equal(body.status, 'active');
+  assert.equal(body.paid_count, 2);
+  assert.equal(body.current_start, subscription.current_end);
+});
+
+test('a declined cycle charge is retried on the plan\'s schedule, then halts', async () => {
+  const subscription = await activeSubscription(await createPlan(1000, { retry_schedule: [24] }));
+
+  // 40001: the simulator declines the charge
+  const first = await charge(subscription, 40001);
+  assert.equal(first.status, 400);
+  const pastDue = await app.request('GET', `/api/subscriptions/${subscription.id}`);
+  assert.equal(pastDue.body.status, 'past_due');
+  assert.equal(pastDue.body.retry.attempt, 1);
+  assert.ok(pastDue.body.retry.next_retry_at);
+
+  const second = await charge(subscription, 40001);
+  assert.equal(second.status, 400);
+  const halted = await app.request('GET', `/api/subscriptions/${subscription.id}`);
+  assert.equal(halted.body.status, 'halted');
+  assert.equal(halted.body.retry.next_retry_at, null);
+});
+
+test('a timed-out cycle charge is settled through its order', async () => {
+  const subscription = await activeSubscription(await createPlan(1000));
+
+  // 40800: Razorpay takes the payment but answers after our timeout
+  const timedOut = await charge(subscription, 40800);
+  assert.equal(timedOut.status, 504);
+
+  const settled = await app.request('GET', `/api/subscriptions/${subscription.id}`);
+  assert.equal(settled.body.status, 'active');
+  assert.equal(settled.body.paid_count, 2);
+  assert.match(settled.body.charges[1].payment_id, /^pay_/);
+  assert.equal(settled.body.charges[1].error, null);
+});
+
+test('a timed-out mandate payment leaves the subscription pending until it settles', async () => {
+  const plan = await createPlan(40800);
+  const customer = await createCustomer();
+
+  const first = await subscribe(plan, customer);
+  assert.equal(first.status, 504);
+
+  const pending = await app.request('GET', `/api/subscriptions?status=pending&plan_id=${plan.id}`);
+  assert.equal(pending.body.count, 1);
+  const subscription = pending.body.items[0];
+  assert.equal(subscription.charges[0].status, 'unknown');
+  assert.equal(subscription.charges[0].order_id, first.body.error.order_id);
+
+  // Razorpay took the payment after our timeout; it is found on the order
+  await wait(1200);
+  const found = await app.request('GET', `/api/subscriptions/${subscription.id}`);
+  assert.equal(found.body.status, 'pending');
+  const paymentId = found.body.charges[0].payment_id;
+  assert.match(paymentId, /^pay_/);
+
+  // The customer completes 3DS; the payment webhook activates the subscription
+  await fetch(`${process.env.RAZORPAY_API_BASE_URL}/payments/${paymentId}/authenticate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'outcome=success'
+  });
+  await wait(300);
+  const settled = await app.request('GET', `/api/subscriptions/${subscription.id}`);
+  assert.equal(settled.body.status, 'active');
+  assert.ok(settled.body.token_id);
+  assert.equal(settled.body.charges[0].error, null);
+});
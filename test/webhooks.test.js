@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let app;
+
+// Events handled by the test handler, and whether it should fail
+const handled = [];
+let failNext = false;
+
+before(async () => {
+  app = await startServer();
+
+  const webhooks = require('../lib/webhooks');
+  webhooks.on('test.failing', () => {
+    throw new Error('connect ECONNREFUSED ledger-db.internal:5432');
+  });
+  webhooks.on('test.*', (event, { eventId }) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('handler failed');
+    }
+    handled.push(eventId);
+  });
+});
+
+after(() => app.close());
+
+/**
+ * Post `event` the way Razorpay does, signed with the test webhook secret
+ */
+function deliver(event, { eventId = crypto.randomUUID(), secret = 'whsec_test' } = {}) {
+  const rawBody = JSON.stringify(event);
+  return app.request('POST', '/api/webhooks/razorpay', event, {
+    'X-Razorpay-Signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex'),
+    'X-Razorpay-Event-Id': eventId
+  });
+}
+
+test('a failing handler gets a 500 without its error message', async () => {
+  const { status, body } = await deliver({ event: 'test.failing', payload: {} });
+
+  assert.equal(status, 500);
+  assert.equal(body.error.code, 'WEBHOOK_HANDLER_FAILED');
+  assert.doesNotMatch(body.error.description, /ledger-db/);
+});
+
+test('a webhook without a signature is refused', async () => {
+  const { status, body } = await app.request('POST', '/api/webhooks/razorpay', { event: 'test.counted', payload: {} });
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'BAD_REQUEST');
+});
+
+test('a webhook signed with another secret is refused and not handled', async () => {
+  const eventId = crypto.randomUUID();
+
+  const { status, body } = await deliver({ event: 'test.counted', payload: {} }, { eventId, secret: 'whsec_forged' });
+  assert.equal(status, 401);
+  assert.equal(body.error.code, 'INVALID_SIGNATURE');
+  assert.ok(!handled.includes(eventId));
+});
+
+test('a body changed after signing is refused', async () => {
+  const event = { event: 'test.counted', payload: { amount: 1000 } };
+  const signature = crypto.createHmac('sha256', 'whsec_test').update(JSON.stringify(event)).digest('hex');
+
+  const { status } = await app.request('POST', '/api/webhooks/razorpay', { ...event, payload: { amount: 1 } }, {
+    'X-Razorpay-Signature': signature
+  });
+  assert.equal(status, 401);
+});
+
+test('a redelivered event is acknowledged but handled once', async () => {
+  const eventId = crypto.randomUUID();
+  const event = { event: 'test.counted', payload: {} };
+
+  const first = await deliver(event, { eventId });
+  const again = await deliver(event, { eventId });
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.status, 'ok');
+  assert.equal(again.status, 200);
+  assert.equal(again.body.status, 'duplicate');
+  assert.equal(handled.filter(id => id === eventId).length, 1);
+});
+
+test('an event whose handler failed is handled when Razorpay retries it', async () => {
+  const eventId = crypto.randomUUID();
+  const event = { event: 'test.counted', payload: {} };
+
+  failNext = true;
+  const first = await deliver(event, { eventId });
+  assert.equal(first.status, 500);
+
+  const retry = await deliver(event, { eventId });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.status, 'ok');
+  assert.equal(handled.filter(id => id === eventId).length, 1);
+});